@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * FluxPlayer Pro - Watch Together Room Server
+ * A tiny WebSocket relay for Watch Together sessions across devices on the same
+ * network. Clients connect to ws://<host>:<port>/?room=<session code>; every text
+ * message is passed on unchanged to the other clients in that room. The server
+ * knows nothing about playback: leaders, followers and drift correction live in
+ * the browser (src/js/watch-together.js). No dependencies, only Node built-ins.
+ *
+ * Pages served over https can only open secure (wss://) sockets. Set TLS_CERT and
+ * TLS_KEY to the paths of a PEM certificate and key to serve wss:// instead of ws://.
+ *
+ * Usage: node server/room-server.js [port]   (or PORT=8787 npm run room)
+ *        TLS_CERT=cert.pem TLS_KEY=key.pem npm run room
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT) || 8787;
+const HOST = process.env.HOST || '0.0.0.0';
+const MAX_MESSAGE = 64 * 1024;      // Bytes; sync messages are a few hundred
+const MAX_ROOM_SIZE = 50;           // Clients per room
+const PING_INTERVAL = 30000;        // ms; clients that miss a pong are dropped
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const ROOM_PATTERN = /^[A-Z0-9]{4,16}$/;
+const TLS = process.env.TLS_CERT && process.env.TLS_KEY
+    ? { cert: fs.readFileSync(process.env.TLS_CERT), key: fs.readFileSync(process.env.TLS_KEY) }
+    : null;
+
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xA;
+
+const rooms = new Map(); // room code -> Set of clients
+
+/**
+ * Encodes one unmasked frame (servers never mask).
+ */
+function frame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+        header.writeUInt32BE(length % 0x100000000, 6);
+    }
+    header[0] = 0x80 | opcode; // FIN + opcode
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Reads the complete frames at the start of a buffer.
+ * @returns {{frames: Array<{fin: boolean, opcode: number, payload: Buffer}>, rest: Buffer}|null} Null if a frame is invalid or too large
+ */
+function parseFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        const masked = (second & 0x80) !== 0;
+        let length = second & 0x7F;
+        let pos = offset + 2;
+
+        if (!masked) return null; // Clients must mask
+        if (length === 126) {
+            if (buffer.length < pos + 2) break;
+            length = buffer.readUInt16BE(pos);
+            pos += 2;
+        } else if (length === 127) {
+            if (buffer.length < pos + 8) break;
+            if (buffer.readUInt32BE(pos) !== 0) return null;
+            length = buffer.readUInt32BE(pos + 4);
+            pos += 8;
+        }
+        if (length > MAX_MESSAGE) return null;
+        if (buffer.length < pos + 4 + length) break;
+
+        const mask = buffer.slice(pos, pos + 4);
+        const payload = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) payload[i] = buffer[pos + 4 + i] ^ mask[i % 4];
+
+        frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0F, payload });
+        offset = pos + 4 + length;
+    }
+    return { frames, rest: buffer.slice(offset) };
+}
+
+function send(client, opcode, payload) {
+    if (!client.socket.destroyed) client.socket.write(frame(opcode, payload));
+}
+
+function leave(client) {
+    const room = rooms.get(client.room);
+    if (!room || !room.delete(client)) return;
+    if (room.size === 0) rooms.delete(client.room);
+    console.log(`[${client.room}] ${client.address} left (${room.size} in room)`);
+}
+
+function close(client, code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    send(client, OP_CLOSE, payload);
+    client.socket.end();
+    leave(client);
+}
+
+function relay(client, text) {
+    const room = rooms.get(client.room);
+    if (!room) return;
+    const data = frame(OP_TEXT, text);
+    room.forEach(other => {
+        if (other !== client && !other.socket.destroyed) other.socket.write(data);
+    });
+}
+
+function onData(client, chunk) {
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+    const parsed = parseFrames(client.buffer);
+    if (!parsed) {
+        close(client, 1009);
+        return;
+    }
+    client.buffer = parsed.rest;
+
+    for (const { fin, opcode, payload } of parsed.frames) {
+        // Once closed, nothing after it in the chunk is relayed
+        if (!fin) {
+            close(client, 1003); // Sync messages are never fragmented
+            return;
+        }
+        if (opcode === OP_TEXT) relay(client, payload);
+        else if (opcode === OP_PING) send(client, OP_PONG, payload);
+        else if (opcode === OP_PONG) client.alive = true;
+        else if (opcode === OP_CLOSE) {
+            close(client, 1000);
+            return;
+        }
+    }
+}
+
+function status(req, res) {
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'Access-Control-Allow-Origin': '*' });
+    const clients = [...rooms.values()].reduce((sum, room) => sum + room.size, 0);
+    res.end(`FluxPlayer Watch Together room server: ${rooms.size} room(s), ${clients} client(s)\n`);
+}
+
+const server = TLS ? https.createServer(TLS, status) : http.createServer(status);
+
+server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, 'http://localhost');
+    const room = String(url.searchParams.get('room') || '').toUpperCase();
+    const key = req.headers['sec-websocket-key'];
+
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key || !ROOM_PATTERN.test(room)) {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return;
+    }
+    const members = rooms.get(room) || new Set();
+    if (members.size >= MAX_ROOM_SIZE) {
+        socket.end('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const client = { socket, room, address: req.socket.remoteAddress, buffer: Buffer.alloc(0), alive: true };
+    members.add(client);
+    rooms.set(room, members);
+    console.log(`[${room}] ${client.address} joined (${members.size} in room)`);
+
+    socket.on('data', chunk => onData(client, chunk));
+    socket.on('close', () => leave(client));
+    socket.on('error', () => leave(client));
+});
+
+// Drop connections that went away without closing (sleeping laptops, lost Wi-Fi)
+setInterval(() => {
+    rooms.forEach(room => room.forEach(client => {
+        if (!client.alive) {
+            client.socket.destroy();
+            leave(client);
+            return;
+        }
+        client.alive = false;
+        send(client, OP_PING, Buffer.alloc(0));
+    }));
+}, PING_INTERVAL).unref();
+
+server.listen(PORT, HOST, () => {
+    console.log(`FluxPlayer room server listening on ${TLS ? 'wss' : 'ws'}://${HOST}:${PORT}`);
+    console.log(`Enter this computer's network address (e.g. 192.168.1.10:${PORT}) under Watch Together → Local network.`);
+});
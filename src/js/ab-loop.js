@@ -0,0 +1,89 @@
+/**
+ * FluxPlayer Pro - A–B Loop Module
+ * Holds the loop points and the repeat counter, and decides when playback has
+ * to jump back to A. It holds no DOM logic; the controller in app.js watches
+ * playback, seeks and renders the loop range.
+ */
+
+const MIN_LENGTH = 0.2;     // Shortest loop (s)
+
+export const ABLoop = {
+    a: null,        // Loop start (s), or null
+    b: null,        // Loop end (s), or null
+    repeat: 0,      // Passes to play before the loop releases (0 = endless)
+    passes: 0,      // Passes completed so far
+
+    /**
+     * Sets the loop start. A loop end at or before it is dropped.
+     * @param {number} time
+     */
+    setA(time) {
+        this.a = Math.max(0, time);
+        if (this.b !== null && this.b < this.a + MIN_LENGTH) this.b = null;
+        this.passes = 0;
+    },
+
+    /**
+     * Sets the loop end (A defaults to the start of the video).
+     * @param {number} time
+     * @returns {boolean} False if it would end before A
+     */
+    setB(time) {
+        const a = this.a === null ? 0 : this.a;
+        if (time < a + MIN_LENGTH) return false;
+        this.a = a;
+        this.b = time;
+        this.passes = 0;
+        return true;
+    },
+
+    /**
+     * Sets both points at once (e.g. to a subtitle line).
+     * @param {number} a
+     * @param {number} b
+     * @returns {boolean}
+     */
+    set(a, b) {
+        if (b < a + MIN_LENGTH) return false;
+        this.a = Math.max(0, a);
+        this.b = b;
+        this.passes = 0;
+        return true;
+    },
+
+    clear() {
+        this.a = null;
+        this.b = null;
+        this.passes = 0;
+    },
+
+    /**
+     * @param {number} count - 0 for endless
+     */
+    setRepeat(count) {
+        this.repeat = Math.max(0, Math.floor(count) || 0);
+        this.passes = 0;
+    },
+
+    isActive() {
+        return this.a !== null && this.b !== null;
+    },
+
+    /**
+     * Called as playback moves from `previous` to `time`. Only crossing B while
+     * playing counts; seeking past B by hand leaves the loop alone.
+     * @param {number} previous
+     * @param {number} time
+     * @returns {'loop'|'done'|null} 'loop': seek to A; 'done': the last repeat has played
+     */
+    check(previous, time) {
+        if (!this.isActive() || !(previous < this.b && time >= this.b)) return null;
+
+        this.passes++;
+        if (this.repeat > 0 && this.passes >= this.repeat) {
+            this.clear();
+            return 'done';
+        }
+        return 'loop';
+    }
+};
@@ -6,26 +6,70 @@
 import { UIManager } from './ui.js';
 import { Storage } from './storage.js';
 import { SubtitleParser } from './subtitle-parser.js';
+import { PWA } from './pwa.js';
+import { Playlist } from './playlist.js';
+import { FileHandles } from './file-handles.js';
+import { PlaybackPersistence } from './playback-persistence.js';
+import { TextEncoding } from './text-encoding.js';
+import { Language } from './language.js';
+import { SubtitleEditor } from './subtitle-editor.js';
+import { ContainerSubtitles } from './container-subtitles.js';
+import { Sidecar } from './sidecar.js';
+import { Bookmarks } from './bookmarks.js';
+import { ABLoop } from './ab-loop.js';
+import { Shortcuts } from './shortcuts.js';
+import { Thumbnails } from './thumbnails.js';
+import { Capture } from './capture.js';
+import { Fingerprint } from './fingerprint.js';
+import { HistoryLibrary } from './history-library.js';
+import { Backup } from './backup.js';
+import { CaptionStyle } from './caption-style.js';
+import { WatchTogether } from './watch-together.js';
 
 // --- 1. Application State ---
+// Settings a fresh install starts with (and "Reset" in the settings returns to)
+const DEFAULT_SETTINGS = {
+    fontSize: 18,
+    fontFamily: "'Segoe UI', 'Helvetica Neue', system-ui, sans-serif",
+    textColor: "#ffffff",
+    bgColor: "#000000",
+    bgOpacity: 50,
+    edgeStyle: 'shadow', // 'none' | 'outline' | 'shadow' | 'raised' | 'depressed'
+    bold: false,
+    lineHeight: 1.6,
+    captionPosition: 0, // Lift above the default place, in % of the player height
+    captionWidth: 90, // Maximum line width, in % of the player width
+    captionPresets: [], // Saved caption looks: [{ name, style }] (see caption-style.js)
+    secondarySize: 16, // Lower line of dual subtitles
+    secondaryColor: "#facc15",
+    finishTail: 30, // Seconds before the end at which a video counts as finished
+    historySize: 50, // Watch History entries kept (the least recently played are dropped)
+    shortcuts: {}, // Remapped keyboard shortcuts: action -> key combo (see shortcuts.js)
+    snapshotFormat: 'png', // 'png' | 'jpeg'
+    captureSubtitles: true, // Burn the subtitles on screen into snapshots and clips
+    togetherName: '', // Name shown to the others in a Watch Together session
+    togetherServer: '' // Room server last used for Watch Together over the network
+};
+
 const AppState = {
     history: [],
-    settings: {
-        fontSize: 18,
-        fontFamily: "'Segoe UI', 'Helvetica Neue', system-ui, sans-serif",
-        textColor: "#ffffff",
-        bgColor: "#000000",
-        bgOpacity: 50
-    },
+    settings: { ...DEFAULT_SETTINGS },
     hasSeenOnboarding: false,
+    queue: null, // Serialized Playlist (see playlist.js)
+    files: {}, // Per-file metadata keyed by file key (see keyFor)
 
-    init() {
-        const saved = Storage.get();
+    async init() {
+        Storage.onError = (message) => UIManager.showToast(message);
+        await Storage.init();
+
+        const saved = await Storage.get();
         if (saved) {
             this.history = saved.history || [];
             // Merge settings to ensure defaults exist
             this.settings = { ...this.settings, ...saved.settings };
             this.hasSeenOnboarding = saved.hasSeenOnboarding || false;
+            this.queue = saved.queue || null;
+            this.files = saved.files || {};
         }
 
         // Check for first-time user
@@ -38,7 +82,8 @@ const AppState = {
         Storage.save({
             history: this.history,
             settings: this.settings,
-            hasSeenOnboarding: this.hasSeenOnboarding
+            hasSeenOnboarding: this.hasSeenOnboarding,
+            queue: this.queue
         });
     },
 
@@ -54,43 +99,205 @@ const AppState = {
     },
 
     // History Logic
-    addToHistory(file, time = 0) {
+
+    /**
+     * The key a video's history entry and data are stored under: its content
+     * fingerprint, or (when none can be computed) the key of the entry with the
+     * same name and size, else its name. Data saved under another key for the same
+     * file (its name, or a fingerprint with a different duration reading) moves to
+     * the fingerprint the first time the file is opened again.
+     * @param {File} file
+     * @returns {Promise<string>}
+     */
+    async keyFor(file) {
+        const fingerprint = await Fingerprint.of(file);
+        if (!fingerprint) {
+            const match = this.history.find(h => h.name === file.name && h.size === file.size);
+            return match ? match.key : file.name;
+        }
+        if (this.getHistoryItem(fingerprint) || this.files[fingerprint]) return fingerprint;
+
+        const previous = this._previousKey(file, fingerprint);
+        if (previous) this.rekey(previous, fingerprint);
+        return fingerprint;
+    },
+
+    /**
+     * The key the file's data was stored under before it had this fingerprint.
+     * @param {File} file
+     * @param {string} fingerprint
+     * @returns {string|null}
+     */
+    _previousKey(file, fingerprint) {
+        const keys = [...this.history.map(h => h.key), ...Object.keys(this.files)];
+        const sameContent = keys.find(key => Fingerprint.sameContent(key, fingerprint));
+        if (sameContent) return sameContent;
+
+        // Saved without a fingerprint (older versions, or no Web Crypto at the time)
+        const byName = this.history.find(h => !Fingerprint.isFingerprint(h.key) && h.name === file.name && h.size === file.size);
+        if (byName) return byName.key;
+        return this.files[file.name] && !this.getHistoryItem(file.name) ? file.name : null;
+    },
+
+    /**
+     * Moves a video's history entry, metadata and file handle to a new key
+     * @param {string} oldKey
+     * @param {string} newKey
+     */
+    rekey(oldKey, newKey) {
+        const item = this.getHistoryItem(oldKey);
+        if (item) {
+            item.key = newKey;
+            this.save();
+        }
+
+        if (this.files[oldKey]) {
+            this.updateFileData(newKey, this.files[oldKey]);
+            delete this.files[oldKey];
+            Storage.saveFileData(oldKey, null);
+        }
+
+        FileHandles.get(oldKey).then(async handle => {
+            if (!handle) return;
+            await FileHandles.save(newKey, handle);
+            await FileHandles.remove(oldKey);
+        });
+    },
+
+    /**
+     * @param {File} file
+     * @param {string} key - See keyFor
+     * @param {number} [time=0]
+     */
+    addToHistory(file, key, time = 0) {
         // Remove duplicate if exists
-        this.history = this.history.filter(h => h.name !== file.name);
+        const previous = this.getHistoryItem(key);
+        this.history = this.history.filter(h => h.key !== key);
         
-        // Add to top
+        // Add to top (a renamed file keeps its entry under the new name)
         this.history.unshift({
+            key,
             name: file.name,
             size: file.size,
             type: file.type,
             time: time,
+            duration: previous ? previous.duration : null,
+            finished: previous ? !!previous.finished : false,
             lastPlayed: new Date().toISOString()
         });
 
-        // Limit to 20 items
-        if (this.history.length > 20) this.history.pop();
-        
+        this.trimHistory();
+        this.save();
+        HistoryController.render();
+    },
+
+    /**
+     * Drops the least recently played entries beyond the configured history size.
+     * @returns {boolean} True if any were dropped
+     */
+    trimHistory() {
+        const size = Math.max(1, Number(this.settings.historySize) || 50);
+        if (this.history.length <= size) return false;
+
+        this.history.sort((a, b) => (b.lastPlayed || '').localeCompare(a.lastPlayed || ''));
+        this.history.splice(size).forEach(item => FileHandles.remove(item.key));
+        return true;
+    },
+
+    /**
+     * Deletes one history entry (its resume point and file handle). Bookmarks and
+     * subtitle settings of the file are kept for when it is opened again.
+     * @param {string} key
+     */
+    removeFromHistory(key) {
+        this.history = this.history.filter(h => h.key !== key);
         this.save();
-        UIManager.renderHistory(this.history);
+        FileHandles.remove(key);
+        HistoryController.render();
     },
 
-    updateHistoryTime(fileName, time) {
-        const item = this.history.find(h => h.name === fileName);
+    /**
+     * Store the playback position of a history entry
+     * @param {string} key - File key
+     * @param {number} time - Position in seconds
+     * @param {number|null} duration - Media duration in seconds, if known
+     * @param {boolean} [ended=false] - True when playback reached the end
+     */
+    updateHistoryTime(key, time, duration = null, ended = false) {
+        const item = this.getHistoryItem(key);
         if (item) {
+            const previous = HistoryLibrary.state(item);
             item.time = time;
+            if (duration) item.duration = duration;
+            item.finished = ended || this.isInFinishTail(time, item.duration);
             item.lastPlayed = new Date().toISOString();
-            this.save();
+            Storage.saveHistoryItem(item);
+            HistoryController.refresh(item, previous);
         }
     },
+
+    /**
+     * Whether a position is close enough to the end to treat the video as watched
+     * (so it does not resume at the credits).
+     */
+    isInFinishTail(time, duration) {
+        if (!duration) return false;
+        return duration - time <= Number(this.settings.finishTail);
+    },
     
-    getHistoryItem(fileName) {
-        return this.history.find(h => h.name === fileName);
+    getHistoryItem(key) {
+        return this.history.find(h => h.key === key);
+    },
+
+    // Per-file Metadata
+    getFileData(key) {
+        return this.files[key] || {};
+    },
+
+    /**
+     * Merge values into the metadata stored for one file
+     * @param {string} key - File key
+     * @param {Object} patch
+     */
+    updateFileData(key, patch) {
+        this.files[key] = { ...this.files[key], ...patch };
+        Storage.saveFileData(key, this.files[key]);
+    },
+
+    /**
+     * The complete persisted state (what a backup holds)
+     * @returns {{settings: Object, hasSeenOnboarding: boolean, queue: Object|null, history: Array, files: Object}}
+     */
+    snapshot() {
+        return {
+            settings: this.settings,
+            hasSeenOnboarding: this.hasSeenOnboarding,
+            queue: this.queue,
+            history: this.history,
+            files: this.files
+        };
+    },
+
+    /**
+     * Replaces the whole state (e.g. from a backup) and stores it.
+     * Settings missing from it keep their current values.
+     * @param {Object} state - As returned by snapshot()
+     */
+    async restore(state) {
+        this.settings = { ...this.settings, ...state.settings };
+        this.hasSeenOnboarding = !!state.hasSeenOnboarding;
+        this.queue = state.queue || null;
+        this.history = [...state.history];
+        this.files = { ...state.files };
+        this.trimHistory();
+        await Storage.restore(this.snapshot());
     },
 
     clearHistory() {
         this.history = [];
         this.save();
-        UIManager.renderHistory(this.history);
+        FileHandles.clear();
+        HistoryController.render();
     }
 };
 
@@ -98,8 +305,13 @@ const AppState = {
 const PlayerController = {
     instance: null,
     currentFile: null,
+    currentKey: null, // Storage key of the current video (AppState.keyFor), once computed
     videoObjectUrl: null,
-    tracks: [], // Stores active subtitle tracks { label, src, blob }
+    tracks: [], // Stores active subtitle tracks { label, srclang, src, source, encoding, cues, styles, issues, sync, captionPreset }
+    trackSeq: 0, // Unique id source for per-track style classes
+    sidecarFiles: new Map(), // Subtitle Files seen this session, by subtitleKey
+    pairedSidecars: new WeakMap(), // Video File -> subtitle Files paired with it this session
+    pendingSubtitles: [], // Subtitles added before any video was open
 
     init() {
         this.instance = new Plyr('#player', {
@@ -109,39 +321,160 @@ const PlayerController = {
             ],
             settings: ['captions', 'quality', 'speed', 'loop'],
             captions: { active: true, update: true, language: 'auto' },
+            keyboard: { focused: false, global: false }, // Handled by the shortcut manager (shortcuts.js)
             ratio: '16:9',
             iconUrl: 'assets/vendor/plyr.svg',
             blankVideo: 'assets/vendor/blank.mp4'
         });
 
-        // Track progress
+        // Track progress (writes are coalesced by the scheduler)
+        PlaybackPersistence.configure({
+            interval: 5000,
+            write: ({ key, time, duration }) => AppState.updateHistoryTime(key, time, duration)
+        });
+
         this.instance.on('timeupdate', () => {
             if (!this.currentFile) return;
-            const time = this.instance.currentTime;
-            // Save every 5 seconds
-            if (time > 0 && Math.floor(time) % 5 === 0) {
-                AppState.updateHistoryTime(this.currentFile.name, time);
+            PlaybackPersistence.schedule(this.currentKey, this.instance.currentTime, this.instance.duration);
+            if (SubtitleEditor.isOpen()) EditorController.onTimeUpdate();
+            if (TranscriptController.trackId) TranscriptController.onTimeUpdate();
+            if (ABLoop.isActive()) LoopController.check();
+        });
+
+        // Save immediately at meaningful moments
+        ['pause', 'seeked'].forEach(event => this.instance.on(event, () => this.savePosition()));
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.savePosition();
+        });
+        window.addEventListener('pagehide', () => this.savePosition());
+
+        this.instance.on('ended', () => {
+            PlaybackPersistence.cancel();
+            if (this.currentKey) {
+                AppState.updateHistoryTime(this.currentKey, this.instance.duration, this.instance.duration, true);
             }
         });
 
+        // Dual subtitles follow playback, seeking and pausing
+        ['play', 'pause', 'seeked'].forEach(event => this.instance.on(event, () => DualSubtitleController.update()));
+
+        // The transcript follows the caption track (tracks change with every source refresh)
+        ['loadedmetadata', 'languagechange', 'captionsenabled', 'captionsdisabled'].forEach(event => {
+            this.instance.on(event, () => {
+                TranscriptController.refresh();
+                SettingsController.applyTrackStyles();
+            });
+        });
+
+        // Bookmark markers and the loop range need the duration
+        this.instance.on('loadedmetadata', () => {
+            BookmarkController.renderMarkers();
+            LoopController.onLoadedMetadata();
+            ThumbnailController.bind();
+        });
+
+        // Thumbnails are only generated while the video is not playing
+        ['play', 'pause', 'ended'].forEach(event => this.instance.on(event, () => ThumbnailController.onPlaybackChange()));
+        ['play', 'pause', 'seeked'].forEach(event => this.instance.on(event, () => LoopController.update()));
+
+        // Auto-advance through the play queue
+        this.instance.on('ended', () => QueueController.onEnded());
+
         this.instance.on('ready', () => {
             const emptyState = document.getElementById('empty-state');
             if (emptyState) emptyState.classList.add('hidden');
         });
     },
 
+    /**
+     * Flush the current playback position to storage
+     */
+    savePosition() {
+        if (this.currentKey) {
+            PlaybackPersistence.schedule(this.currentKey, this.instance.currentTime, this.instance.duration);
+        }
+        PlaybackPersistence.flush();
+    },
+
+    // --- Keyboard Actions ---
+
+    togglePlay() {
+        if (this.currentFile) this.instance.togglePlay();
+    },
+
+    seekBy(delta) {
+        if (this.currentFile) this.instance.currentTime = Math.max(0, this.instance.currentTime + delta);
+    },
+
+    /**
+     * Moves to the next / previous of Plyr's speed options.
+     * @param {number} direction - -1 | 1
+     */
+    stepSpeed(direction) {
+        const speeds = this.instance.options.speed;
+        const current = speeds.findIndex(speed => speed >= this.instance.speed);
+        const next = speeds[Math.min(speeds.length - 1, Math.max(0, (current === -1 ? speeds.length - 1 : current) + direction))];
+        this.instance.speed = next;
+        UIManager.showToast(`Speed: ${next}×`);
+    },
+
+    stepVolume(delta) {
+        this.instance.muted = false;
+        this.instance.volume = Math.min(1, Math.max(0, Math.round((this.instance.volume + delta) * 10) / 10));
+        UIManager.showToast(`Volume: ${Math.round(this.instance.volume * 100)}%`);
+    },
+
+    toggleMute() {
+        this.instance.muted = !this.instance.muted;
+        UIManager.showToast(this.instance.muted ? 'Muted' : 'Sound On');
+    },
+
+    toggleFullscreen() {
+        if (this.currentFile) this.instance.fullscreen.toggle();
+    },
+
+    toggleCaptions() {
+        if (this.tracks.length === 0) {
+            UIManager.showToast('No subtitle loaded');
+            return;
+        }
+        this.instance.toggleCaptions();
+        UIManager.showToast(this.instance.captions.active ? 'Subtitles On' : 'Subtitles Off');
+    },
+
+    /**
+     * Switches to the next subtitle track, then to none, then back to the first.
+     */
+    cycleSubtitle() {
+        if (this.tracks.length === 0) {
+            UIManager.showToast('No subtitle loaded');
+            return;
+        }
+
+        const current = this.instance.captions.active ? this.instance.currentTrack : -1;
+        const next = current + 1 < this.tracks.length ? current + 1 : -1;
+        if (next === -1) {
+            this.instance.toggleCaptions(false);
+            UIManager.showToast('Subtitles Off');
+            return;
+        }
+        this.instance.toggleCaptions(true);
+        this.instance.currentTrack = next;
+        UIManager.showToast(`Subtitle: ${this.tracks[next].label}`);
+    },
+
     loadVideo(file) {
+        // Persist the position of the video being replaced
+        this.savePosition();
+
         // Cleanup previous video and subtitles
         if (this.videoObjectUrl) URL.revokeObjectURL(this.videoObjectUrl);
         this.cleanupSubtitles();
 
         this.currentFile = file;
+        this.currentKey = null;
         this.videoObjectUrl = URL.createObjectURL(file);
 
-        // Check History for resume
-        const historyItem = AppState.getHistoryItem(file.name);
-        const startTime = historyItem ? historyItem.time : 0;
-
         // Load Source
         this.instance.source = {
             type: 'video',
@@ -150,55 +483,401 @@ const PlayerController = {
             tracks: [] // Reset tracks
         };
 
+        setTimeout(() => this.instance.play(), 200);
+
+        UIManager.updateNowPlaying(file);
+        UIManager.renderSubtitleList(this.tracks); // Will be empty initially
+        BookmarkController.load();
+        LoopController.reset();
+        ThumbnailController.reset();
+        CaptureController.reset();
+
+        this.restoreVideo(file);
+    },
+
+    /**
+     * Identifies a newly loaded video (see AppState.keyFor), then resumes it and
+     * restores what was stored for it. Abandoned if another video is loaded meanwhile.
+     * @param {File} file
+     */
+    async restoreVideo(file) {
+        const key = await AppState.keyFor(file);
+        if (this.currentFile !== file) return;
+        this.currentKey = key;
+
+        // Subtitles dropped in while the video was being identified
+        SyncController.restore();
+
+        // Keep the file handle so the video can be re-opened from History
+        const handle = FileHandles.handleFor(file);
+        if (handle) FileHandles.save(key, handle);
+
+        // Check History for resume
+        // Finished videos start over instead of resuming at the credits
+        const historyItem = AppState.getHistoryItem(key);
+        const startTime = historyItem && !historyItem.finished ? historyItem.time : 0;
+
         // Resume Logic
         if (startTime > 0) {
-            this.instance.once('loadedmetadata', () => {
+            const resume = () => {
                 this.instance.currentTime = startTime;
                 UIManager.showToast(`Resumed from ${Math.floor(startTime/60)}:${String(Math.floor(startTime%60)).padStart(2, '0')}`);
-            });
+            };
+            if (this.instance.media.readyState >= HTMLMediaElement.HAVE_METADATA) resume();
+            else this.instance.once('loadedmetadata', resume);
         }
 
-        setTimeout(() => this.instance.play(), 200);
+        AppState.addToHistory(file, key, startTime);
+        BookmarkController.load();
+        ThumbnailController.load(file, key);
 
-        AppState.addToHistory(file, startTime);
-        UIManager.updateNowPlaying(file);
-        UIManager.renderSubtitleList(this.tracks); // Will be empty initially
+        this.attachSidecars(file);
+        if (ContainerSubtitles.canExtract(file)) this.loadEmbeddedSubtitles(file);
     },
 
-    loadSubtitle(file) {
-        if (!this.currentFile) {
-            UIManager.showToast('Please load a video first!');
+    /**
+     * Remembers subtitle files as belonging to a video, so they are attached
+     * whenever that video is opened (also later from History).
+     * @param {File} video
+     * @param {File[]} subtitles
+     */
+    async rememberSidecars(video, subtitles) {
+        const paired = this.pairedSidecars.get(video) || [];
+        subtitles.forEach(file => {
+            const key = this.subtitleKey(file);
+            this.sidecarFiles.set(key, file);
+
+            const handle = FileHandles.handleFor(file);
+            if (handle) FileHandles.save(key, handle);
+
+            if (!paired.some(s => s.name === file.name && s.size === file.size)) paired.push(file);
+        });
+        this.pairedSidecars.set(video, paired);
+
+        // Stored once the video's key is known (it is fingerprinted first)
+        const videoKey = await AppState.keyFor(video);
+        const known = AppState.getFileData(videoKey).sidecars || [];
+        const sidecars = [...known];
+        subtitles.forEach(file => {
+            if (!sidecars.some(s => s.name === file.name && s.size === file.size)) {
+                sidecars.push({ name: file.name, size: file.size });
+            }
+        });
+        if (sidecars.length !== known.length) AppState.updateFileData(videoKey, { sidecars });
+    },
+
+    /**
+     * Stops attaching a subtitle to the current video.
+     * @param {{name: string, size: number}} source - The subtitle
+     */
+    forgetSidecar(source) {
+        const isOther = (s) => s.name !== source.name || s.size !== source.size;
+        const paired = this.pairedSidecars.get(this.currentFile);
+        if (paired) this.pairedSidecars.set(this.currentFile, paired.filter(isOther));
+
+        if (!this.currentKey) return;
+        const sidecars = AppState.getFileData(this.currentKey).sidecars || [];
+        const remaining = sidecars.filter(isOther);
+        if (remaining.length !== sidecars.length) AppState.updateFileData(this.currentKey, { sidecars: remaining });
+    },
+
+    /**
+     * Loads the subtitles remembered for a video (and any added before it was opened).
+     * Files come from this session or from stored file handles; the rest are reported.
+     * @param {File} video
+     */
+    async attachSidecars(video) {
+        const pending = this.pendingSubtitles.splice(0);
+        if (pending.length > 0) this.rememberSidecars(video, pending);
+
+        // Pairings of this session may not be stored yet
+        const refs = [...AppState.getFileData(this.currentKey).sidecars || []];
+        (this.pairedSidecars.get(video) || []).forEach(file => {
+            if (!refs.some(s => s.name === file.name && s.size === file.size)) refs.push(file);
+        });
+
+        const missing = [];
+        for (const ref of refs) {
+            const key = this.subtitleKey(ref);
+            let file = this.sidecarFiles.get(key);
+
+            if (!file && FileHandles.isSupported()) {
+                const handle = await FileHandles.get(key);
+                if (handle) file = await FileHandles.getFile(handle);
+                if (file) this.sidecarFiles.set(key, file);
+            }
+            if (this.currentFile !== video) return;
+
+            if (file) await this.loadSubtitle(file);
+            else missing.push(ref.name);
+        }
+
+        if (missing.length > 0) {
+            UIManager.showToast(`Add ${missing.length > 1 ? `${missing.length} subtitles` : missing[0]} again to restore ${missing.length > 1 ? 'them' : 'it'}`);
+        }
+    },
+
+    /**
+     * Adds the text subtitle tracks stored inside an MKV / MP4 file. Runs in the
+     * background and is abandoned if another video is loaded meanwhile.
+     * @param {File} file
+     */
+    async loadEmbeddedSubtitles(file) {
+        const isCancelled = () => this.currentFile !== file;
+
+        let extracted;
+        try {
+            extracted = await ContainerSubtitles.extract(file, { isCancelled });
+        } catch (e) {
+            console.warn('FluxPlayer Embedded Subtitle Error:', e);
             return;
         }
+        if (isCancelled() || extracted.length === 0) return;
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const content = e.target.result;
-            let vttContent = content;
+        const utf8 = new TextEncoder();
+        const labels = new Set(this.tracks.map(t => t.label));
+        let added = 0;
 
-            // Convert if SRT
-            if (SubtitleParser.isSrt(file)) {
-                vttContent = SubtitleParser.srtToVtt(content);
-            }
+        extracted.forEach(item => {
+            // Label from the track title, else its language; kept unique within the list
+            const language = Language.fromCode(item.language);
+            const base = item.title || (language ? Language.name(language) : 'Embedded');
+            let label = item.forced && !item.title ? `${base} (Forced)` : base;
+            for (let n = 2; labels.has(label); n++) label = `${base} (${n})`;
+            labels.add(label);
+
+            const bytes = utf8.encode(item.content);
+            const source = { name: `${label}.${item.format}`, size: bytes.length, bytes, language };
+            const track = this.buildTrack(source, 'utf-8', `t${++this.trackSeq}`);
+            if (!track) return;
+
+            track.embedded = true;
+            track.encodingDetected = false;
+            track.default = item.default && !this.tracks.some(t => t.default);
+            this.tracks.push(track);
+            added++;
+        });
 
-            const blobUrl = SubtitleParser.createTrackBlob(vttContent);
-            const label = file.name.replace(/\.[^/.]+$/, ""); // Remove extension
+        if (added === 0) return;
+        this.refreshSourceWithTracks();
+        UIManager.renderSubtitleList(this.tracks);
+        UIManager.showToast(`${added} embedded subtitle${added > 1 ? 's' : ''} added`);
+    },
+
+    /**
+     * Re-opens a Watch History entry: through its stored file handle when possible,
+     * otherwise by asking the user to pick the file again.
+     * @param {Object} entry - History item ({ name, size, type })
+     */
+    async openFromHistory(entry) {
+        let file = null;
+
+        if (FileHandles.isSupported()) {
+            const handle = await FileHandles.get(entry.key);
+            if (handle) file = await FileHandles.getFile(handle);
+        }
 
-            // Add to tracks array
-            this.tracks.push({
-                kind: 'captions',
-                label: label,
-                srclang: 'en',
-                src: blobUrl,
-                default: this.tracks.length === 0 // Default if it's the first one
+        // Subtitles picked along with the video are paired with it
+        let subtitles = [];
+        if (!file) {
+            const ext = entry.name.includes('.') ? entry.name.slice(entry.name.lastIndexOf('.')) : '';
+            const files = await FileHandles.pickFiles({
+                accept: [...(ext ? [ext] : ['.mp4', '.mkv', '.webm']), '.srt', '.vtt', '.ass', '.ssa'],
+                description: entry.name,
+                multiple: true
             });
+            const picked = files.find(f => !Sidecar.isSubtitleFile(f));
+            if (!picked) return;
 
-            this.refreshSourceWithTracks();
-            UIManager.renderSubtitleList(this.tracks);
-            UIManager.showToast('Subtitle Added');
+            const matches = Fingerprint.sameContent(await Fingerprint.of(picked), entry.key) || (picked.name === entry.name && picked.size === entry.size);
+            if (!matches && !confirm(`"${picked.name}" does not match "${entry.name}". Play it anyway?`)) return;
+            file = picked;
+            subtitles = files.filter(f => Sidecar.isSubtitleFile(f));
+        }
+
+        QueueController.openFiles([file, ...subtitles]);
+    },
+
+    /**
+     * Reads a subtitle file as bytes, detects its encoding and adds it as a track.
+     * @param {File} file
+     */
+    async loadSubtitle(file) {
+        if (!this.currentFile) {
+            this.pendingSubtitles.push(file);
+            UIManager.showToast('Subtitle will be added to the next video you open');
+            return;
+        }
+
+        let bytes;
+        try {
+            bytes = new Uint8Array(await file.arrayBuffer());
+        } catch (e) {
+            console.error('FluxPlayer Subtitle Read Error:', e);
+            UIManager.showToast(`Could not read ${file.name}`);
+            return;
+        }
+
+        // A manual encoding choice for this file wins over detection
+        const source = { name: file.name, size: file.size, bytes };
+        const savedEncoding = AppState.getFileData(this.subtitleKey(source)).encoding;
+        const detected = TextEncoding.detect(bytes);
+        const encoding = savedEncoding || detected.encoding;
+
+        const track = this.buildTrack(source, encoding, `t${++this.trackSeq}`);
+        if (!track) return;
+
+        track.encodingDetected = !savedEncoding;
+        track.default = this.tracks.length === 0; // Default if it's the first one
+        this.tracks.push(track);
+        this.rememberSidecars(this.currentFile, [file]);
+
+        this.refreshSourceWithTracks();
+        UIManager.renderSubtitleList(this.tracks);
+
+        const problems = track.issues.length;
+        UIManager.showToast(problems > 0 ? `Subtitle Added (${problems} issue${problems > 1 ? 's' : ''} fixed or skipped)` : 'Subtitle Added');
+
+        if (track.sync.offset !== 0 || track.sync.scale !== 1) {
+            UIManager.showToast(`Subtitle Sync Restored (${SyncController.describe(track.sync)})`);
+        }
+        if (!savedEncoding && !detected.confident) {
+            UIManager.showToast(`Encoding guessed as ${TextEncoding.label(encoding)} – change it in the subtitle list if text looks wrong`);
+        }
+    },
+
+    /**
+     * Decodes and parses subtitle bytes into a track object (without adding it).
+     * @param {{name: string, size: number, bytes: Uint8Array, language?: string}} source
+     * @param {string} encoding
+     * @param {string} trackId
+     * @returns {Object|null} The track, or null if no cues could be read
+     */
+    buildTrack(source, encoding, trackId) {
+        const content = TextEncoding.decode(source.bytes, encoding);
+
+        // Parse into cues (tolerating common defects) and re-serialise as clean WebVTT
+        const format = SubtitleParser.detectFormat(source.name, content);
+        const doc = SubtitleParser.parse(content, format, { classPrefix: trackId });
+        const label = source.name.replace(/\.[^/.]+$/, ""); // Remove extension
+
+        if (doc.issues.length > 0) {
+            console.warn(`FluxPlayer Subtitle Issues (${source.name}):`, doc.issues);
+        }
+
+        if (doc.cues.length === 0) {
+            UIManager.showToast(`No valid subtitles found in ${label}`);
+            return null;
+        }
+
+        // Language: manual choice, then the container's tag, then file-name suffix, then the text itself
+        const saved = AppState.getFileData(this.subtitleKey(source));
+        const fromName = Language.fromFileName(source.name);
+        const sample = doc.cues.slice(0, 200).map(c => SubtitleParser.toPlainText(c.text)).join(' ');
+        const srclang = saved.language || source.language || fromName || Language.fromText(sample);
+
+        const track = {
+            id: trackId,
+            kind: 'captions',
+            label: label,
+            srclang,
+            languageDetected: !saved.language,
+            src: '',
+            default: false,
+            fileName: source.name,
+            source, // Raw bytes, kept for re-decoding with another encoding
+            encoding,
+            cues: doc.cues, // Original timing; `sync` is applied on top
+            styles: doc.styles,
+            issues: doc.issues,
+            // Re-apply the timing correction remembered for this video + subtitle pair
+            sync: SyncController.savedSync(source.name),
+            captionPreset: saved.captionPreset || null // Own caption style (see SettingsController.trackStyle)
         };
-        
-        reader.readAsText(file);
+        track.src = this.createTrackSource(track);
+        return track;
+    },
+
+    /**
+     * Builds the WebVTT blob URL for a track from its cues, timing correction and direction.
+     * @param {Object} track
+     * @returns {string} Blob URL
+     */
+    createTrackSource(track) {
+        const timed = SubtitleParser.retime(track.cues, track.sync);
+        const directed = SubtitleParser.withDirection(timed, Language.isRtl(track.srclang) ? 'rtl' : 'ltr');
+        return SubtitleParser.createTrackBlob(SubtitleParser.toVtt({ cues: directed, styles: track.styles }));
+    },
+
+    /**
+     * Gives a loaded subtitle its own caption style and remembers it for that file.
+     * @param {number} index
+     * @param {string} name - Preset name, or '' to follow the current settings
+     */
+    changeSubtitleStyle(index, name) {
+        const track = this.tracks[index];
+        if (!track) return;
+
+        track.captionPreset = name || null;
+        AppState.updateFileData(this.subtitleKey(track.source), { captionPreset: track.captionPreset });
+
+        SettingsController.applyTrackStyles();
+        UIManager.renderSubtitleList(this.tracks);
+    },
+
+    /**
+     * Changes the language of a loaded subtitle and remembers it for that file.
+     * @param {number} index
+     * @param {string} code - ISO 639-1 code
+     */
+    changeSubtitleLanguage(index, code) {
+        const track = this.tracks[index];
+        if (!track || track.srclang === code) return;
+
+        track.srclang = code;
+        track.languageDetected = false;
+        if (track.src) URL.revokeObjectURL(track.src);
+        track.src = this.createTrackSource(track);
+
+        AppState.updateFileData(this.subtitleKey(track.source), { language: code });
+
+        this.refreshSourceWithTracks();
+        UIManager.renderSubtitleList(this.tracks);
+        if (SubtitleEditor.trackId === track.id) EditorController.render();
+        UIManager.showToast(`Language: ${Language.name(code)}`);
+    },
+
+    /**
+     * Re-decodes a loaded subtitle with another encoding and remembers the choice for that file.
+     * @param {number} index
+     * @param {string} encoding
+     */
+    changeSubtitleEncoding(index, encoding) {
+        const old = this.tracks[index];
+        if (!old || old.encoding === encoding) return;
+
+        const track = this.buildTrack(old.source, encoding, old.id);
+        if (!track) return;
+
+        if (old.src) URL.revokeObjectURL(old.src);
+        track.default = old.default;
+        track.encodingDetected = false;
+        if (old.dual) track.dual = old.dual;
+        this.tracks[index] = track;
+
+        AppState.updateFileData(this.subtitleKey(old.source), { encoding });
+
+        this.refreshSourceWithTracks();
+        UIManager.renderSubtitleList(this.tracks);
+        EditorController.reload(index);
+        UIManager.showToast(`Encoding: ${TextEncoding.label(encoding)}`);
+    },
+
+    /**
+     * Storage key for per-subtitle-file data (encoding choice)
+     */
+    subtitleKey(source) {
+        return `subtitle:${source.name}:${source.size}`;
     },
 
     removeSubtitle(index) {
@@ -207,9 +886,13 @@ const PlayerController = {
             // Revoke blob to free memory
             if (track.src) URL.revokeObjectURL(track.src);
             
+            if (SubtitleEditor.trackId === track.id) EditorController.close();
+            if (!track.embedded) this.forgetSidecar(track.source);
+
             // Remove from array
             this.tracks.splice(index, 1);
             
+            DualSubtitleController.update();
             this.refreshSourceWithTracks();
             UIManager.renderSubtitleList(this.tracks);
             UIManager.showToast('Subtitle Removed');
@@ -219,6 +902,13 @@ const PlayerController = {
     refreshSourceWithTracks() {
         if (!this.instance || !this.currentFile) return;
 
+        // Styles from ASS / VTT STYLE blocks, for Plyr's HTML caption renderer
+        // (and for the dual subtitle overlay)
+        UIManager.setCaptionStyles(this.tracks.map(t => [
+            SubtitleParser.toHtmlCss(t.styles, '.plyr__caption'),
+            SubtitleParser.toHtmlCss(t.styles, '.dual-captions__line')
+        ].join('\n')).join('\n'));
+
         const currentTime = this.instance.currentTime;
         const isPaused = this.instance.paused;
 
@@ -226,7 +916,14 @@ const PlayerController = {
             type: 'video',
             title: this.currentFile.name,
             sources: [{ src: this.videoObjectUrl, type: this.currentFile.type || 'video/mp4' }],
-            tracks: this.tracks
+            // Plyr turns every key into a <track> attribute, so pass only the standard ones
+            tracks: this.tracks.map(t => ({
+                kind: t.kind,
+                label: t.label,
+                srclang: t.srclang,
+                src: t.src,
+                ...(t.default ? { default: true } : {})
+            }))
         };
 
         // Restore position
@@ -236,84 +933,1786 @@ const PlayerController = {
         });
     },
 
+    /**
+     * Pushes a track's current cues (after edits or a timing change) to the player.
+     * TextTrack cues are writable, which avoids reloading the video; the source is
+     * only refreshed when cues with positioning settings were added or removed.
+     * @param {number} index
+     */
+    pushCues(index) {
+        const track = this.tracks[index];
+        const timed = SubtitleParser.withDirection(
+            SubtitleParser.retime(track.cues, track.sync),
+            Language.isRtl(track.srclang) ? 'rtl' : 'ltr'
+        );
+
+        // Keep the blob in step for the next source refresh
+        if (track.src) URL.revokeObjectURL(track.src);
+        track.src = this.createTrackSource(track);
+
+        const textTrack = this.textTrack(index);
+        const nativeCues = textTrack && textTrack.cues ? Array.from(textTrack.cues) : [];
+        if (textTrack && nativeCues.length === timed.length) {
+            nativeCues.forEach((cue, i) => {
+                cue.startTime = timed[i].start;
+                cue.endTime = timed[i].end;
+                if (cue.text !== timed[i].text) cue.text = timed[i].text;
+            });
+        } else if (textTrack && 'VTTCue' in window && timed.every(c => !c.settings)) {
+            nativeCues.forEach(cue => textTrack.removeCue(cue));
+            timed.forEach(c => textTrack.addCue(new VTTCue(c.start, c.end, c.text)));
+        } else {
+            this.refreshSourceWithTracks();
+        }
+    },
+
+    /**
+     * The media element's TextTrack for a loaded subtitle
+     * @param {number} index
+     * @returns {TextTrack|null}
+     */
+    textTrack(index) {
+        const media = this.instance && this.instance.media;
+        if (!media || !media.textTracks) return null;
+        // <track> elements are created in the same order as PlayerController.tracks
+        const textTracks = Array.from(media.textTracks).filter(t => t.kind === 'captions' || t.kind === 'subtitles');
+        return textTracks[index] || null;
+    },
+
     cleanupSubtitles() {
+        EditorController.close();
         this.tracks.forEach(t => {
             if (t.src) URL.revokeObjectURL(t.src);
         });
         this.tracks = [];
+        DualSubtitleController.update();
     }
 };
 
-// --- 3. Settings Controller ---
-const SettingsController = {
+// --- 3. Queue Controller ---
+const QueueController = {
     init() {
-        this.apply(AppState.settings);
-        UIManager.syncSettings(AppState.settings);
+        Playlist.restore(AppState.queue);
+        this.render();
     },
 
-    update(key, value) {
-        AppState.updateSetting(key, value);
-        this.apply(AppState.settings);
-        UIManager.syncSettings(AppState.settings);
+    /**
+     * Adds picked/dropped videos to the queue and starts the first of them.
+     * Subtitle files among them are attached to the videos they belong to.
+     * @param {File[]} files
+     */
+    openFiles(files) {
+        const videos = files.filter(f => Playlist.isVideoFile(f));
+        const subtitles = files.filter(f => Sidecar.isSubtitleFile(f));
+
+        // Subtitles alone go to the current video (or wait for the next one)
+        if (videos.length === 0) {
+            if (subtitles.length > 0) subtitles.forEach(file => PlayerController.loadSubtitle(file));
+            else UIManager.showToast('No video files found');
+            return;
+        }
+
+        // Subtitles dropped with videos are paired by name / episode and remembered
+        const { pairs, unmatched } = Sidecar.pair(videos, subtitles);
+        pairs.forEach((matched, video) => {
+            if (matched.length > 0) PlayerController.rememberSidecars(video, matched);
+        });
+        if (unmatched.length > 0) {
+            UIManager.showToast(`${unmatched.length} subtitle${unmatched.length > 1 ? 's' : ''} could not be matched to a video`);
+        }
+
+        const indexes = Playlist.add(videos);
+        if (videos.length > 1) UIManager.showToast(`${videos.length} videos added to queue`);
+
+        this.playAt(indexes[0]);
     },
 
-    reset() {
-        const defaults = {
-            fontSize: 18,
-            fontFamily: "'Segoe UI', 'Helvetica Neue', system-ui, sans-serif",
-            textColor: "#ffffff",
-            bgColor: "#000000",
-            bgOpacity: 50
-        };
-        AppState.settings = defaults;
-        AppState.save();
-        this.apply(defaults);
-        UIManager.syncSettings(defaults);
+    playAt(index) {
+        const item = Playlist.items[index];
+        if (!item) return;
+
+        if (!item.file) {
+            UIManager.showToast('Add this file again to play it');
+            return;
+        }
+
+        Playlist.index = index;
+        PlayerController.loadVideo(item.file);
+        this.persist();
     },
 
-    apply(s) {
-        const root = document.documentElement;
-        
-        const hexToRgb = (hex) => {
-            const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-            return result ? `${parseInt(result[1], 16)}, ${parseInt(result[2], 16)}, ${parseInt(result[3], 16)}` : '0,0,0';
-        };
-        const bgRgba = `rgba(${hexToRgb(s.bgColor)}, ${s.bgOpacity / 100})`;
+    next() {
+        const index = Playlist.nextIndex();
+        if (index === -1) {
+            UIManager.showToast('End of queue');
+            return;
+        }
+        this.playAt(index);
+    },
 
-        root.style.setProperty('--caption-size', `${s.fontSize}px`);
-        root.style.setProperty('--caption-color', s.textColor);
-        root.style.setProperty('--caption-bg', bgRgba);
-        root.style.setProperty('--caption-font', s.fontFamily);
-    }
-};
+    previous() {
+        // Like most players: restart the current video unless we are at its beginning
+        if (PlayerController.currentFile && PlayerController.instance.currentTime > 3) {
+            PlayerController.instance.currentTime = 0;
+            return;
+        }
 
-// --- 4. Main Initialization ---
-document.addEventListener('DOMContentLoaded', () => {
-    AppState.init();
-    UIManager.init();
-    PlayerController.init();
-    SettingsController.init();
-    UIManager.renderHistory(AppState.history);
+        const index = Playlist.previousIndex();
+        if (index === -1) {
+            UIManager.showToast('Start of queue');
+            return;
+        }
+        this.playAt(index);
+    },
 
-    // Bind Events
-    UIManager.bindEvents({
-        // Player Events
-        onVideoSelect: (file) => PlayerController.loadVideo(file),
-        onSubtitleSelect: (file) => PlayerController.loadSubtitle(file),
-        onSubtitleRemove: (index) => PlayerController.removeSubtitle(index),
-        
-        // Settings Events
-        onSettingChange: (key, value) => SettingsController.update(key, value),
-        onSettingsReset: () => SettingsController.reset(),
-        
-        // History Events
-        onClearHistory: () => {
-            if (confirm('Clear watch history?')) AppState.clearHistory();
-        },
-        
-        // Onboarding
+    onEnded() {
+        const index = Playlist.nextIndex(true);
+        if (index === -1) return;
+
+        if (index === Playlist.index) {
+            // Repeat one
+            PlayerController.instance.currentTime = 0;
+            PlayerController.instance.play();
+            return;
+        }
+        this.playAt(index);
+    },
+
+    remove(index) {
+        Playlist.remove(index);
+        this.persist();
+    },
+
+    move(from, to) {
+        Playlist.move(from, to);
+        this.persist();
+    },
+
+    toggleShuffle() {
+        Playlist.setShuffle(!Playlist.shuffle);
+        UIManager.showToast(`Shuffle ${Playlist.shuffle ? 'On' : 'Off'}`);
+        this.persist();
+    },
+
+    cycleRepeat() {
+        const mode = Playlist.cycleRepeat();
+        UIManager.showToast(`Repeat: ${mode === 'one' ? 'Current video' : mode === 'all' ? 'Queue' : 'Off'}`);
+        this.persist();
+    },
+
+    clear() {
+        Playlist.clear();
+        this.persist();
+    },
+
+    persist() {
+        AppState.queue = Playlist.serialize();
+        AppState.save();
+        this.render();
+    },
+
+    render() {
+        UIManager.renderQueue(Playlist.items, {
+            index: Playlist.index,
+            shuffle: Playlist.shuffle,
+            repeat: Playlist.repeat
+        });
+    }
+};
+
+// --- 4. Subtitle Sync Controller ---
+const SyncController = {
+    STEP: 0.1, // Seconds per hotkey press (Shift: x10)
+
+    /**
+     * The track targeted by sync hotkeys: the one shown in Plyr's captions, else the first.
+     * @returns {number} Track index or -1
+     */
+    activeTrackIndex() {
+        const tracks = PlayerController.tracks;
+        if (tracks.length === 0) return -1;
+        const current = PlayerController.instance ? PlayerController.instance.currentTrack : -1;
+        return current >= 0 && current < tracks.length ? current : 0;
+    },
+
+    /**
+     * Correction remembered for the current video and the given subtitle file
+     * @param {string} subtitleName
+     * @returns {{offset: number, scale: number, points: Array}}
+     */
+    savedSync(subtitleName) {
+        const videoKey = PlayerController.currentKey;
+        const saved = videoKey ? (AppState.getFileData(videoKey).subtitleSync || {})[subtitleName] : null;
+        return { offset: 0, scale: 1, points: [], ...saved };
+    },
+
+    /**
+     * Catches up on the tracks loaded before the video's key was known: picks up
+     * the remembered correction, or stores the one already set meanwhile.
+     */
+    restore() {
+        PlayerController.tracks.forEach((track, index) => {
+            if (track.sync.offset !== 0 || track.sync.scale !== 1) {
+                this._persist(track);
+                return;
+            }
+            const saved = this.savedSync(track.fileName);
+            if (saved.offset === 0 && saved.scale === 1) return;
+            track.sync = saved;
+            this.apply(index);
+        });
+    },
+
+    shift(index, delta) {
+        const track = PlayerController.tracks[index];
+        if (!track) return;
+
+        track.sync.offset = Math.round((track.sync.offset + delta) * 1000) / 1000;
+        track.sync.points = [];
+        this.apply(index);
+        UIManager.showToast(`${track.label}: ${this.describe(track.sync)}`);
+    },
+
+    shiftActive(delta) {
+        const index = this.activeTrackIndex();
+        if (index === -1) {
+            UIManager.showToast('No subtitle loaded');
+            return;
+        }
+        this.shift(index, delta);
+    },
+
+    reset(index) {
+        const track = PlayerController.tracks[index];
+        if (!track) return;
+
+        track.sync = { offset: 0, scale: 1, points: [] };
+        this.apply(index);
+        UIManager.showToast('Subtitle Sync Reset');
+    },
+
+    /**
+     * Applies a fixed frame-rate conversion factor, keeping the current offset.
+     * @param {number} index
+     * @param {number} scale - e.g. 25 / 23.976
+     */
+    setScale(index, scale) {
+        const track = PlayerController.tracks[index];
+        if (!track) return;
+
+        track.sync.scale = scale;
+        track.sync.points = [];
+        this.apply(index);
+        UIManager.showToast(`${track.label}: ${this.describe(track.sync)}`);
+    },
+
+    /**
+     * "This line should appear now": records a sync point for a cue at the current playhead.
+     * One point shifts the track; a second one also corrects drift.
+     * @param {number} index - Track index
+     * @param {number} cueIndex - Index into track.cues
+     */
+    markLine(index, cueIndex) {
+        const track = PlayerController.tracks[index];
+        const cue = track && track.cues[cueIndex];
+        if (!cue) return;
+
+        const point = { cue: cue.start, actual: PlayerController.instance.currentTime };
+        const points = [...track.sync.points.filter(p => Math.abs(p.cue - point.cue) > 0.001), point].slice(-2);
+
+        if (points.length === 2) {
+            const solved = SubtitleParser.solveSync(points[0], points[1]);
+            if (solved) {
+                track.sync = { ...solved, points };
+                this.apply(index);
+                UIManager.showToast(`Drift corrected (${this.describe(track.sync)})`);
+                return;
+            }
+            // Too close together to measure drift: start over from this point
+            points.shift();
+        }
+
+        track.sync = { offset: point.actual - point.cue * track.sync.scale, scale: track.sync.scale, points };
+        this.apply(index);
+        UIManager.showToast(`${track.label}: ${this.describe(track.sync)} – mark a later line to fix drift`);
+    },
+
+    /**
+     * Index of the cue closest to the playhead (in corrected time), used as the default line to sync.
+     * @param {number} index - Track index
+     * @returns {number}
+     */
+    suggestCue(index) {
+        const track = PlayerController.tracks[index];
+        if (!track || track.cues.length === 0) return -1;
+
+        const now = PlayerController.instance.currentTime;
+        const { offset, scale } = track.sync;
+        let best = 0;
+        track.cues.forEach((cue, i) => {
+            const distance = Math.abs(cue.start * scale + offset - now);
+            const bestDistance = Math.abs(track.cues[best].start * scale + offset - now);
+            if (distance < bestDistance) best = i;
+        });
+        return best;
+    },
+
+    /**
+     * Pushes the corrected timing to the player and remembers it for this video + subtitle.
+     */
+    apply(index) {
+        const track = PlayerController.tracks[index];
+        PlayerController.pushCues(index);
+        DualSubtitleController.update();
+        TranscriptController.refresh();
+        this._persist(track);
+        if (SubtitleEditor.trackId === track.id) EditorController.render();
+        UIManager.renderSubtitleList(PlayerController.tracks);
+    },
+
+    /**
+     * Human readable summary, e.g. "+0.300s" or "-1.200s ×1.0427"
+     */
+    describe({ offset, scale }) {
+        const sign = offset >= 0 ? '+' : '-';
+        let text = `${sign}${Math.abs(offset).toFixed(3)}s`;
+        if (Math.abs(scale - 1) > 0.00005) text += ` ×${scale.toFixed(4)}`;
+        return text;
+    },
+
+    _persist(track) {
+        const videoKey = PlayerController.currentKey;
+        if (!videoKey) return;
+
+        const all = { ...AppState.getFileData(videoKey).subtitleSync };
+        const { offset, scale, points } = track.sync;
+        if (offset === 0 && scale === 1) delete all[track.fileName];
+        else all[track.fileName] = { offset, scale, points };
+
+        AppState.updateFileData(videoKey, { subtitleSync: all });
+    }
+};
+
+// --- 5. Subtitle Editor Controller ---
+const EditorController = {
+    /**
+     * Opens the editor for a loaded subtitle (or closes it if already open for it).
+     * @param {number} index
+     */
+    toggle(index) {
+        const track = PlayerController.tracks[index];
+        if (!track) return;
+
+        if (SubtitleEditor.trackId === track.id) {
+            this.close();
+            return;
+        }
+        SubtitleEditor.open(track.id, track.cues);
+        this.render(true);
+    },
+
+    close() {
+        if (!SubtitleEditor.isOpen()) return;
+        SubtitleEditor.close();
+        UIManager.renderSubtitleEditor(null);
+    },
+
+    /**
+     * Re-reads the cues of a track that was rebuilt (e.g. re-decoded); pending edits are dropped.
+     * @param {number} index
+     */
+    reload(index) {
+        const track = PlayerController.tracks[index];
+        if (!track || SubtitleEditor.trackId !== track.id) return;
+        SubtitleEditor.open(track.id, track.cues);
+        this.render();
+    },
+
+    /**
+     * Applies one editing action. Times come from the playhead, converted back
+     * through the track's sync correction so the original timing stays consistent.
+     * @param {string} action - 'text' | 'start' | 'end' | 'split' | 'merge' | 'insert' | 'delete'
+     * @param {number} cueIndex
+     * @param {string} [value] - New text for 'text'
+     */
+    edit(action, cueIndex, value) {
+        const track = this._track();
+        if (!track) return;
+
+        const now = this._toTrackTime(track, PlayerController.instance.currentTime);
+        let changed;
+        switch (action) {
+            case 'text': changed = SubtitleEditor.setText(cueIndex, value); break;
+            case 'start': changed = SubtitleEditor.setStart(cueIndex, now); break;
+            case 'end':
+                changed = SubtitleEditor.setEnd(cueIndex, now);
+                if (!changed) UIManager.showToast('End must be after the start of the line');
+                break;
+            case 'split': changed = SubtitleEditor.split(cueIndex, now); break;
+            case 'merge': changed = SubtitleEditor.mergeWithNext(cueIndex); break;
+            case 'insert': changed = SubtitleEditor.insert(now) !== -1; break;
+            case 'delete': changed = SubtitleEditor.remove(cueIndex); break;
+            default: changed = false;
+        }
+
+        // Text edits are already on screen; re-rendering would steal the focus
+        if (changed) this._commit(action !== 'text');
+    },
+
+    undo() {
+        if (SubtitleEditor.undo()) this._commit(true);
+    },
+
+    redo() {
+        if (SubtitleEditor.redo()) this._commit(true);
+    },
+
+    /**
+     * Jumps the player to the start of a cue.
+     * @param {number} cueIndex
+     */
+    seek(cueIndex) {
+        const track = this._track();
+        const cue = SubtitleEditor.cues[cueIndex];
+        if (!track || !cue) return;
+        PlayerController.instance.currentTime = cue.start * track.sync.scale + track.sync.offset;
+    },
+
+    /**
+     * Downloads the edited track, with its sync correction applied.
+     * @param {string} format - 'srt' | 'vtt'
+     */
+    export(format) {
+        const track = this._track();
+        if (!track) return;
+
+        // Inserted lines left empty would read as malformed cues
+        const cues = track.cues.filter(c => c.text.trim() !== '');
+        const doc = { cues: SubtitleParser.retime(cues, track.sync), styles: track.styles };
+        const content = format === 'srt' ? SubtitleParser.toSrt(doc) : SubtitleParser.toVtt(doc);
+        UIManager.downloadFile(`${track.label}.${format}`, content, format === 'srt' ? 'application/x-subrip' : 'text/vtt');
+    },
+
+    /**
+     * Follows playback by highlighting the line on screen.
+     */
+    onTimeUpdate() {
+        const track = this._track();
+        if (!track) return;
+        UIManager.highlightEditorCue(SubtitleEditor.indexAt(this._toTrackTime(track, PlayerController.instance.currentTime)));
+    },
+
+    render(scrollToCurrent = false) {
+        const track = this._track();
+        if (!track) {
+            UIManager.renderSubtitleEditor(null);
+            return;
+        }
+
+        const { offset, scale } = track.sync;
+        UIManager.renderSubtitleEditor({
+            label: track.label,
+            rtl: Language.isRtl(track.srclang),
+            cues: SubtitleEditor.cues.map(c => ({ start: c.start * scale + offset, end: c.end * scale + offset, text: c.text })),
+            canUndo: SubtitleEditor.canUndo(),
+            canRedo: SubtitleEditor.canRedo()
+        });
+        if (scrollToCurrent) this.onTimeUpdate();
+    },
+
+    // --- Internal Helpers ---
+
+    _track() {
+        return PlayerController.tracks.find(t => t.id === SubtitleEditor.trackId) || null;
+    },
+
+    _toTrackTime(track, time) {
+        return (time - track.sync.offset) / track.sync.scale;
+    },
+
+    /**
+     * Hands the edited cues to the track and reloads them into the player.
+     */
+    _commit(rerender) {
+        const track = this._track();
+        const index = PlayerController.tracks.indexOf(track);
+
+        track.cues = SubtitleEditor.cues;
+        PlayerController.pushCues(index);
+        DualSubtitleController.update();
+        TranscriptController.refresh();
+
+        if (!track.edited) {
+            track.edited = true;
+            UIManager.renderSubtitleList(PlayerController.tracks);
+        }
+
+        if (rerender) this.render();
+        else UIManager.setEditorHistory(SubtitleEditor.canUndo(), SubtitleEditor.canRedo());
+    }
+};
+
+// --- 6. Dual Subtitle Controller ---
+const DualSubtitleController = {
+    frame: null, // Pending requestAnimationFrame id while playing
+
+    /**
+     * Assigns a loaded subtitle to the upper ('primary') or lower ('secondary') line.
+     * Both lines set: the two tracks are drawn together in an overlay instead of Plyr's captions.
+     * @param {string} role - 'primary' | 'secondary'
+     * @param {number} index - Track index, or -1 to clear the line
+     */
+    select(role, index) {
+        const tracks = PlayerController.tracks;
+        const chosen = tracks[index] || null;
+
+        tracks.forEach(track => {
+            if (track.dual === role || track === chosen) delete track.dual;
+        });
+        if (chosen) chosen.dual = role;
+
+        this.update();
+        SettingsController.applyTrackStyles();
+        TranscriptController.refresh();
+        UIManager.renderSubtitleList(tracks);
+    },
+
+    isActive() {
+        return !!(this._track('primary') && this._track('secondary'));
+    },
+
+    /**
+     * Shows or hides the overlay to match the current selection and playback state.
+     */
+    update() {
+        if (!this.isActive()) {
+            this._stop();
+            UIManager.setDualCaptions(null);
+            return;
+        }
+
+        this.render();
+        if (!PlayerController.instance.paused) this._start();
+    },
+
+    /**
+     * Draws the cues active at the current time
+     */
+    render() {
+        const time = PlayerController.instance.currentTime;
+        UIManager.setDualCaptions(PlayerController.instance.elements.container, {
+            primary: this._cueHtml(this._track('primary'), time),
+            secondary: this._cueHtml(this._track('secondary'), time)
+        });
+    },
+
+    // --- Internal Helpers ---
+
+    _track(role) {
+        return PlayerController.tracks.find(t => t.dual === role) || null;
+    },
+
+    /**
+     * HTML of the cues shown at `time`, with the track's sync correction applied
+     */
+    _cueHtml(track, time) {
+        const { offset, scale } = track.sync;
+        return track.cues
+            .filter(c => c.start * scale + offset <= time && time < c.end * scale + offset)
+            .map(c => SubtitleParser.toHtml(c.text))
+            .join('\n');
+    },
+
+    // timeupdate fires only a few times per second; follow playback per frame instead
+    _start() {
+        if (this.frame) return;
+        const tick = () => {
+            this.frame = null;
+            if (!this.isActive() || PlayerController.instance.paused) return;
+            this.render();
+            this.frame = requestAnimationFrame(tick);
+        };
+        this.frame = requestAnimationFrame(tick);
+    },
+
+    _stop() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+};
+
+// --- 7. Transcript Controller ---
+const TranscriptController = {
+    trackId: null,      // Track shown in the transcript
+    query: '',
+    matches: [],        // Indexes of the cues containing the query
+    matchIndex: -1,     // Position in `matches` of the selected match
+
+    /**
+     * Rebuilds the transcript from the active track (dual subtitles: the upper one).
+     */
+    refresh() {
+        const track = this._track();
+        this.trackId = track ? track.id : null;
+        if (!track) {
+            UIManager.renderTranscript(null);
+            return;
+        }
+
+        const { offset, scale } = track.sync;
+        UIManager.renderTranscript({
+            label: track.label,
+            rtl: Language.isRtl(track.srclang),
+            query: this.query,
+            lines: track.cues.map(c => ({ time: c.start * scale + offset, text: SubtitleParser.toPlainText(c.text) }))
+        });
+        this._match(track, false);
+        this.onTimeUpdate();
+    },
+
+    /**
+     * Full-text search over the transcript (case and accent insensitive).
+     * @param {string} query
+     */
+    search(query) {
+        this.query = query.trim();
+        this.matchIndex = 0;
+        this.refresh();
+        UIManager.setTranscriptMatches(this.matches, this.matchIndex, true);
+    },
+
+    /**
+     * Moves to the next (1) or previous (-1) match, wrapping around.
+     */
+    step(direction) {
+        if (this.matches.length === 0) return;
+        this.matchIndex = (this.matchIndex + direction + this.matches.length) % this.matches.length;
+        UIManager.setTranscriptMatches(this.matches, this.matchIndex, true);
+    },
+
+    /**
+     * @param {number} cueIndex
+     */
+    seek(cueIndex) {
+        const track = this._track();
+        const cue = track && track.cues[cueIndex];
+        if (!cue) return;
+        PlayerController.instance.currentTime = cue.start * track.sync.scale + track.sync.offset;
+    },
+
+    /**
+     * Highlights the line being spoken
+     */
+    onTimeUpdate() {
+        const track = this._track();
+        if (!track) return;
+
+        const time = PlayerController.instance.currentTime;
+        const { offset, scale } = track.sync;
+        UIManager.highlightTranscriptLine(track.cues.findIndex(c => c.start * scale + offset <= time && time < c.end * scale + offset));
+    },
+
+    // --- Internal Helpers ---
+
+    _track() {
+        const tracks = PlayerController.tracks;
+        return tracks.find(t => t.dual === 'primary' && DualSubtitleController.isActive())
+            || tracks[SyncController.activeTrackIndex()]
+            || null;
+    },
+
+    _match(track, scroll) {
+        const needle = this._fold(this.query);
+        this.matches = [];
+        if (needle) {
+            track.cues.forEach((cue, i) => {
+                if (this._fold(SubtitleParser.toPlainText(cue.text)).includes(needle)) this.matches.push(i);
+            });
+        }
+        this.matchIndex = Math.min(Math.max(this.matchIndex, 0), this.matches.length - 1);
+        UIManager.setTranscriptMatches(this.matches, this.matchIndex, scroll);
+    },
+
+    /**
+     * Normalises text for searching: lower case, no accents or Arabic vowel marks,
+     * Arabic Yeh / Kaf folded into their Persian forms.
+     */
+    _fold(text) {
+        return text
+            .normalize('NFD')
+            .replace(/[\u0300-\u036F\u064B-\u065F\u0670]/g, '')
+            .replace(/\u064A/g, '\u06CC')
+            .replace(/\u0643/g, '\u06A9')
+            .toLocaleLowerCase();
+    }
+};
+
+// --- 8. Bookmark Controller ---
+const BookmarkController = {
+    bookmarks: [], // Bookmarks of the current video, in time order
+
+    /**
+     * Loads the bookmarks stored for the current video.
+     */
+    load() {
+        const videoKey = PlayerController.currentKey;
+        this.bookmarks = videoKey ? Bookmarks.sort(AppState.getFileData(videoKey).bookmarks || []) : [];
+        this.render();
+    },
+
+    /**
+     * Bookmarks the current playback time and focuses its label for naming.
+     */
+    add() {
+        if (!PlayerController.currentFile) {
+            UIManager.showToast('Please load a video first!');
+            return;
+        }
+
+        const bookmark = Bookmarks.create(PlayerController.instance.currentTime, `Bookmark ${this.bookmarks.length + 1}`);
+        this.bookmarks = Bookmarks.sort([...this.bookmarks, bookmark]);
+        this._save();
+        this.render();
+        UIManager.focusBookmark(bookmark.id);
+        UIManager.showToast('Bookmark Added');
+    },
+
+    /**
+     * @param {string} id
+     * @param {{label?: string, note?: string}} patch
+     */
+    update(id, patch) {
+        const bookmark = this.bookmarks.find(b => b.id === id);
+        if (!bookmark) return;
+        Object.assign(bookmark, patch);
+        this._save();
+        this.renderMarkers();
+    },
+
+    remove(id) {
+        this.bookmarks = this.bookmarks.filter(b => b.id !== id);
+        this._save();
+        this.render();
+    },
+
+    seek(id) {
+        const bookmark = this.bookmarks.find(b => b.id === id);
+        if (bookmark) PlayerController.instance.currentTime = bookmark.time;
+    },
+
+    /**
+     * Downloads the bookmarks as WebVTT chapters or JSON.
+     * @param {string} format - 'vtt' | 'json'
+     */
+    export(format) {
+        const video = PlayerController.currentFile;
+        if (!video) return;
+        if (this.bookmarks.length === 0) {
+            UIManager.showToast('No bookmarks to export');
+            return;
+        }
+
+        const base = video.name.replace(/\.[^/.]+$/, '');
+        if (format === 'json') {
+            UIManager.downloadFile(`${base}.bookmarks.json`, Bookmarks.toJson(this.bookmarks, video), 'application/json');
+        } else {
+            UIManager.downloadFile(`${base}.chapters.vtt`, Bookmarks.toVtt(this.bookmarks, PlayerController.instance.duration), 'text/vtt');
+        }
+    },
+
+    /**
+     * Adds the bookmarks from a chapters (.vtt) or JSON file; ones already present are skipped.
+     * @param {File} file
+     */
+    async import(file) {
+        if (!PlayerController.currentFile) {
+            UIManager.showToast('Please load a video first!');
+            return;
+        }
+
+        let imported;
+        try {
+            imported = Bookmarks.parse(await file.text(), file.name);
+        } catch (e) {
+            console.error('FluxPlayer Bookmark Import Error:', e);
+            UIManager.showToast(`Could not import ${file.name}`);
+            return;
+        }
+
+        const added = imported.filter(b => !this.bookmarks.some(x => Math.abs(x.time - b.time) < 0.5 && x.label === b.label));
+        this.bookmarks = Bookmarks.sort([...this.bookmarks, ...added]);
+        this._save();
+        this.render();
+        UIManager.showToast(`${added.length} bookmark${added.length !== 1 ? 's' : ''} imported`);
+    },
+
+    render() {
+        UIManager.renderBookmarks(PlayerController.currentFile ? this.bookmarks : null);
+        this.renderMarkers();
+    },
+
+    renderMarkers() {
+        const player = PlayerController.instance;
+        UIManager.setBookmarkMarkers(player.elements.progress, this.bookmarks, player.duration);
+    },
+
+    // --- Internal Helpers ---
+
+    _save() {
+        const videoKey = PlayerController.currentKey;
+        if (videoKey) AppState.updateFileData(videoKey, { bookmarks: this.bookmarks });
+    }
+};
+
+// --- 9. A–B Loop & Frame Step Controller ---
+const LoopController = {
+    DEFAULT_FRAME_DURATION: 1 / 30, // Assumed until measured
+    frame: null,            // requestAnimationFrame id while watching for the loop end
+    lastTime: 0,            // Playback position at the previous check
+    frameDuration: 1 / 30,
+    measuredFor: null,      // Video whose frame rate has been measured
+
+    /**
+     * Drops the loop and the frame rate of the previous video.
+     */
+    reset() {
+        ABLoop.clear();
+        this.frameDuration = this.DEFAULT_FRAME_DURATION;
+        this.measuredFor = null;
+        this.update();
+    },
+
+    setA() {
+        if (!this._ready()) return;
+        ABLoop.setA(PlayerController.instance.currentTime);
+        this.update();
+    },
+
+    setB() {
+        if (!this._ready()) return;
+        if (!ABLoop.setB(PlayerController.instance.currentTime)) {
+            UIManager.showToast('Loop end must come after its start');
+            return;
+        }
+        this.update();
+        UIManager.showToast('A–B Loop On');
+    },
+
+    /**
+     * Loops the subtitle line on screen (or the last one before it); clears the loop if one is set.
+     */
+    toggleLine() {
+        if (!this._ready()) return;
+        if (ABLoop.a !== null) {
+            this.clear();
+            return;
+        }
+
+        const track = PlayerController.tracks[SyncController.activeTrackIndex()];
+        if (!track) {
+            UIManager.showToast('No subtitle loaded');
+            return;
+        }
+
+        const now = PlayerController.instance.currentTime;
+        const { offset, scale } = track.sync;
+        const cues = track.cues.map(c => ({ start: c.start * scale + offset, end: c.end * scale + offset }));
+        const cue = cues.find(c => c.start <= now && now < c.end) || cues.filter(c => c.start <= now).pop();
+        if (!cue || !ABLoop.set(cue.start, cue.end)) {
+            UIManager.showToast('No subtitle line here');
+            return;
+        }
+
+        PlayerController.instance.currentTime = ABLoop.a;
+        this.update();
+        UIManager.showToast('Looping Current Line');
+    },
+
+    clear() {
+        ABLoop.clear();
+        this.update();
+        UIManager.showToast('A–B Loop Off');
+    },
+
+    /**
+     * @param {number} count - Passes before the loop releases (0 = endless)
+     */
+    setRepeat(count) {
+        ABLoop.setRepeat(count);
+        this.update();
+    },
+
+    /**
+     * Jumps back to A when playback crosses B.
+     */
+    check() {
+        const player = PlayerController.instance;
+        const time = player.currentTime;
+        const result = ABLoop.check(this.lastTime, time);
+        this.lastTime = time;
+
+        if (result === 'loop') {
+            player.currentTime = ABLoop.a;
+            this.lastTime = ABLoop.a;
+            this.render();
+        } else if (result === 'done') {
+            this.update();
+            UIManager.showToast('Loop Finished');
+        }
+    },
+
+    /**
+     * Steps one frame, pausing first. Lands mid-frame so rounding cannot show the neighbour.
+     * @param {number} direction - -1 | 1
+     */
+    stepFrame(direction) {
+        if (!this._ready()) return;
+        const player = PlayerController.instance;
+        if (!player.paused) player.pause();
+
+        const d = this.frameDuration;
+        const index = Math.floor(player.currentTime / d + 0.001);
+        const target = (index + direction) * d + d / 2;
+        player.currentTime = Math.max(0, Math.min(target, player.duration || target));
+    },
+
+    onLoadedMetadata() {
+        if (this.measuredFor !== PlayerController.currentFile) this._measureFrameRate();
+        this.render();
+    },
+
+    /**
+     * Re-renders and (re)starts watching playback when needed.
+     */
+    update() {
+        this.lastTime = PlayerController.instance.currentTime;
+        this.render();
+        if (ABLoop.isActive() && !PlayerController.instance.paused) this._start();
+        else this._stop();
+    },
+
+    render() {
+        const player = PlayerController.instance;
+        UIManager.setLoopRange(player.elements.progress, ABLoop.a, ABLoop.b, player.duration);
+        UIManager.renderLoop(PlayerController.currentFile ? {
+            a: ABLoop.a,
+            b: ABLoop.b,
+            repeat: ABLoop.repeat,
+            passes: ABLoop.passes,
+            fps: 1 / this.frameDuration,
+            fpsMeasured: this.measuredFor === PlayerController.currentFile
+        } : null);
+    },
+
+    // --- Internal Helpers ---
+
+    _ready() {
+        if (PlayerController.currentFile) return true;
+        UIManager.showToast('Please load a video first!');
+        return false;
+    },
+
+    /**
+     * Measures the frame duration from presented frames (requestVideoFrameCallback).
+     * Frames are only reported during playback; a source refresh restarts the measurement.
+     */
+    _measureFrameRate() {
+        const video = PlayerController.instance.media;
+        const file = PlayerController.currentFile;
+        if (!video || typeof video.requestVideoFrameCallback !== 'function') return;
+
+        const samples = [];
+        let last = null;
+        const onFrame = (now, meta) => {
+            if (video !== PlayerController.instance.media || file !== PlayerController.currentFile) return;
+
+            const frames = last ? meta.presentedFrames - last.presentedFrames : 0;
+            if (frames > 0 && meta.mediaTime > last.mediaTime) samples.push((meta.mediaTime - last.mediaTime) / frames);
+            last = meta;
+
+            if (samples.length < 10) {
+                video.requestVideoFrameCallback(onFrame);
+                return;
+            }
+            samples.sort((x, y) => x - y);
+            this.frameDuration = samples[samples.length >> 1];
+            this.measuredFor = file;
+            this.render();
+        };
+        video.requestVideoFrameCallback(onFrame);
+    },
+
+    _start() {
+        if (this.frame) return;
+        const tick = () => {
+            this.frame = null;
+            if (!ABLoop.isActive() || PlayerController.instance.paused) return;
+            this.check();
+            this.frame = requestAnimationFrame(tick);
+        };
+        this.frame = requestAnimationFrame(tick);
+    },
+
+    _stop() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+};
+
+// --- 10. Seek Preview Controller ---
+const ThumbnailController = {
+    /**
+     * Drops the previous video's thumbnails.
+     */
+    reset() {
+        Thumbnails.stop();
+    },
+
+    /**
+     * Starts on the thumbnails of a newly loaded video (from cache or generated).
+     * @param {File} file
+     * @param {string} key - The video's storage key (AppState.keyFor)
+     */
+    load(file, key) {
+        Thumbnails.load(file, key);
+        this.onPlaybackChange();
+    },
+
+    onPlaybackChange() {
+        if (PlayerController.instance.paused) Thumbnails.resume();
+        else Thumbnails.pause();
+    },
+
+    /**
+     * Attaches the preview to the progress bar (rebuilt by Plyr with each source).
+     */
+    bind() {
+        UIManager.bindSeekPreview(PlayerController.instance.elements.progress);
+    },
+
+    /**
+     * @param {number} ratio - Position on the progress bar (0–1)
+     * @returns {string|null} Thumbnail URL
+     */
+    preview(ratio) {
+        const duration = PlayerController.instance.duration;
+        return duration ? Thumbnails.at(ratio * duration) : null;
+    }
+};
+
+// --- 11. Snapshot & Clip Controller ---
+const CaptureController = {
+    MAX_CLIP_LENGTH: 300, // Seconds (clips are recorded in real time)
+    progress: null,       // 0–1 while a clip is being recorded
+
+    /**
+     * Stops a clip of the previous video.
+     */
+    reset() {
+        Capture.cancelClip();
+        this.render();
+    },
+
+    /**
+     * Downloads the frame on screen as PNG or JPEG.
+     */
+    async snapshot() {
+        const media = PlayerController.instance.media;
+        if (!PlayerController.currentFile || !media || !media.videoWidth) {
+            UIManager.showToast('Please load a video first!');
+            return;
+        }
+
+        const format = AppState.settings.snapshotFormat === 'jpeg' ? 'jpeg' : 'png';
+        const time = media.currentTime;
+        const shown = AppState.settings.captureSubtitles ? this._shownTracks() : [];
+        try {
+            const blob = await Capture.snapshot(media, {
+                type: `image/${format}`,
+                ...this._burnIn(media, shown),
+                captions: this._captionsAt(shown, time)
+            });
+            UIManager.downloadBlob(`${this._baseName()}_${this._stamp(time, true)}.${format === 'jpeg' ? 'jpg' : 'png'}`, blob);
+            UIManager.showToast('Snapshot Saved');
+        } catch (e) {
+            console.error('FluxPlayer Snapshot Error:', e);
+            UIManager.showToast('Could not capture this frame');
+        }
+    },
+
+    /**
+     * Records the A–B loop range to WebM, or stops the recording in progress.
+     */
+    async toggleClip() {
+        if (this.progress !== null) {
+            Capture.cancelClip();
+            UIManager.showToast('Clip Cancelled');
+            return;
+        }
+
+        const media = PlayerController.instance.media;
+        if (!PlayerController.currentFile || !media || !media.videoWidth) {
+            UIManager.showToast('Please load a video first!');
+            return;
+        }
+        if (!ABLoop.isActive()) {
+            UIManager.showToast('Set a loop (A and B) to choose the clip range');
+            return;
+        }
+        const start = ABLoop.a;
+        const end = ABLoop.b;
+        if (end - start > this.MAX_CLIP_LENGTH) {
+            UIManager.showToast(`Clips can be up to ${this.MAX_CLIP_LENGTH / 60} minutes long`);
+            return;
+        }
+
+        const file = PlayerController.currentFile;
+        const shown = AppState.settings.captureSubtitles ? this._shownTracks() : [];
+        this.progress = 0;
+        this.render();
+        UIManager.showToast('Recording Clip…');
+
+        try {
+            const blob = await Capture.recordClip(PlayerController.videoObjectUrl, {
+                start,
+                end,
+                ...this._burnIn(media, shown),
+                captionsAt: (time) => this._captionsAt(shown, time),
+                onProgress: (progress) => {
+                    this.progress = progress;
+                    this.render();
+                }
+            });
+            if (blob && file === PlayerController.currentFile) {
+                UIManager.downloadBlob(`${this._baseName()}_${this._stamp(start)}-${this._stamp(end)}.webm`, blob);
+                UIManager.showToast('Clip Saved');
+            }
+        } catch (e) {
+            console.error('FluxPlayer Clip Error:', e);
+            UIManager.showToast(e.message || 'Could not record the clip');
+        } finally {
+            this.progress = null;
+            this.render();
+        }
+    },
+
+    render() {
+        UIManager.renderCapture(PlayerController.currentFile ? {
+            canRecord: Capture.canRecord(),
+            progress: this.progress
+        } : null);
+    },
+
+    // --- Internal Helpers ---
+
+    /**
+     * Caption style and size for drawing onto frames of the video's own resolution.
+     * Caption sizes are CSS pixels of the player, so they grow with the video/player ratio.
+     * A single caption track with its own preset is also placed like that preset.
+     */
+    _burnIn(media, shown) {
+        const rect = media.getBoundingClientRect();
+        const height = Math.min(rect.height, rect.width * media.videoHeight / media.videoWidth);
+        const single = shown.length === 1 ? SettingsController.trackStyle(shown[0].track) : null;
+        return {
+            style: single || CaptionStyle.resolve(AppState.settings),
+            scale: height > 0 ? media.videoHeight / height : 1
+        };
+    },
+
+    /**
+     * The tracks whose lines are on screen: both dual subtitle lines, or Plyr's caption track.
+     */
+    _shownTracks() {
+        const tracks = PlayerController.tracks;
+        if (DualSubtitleController.isActive()) {
+            return ['primary', 'secondary'].map(role => ({ track: tracks.find(t => t.dual === role), secondary: role === 'secondary' }));
+        }
+
+        const player = PlayerController.instance;
+        const track = player.captions.active ? tracks[player.currentTrack] : null;
+        return track ? [{ track, secondary: false }] : [];
+    },
+
+    _captionsAt(shown, time) {
+        return shown
+            .map(({ track, secondary }) => {
+                const { offset, scale } = track.sync;
+                const text = track.cues
+                    .filter(c => c.start * scale + offset <= time && time < c.end * scale + offset)
+                    .map(c => c.text.split('\n').map(line => SubtitleParser.toPlainText(line).trim()).join('\n'))
+                    .join('\n');
+                return { text, secondary, rtl: Language.isRtl(track.srclang), style: SettingsController.trackStyle(track) };
+            })
+            .filter(block => block.text.trim());
+    },
+
+    _baseName() {
+        return PlayerController.currentFile.name.replace(/\.[^/.]+$/, '');
+    },
+
+    /**
+     * File-name friendly timestamp: 01-02-03, or 01-02-03.450 with milliseconds
+     */
+    _stamp(time, withMs = false) {
+        const pad = (n, width = 2) => String(n).padStart(width, '0');
+        const ms = Math.round(time * 1000);
+        const clock = `${pad(Math.floor(ms / 3600000))}-${pad(Math.floor(ms / 60000) % 60)}-${pad(Math.floor(ms / 1000) % 60)}`;
+        return withMs ? `${clock}.${pad(ms % 1000, 3)}` : clock;
+    }
+};
+
+// --- 12. History Library Controller ---
+const HistoryController = {
+    search: '',
+    sort: 'recent',         // See HistoryLibrary.query
+    filter: 'all',
+    grouped: true,          // Episodes of a series under one heading
+    collapsed: new Set(),   // Series whose episodes are hidden
+
+    /**
+     * @param {Object} options - Any of { search, sort, filter, grouped }
+     */
+    setView(options) {
+        Object.assign(this, options);
+        this.render();
+    },
+
+    toggleSeries(series) {
+        if (this.collapsed.has(series)) this.collapsed.delete(series);
+        else this.collapsed.add(series);
+        this.render();
+    },
+
+    remove(key) {
+        AppState.removeFromHistory(key);
+        UIManager.showToast('Removed from History');
+    },
+
+    /**
+     * Applies a new history size, dropping the oldest entries if it shrank.
+     */
+    resize() {
+        if (AppState.trimHistory()) AppState.save();
+        this.render();
+    },
+
+    /**
+     * Shows the new position of an entry being played. The list is rebuilt only when
+     * the entry's state changes (it may move, or leave the filter); otherwise just its
+     * progress is updated, so the list does not change under the pointer.
+     * @param {Object} item - History entry
+     * @param {string} previous - Its HistoryLibrary.state before the update
+     */
+    refresh(item, previous) {
+        if (HistoryLibrary.state(item) !== previous) this.render();
+        else UIManager.updateHistoryItem(this._view(item));
+    },
+
+    render() {
+        const list = HistoryLibrary.query(AppState.history, { search: this.search, sort: this.sort, filter: this.filter });
+        const groups = this.grouped ? HistoryLibrary.group(list) : list.map(item => ({ series: null, items: [item] }));
+
+        UIManager.renderHistory(groups.map(group => ({
+            ...group,
+            collapsed: group.series !== null && this.collapsed.has(group.series),
+            items: group.items.map(item => this._view(item))
+        })), {
+            total: AppState.history.length,
+            shown: list.length,
+            view: { search: this.search, sort: this.sort, filter: this.filter, grouped: this.grouped }
+        });
+    },
+
+    // --- Internal Helpers ---
+
+    // An entry as the list shows it
+    _view(item) {
+        return { ...item, state: HistoryLibrary.state(item), progress: HistoryLibrary.progress(item) };
+    }
+};
+
+// --- 13. Settings Controller ---
+const SettingsController = {
+    init() {
+        this.apply(AppState.settings);
+        UIManager.syncSettings(AppState.settings);
+    },
+
+    update(key, value) {
+        AppState.updateSetting(key, value);
+        this.apply(AppState.settings);
+        UIManager.syncSettings(AppState.settings);
+        if (key === 'historySize') HistoryController.resize();
+    },
+
+    reset() {
+        const defaults = {
+            ...DEFAULT_SETTINGS,
+            // Saved styles and the history size are kept; only the current look and behavior are reset
+            captionPresets: AppState.settings.captionPresets,
+            historySize: AppState.settings.historySize
+        };
+        AppState.settings = defaults;
+        AppState.save();
+        this.apply(defaults);
+        UIManager.syncSettings(defaults);
+    },
+
+    /**
+     * Steps the subtitle size (within the range of the settings slider).
+     * @param {number} delta - Pixels
+     */
+    stepCaptionSize(delta) {
+        const size = Math.min(40, Math.max(14, Number(AppState.settings.fontSize) + delta));
+        this.update('fontSize', size);
+        UIManager.showToast(`Subtitle Size: ${size}px`);
+    },
+
+    /**
+     * Remaps a keyboard shortcut.
+     * @param {string} action
+     * @param {string} combo - '' to unbind
+     * @returns {Object|null} The shortcut already using the combo (nothing is saved then)
+     */
+    setShortcut(action, combo) {
+        const conflict = Shortcuts.set(action, combo);
+        if (!conflict) this.update('shortcuts', Shortcuts.overrides());
+        return conflict;
+    },
+
+    resetShortcuts() {
+        this.update('shortcuts', {});
+        UIManager.showToast('Shortcuts Reset');
+    },
+
+    /**
+     * Makes a preset the current caption look.
+     * @param {string} name
+     */
+    applyPreset(name) {
+        const preset = CaptionStyle.find(AppState.settings.captionPresets, name);
+        if (!preset) return;
+        Object.assign(AppState.settings, preset.style);
+        AppState.save();
+        this.apply(AppState.settings);
+        UIManager.syncSettings(AppState.settings);
+        UIManager.showToast(`Caption Style: ${preset.name}`);
+    },
+
+    /**
+     * Saves the current caption look as a named preset.
+     * @param {string} name
+     * @returns {boolean} True if saved
+     */
+    savePreset(name) {
+        let presets;
+        try {
+            presets = CaptionStyle.save(AppState.settings.captionPresets, name, AppState.settings);
+        } catch (e) {
+            UIManager.showToast(e.message);
+            return false;
+        }
+        this.update('captionPresets', presets);
+        UIManager.renderSubtitleList(PlayerController.tracks);
+        UIManager.showToast('Caption Style Saved');
+        return true;
+    },
+
+    /**
+     * Deletes a saved preset; subtitles that used it go back to the current look.
+     * @param {string} name
+     */
+    deletePreset(name) {
+        const preset = CaptionStyle.find(AppState.settings.captionPresets, name);
+        if (!preset || preset.builtIn) return;
+        this.update('captionPresets', CaptionStyle.remove(AppState.settings.captionPresets, name));
+        UIManager.renderSubtitleList(PlayerController.tracks);
+        UIManager.showToast('Caption Style Deleted');
+    },
+
+    /**
+     * The look of a subtitle track: its own preset if it has one, otherwise the current settings.
+     * @param {Object|null} track
+     * @returns {Object|null} Resolved style (see CaptionStyle.resolve), or null when the track follows the settings
+     */
+    trackStyle(track) {
+        const preset = track && track.captionPreset ? CaptionStyle.find(AppState.settings.captionPresets, track.captionPreset) : null;
+        if (!preset) return null;
+        // A preset on the lower dual line sets that line's size and colour too
+        return CaptionStyle.resolve({
+            ...AppState.settings,
+            ...preset.style,
+            secondarySize: preset.style.fontSize,
+            secondaryColor: preset.style.textColor
+        });
+    },
+
+    /**
+     * Applies per-track presets to Plyr's captions (for the current track) and to the dual subtitle lines.
+     */
+    applyTrackStyles() {
+        const player = PlayerController.instance;
+        if (!player) return;
+        const tracks = PlayerController.tracks;
+        const variables = (track) => {
+            const style = this.trackStyle(track);
+            return style ? CaptionStyle.variables(style) : null;
+        };
+
+        const current = player.captions && player.captions.active ? tracks[player.currentTrack] : null;
+        UIManager.setCaptionVariables(player.elements.captions, variables(current));
+        UIManager.setDualCaptionVariables({
+            primary: variables(tracks.find(t => t.dual === 'primary')),
+            secondary: variables(tracks.find(t => t.dual === 'secondary'))
+        });
+    },
+
+    apply(s) {
+        Shortcuts.load(s.shortcuts);
+        UIManager.setCaptionVariables(document.documentElement, CaptionStyle.variables(CaptionStyle.resolve(s)));
+        UIManager.renderCaptionPresets(CaptionStyle.presets(s.captionPresets));
+        this.applyTrackStyles();
+    }
+};
+
+// --- 14. Backup Controller ---
+const BackupController = {
+    pending: null, // Backup read from a file, waiting for merge / replace
+
+    /**
+     * Downloads everything FluxPlayer stores as a JSON file.
+     */
+    export() {
+        const date = new Date().toISOString().slice(0, 10);
+        UIManager.downloadFile(`fluxplayer-backup-${date}.json`, Backup.create(AppState.snapshot()), 'application/json');
+        UIManager.showToast('Backup Exported');
+    },
+
+    /**
+     * Reads a backup file and asks whether to merge or replace.
+     * @param {File} file
+     */
+    async import(file) {
+        try {
+            this.pending = Backup.parse(await file.text(), AppState.settings);
+        } catch (e) {
+            console.error('FluxPlayer Backup Import Error:', e);
+            UIManager.showToast(e.message || `Could not import ${file.name}`);
+            return;
+        }
+        UIManager.showRestorePrompt({
+            exportedAt: this.pending.exportedAt,
+            history: this.pending.history.length,
+            files: Object.keys(this.pending.files).length,
+            skipped: this.pending.skipped
+        });
+    },
+
+    /**
+     * @param {string} mode - 'merge' | 'replace'
+     */
+    async apply(mode) {
+        const backup = this.pending;
+        this.pending = null;
+        UIManager.toggleModal('restore-modal', false);
+        if (!backup) return;
+
+        await AppState.restore(mode === 'replace' ? backup : Backup.merge(AppState.snapshot(), backup));
+
+        SettingsController.init();
+        if (mode === 'replace') QueueController.init();
+        HistoryController.render();
+        BookmarkController.load();
+        UIManager.showToast(mode === 'replace' ? 'Backup Restored' : 'Backup Merged');
+    },
+
+    cancel() {
+        this.pending = null;
+        UIManager.toggleModal('restore-modal', false);
+    }
+};
+
+// --- 15. Watch Together Controller ---
+const WatchTogetherController = {
+    blocked: false, // The browser refused to start playback while following (told once)
+
+    init() {
+        WatchTogether.configure({
+            getState: () => this.state(),
+            onState: (leader) => this.follow(leader),
+            onChange: () => this.render()
+        });
+
+        const player = PlayerController.instance;
+        ['play', 'pause', 'seeked', 'ratechange', 'loadedmetadata'].forEach(event => {
+            player.on(event, () => {
+                if (WatchTogether.isLeader()) WatchTogether.publish();
+            });
+        });
+        // Followers stay with the leader (our own nudges and seeks end up here too, harmlessly)
+        ['play', 'pause', 'seeked', 'loadedmetadata'].forEach(event => {
+            player.on(event, () => {
+                const leader = WatchTogether.isActive() && !WatchTogether.isLeader() ? WatchTogether.session.leader : null;
+                if (leader) this.follow(leader);
+            });
+        });
+        window.addEventListener('pagehide', () => WatchTogether.stop());
+
+        this.render();
+    },
+
+    /**
+     * @param {string} role - 'leader' (host) | 'follower' (join)
+     * @param {{name: string, code: string, kind: string, server: string}} options - As entered
+     */
+    start(role, { name, code, kind, server }) {
+        const normalized = WatchTogether.normalizeCode(code);
+        if (!normalized) {
+            UIManager.showToast('Enter a session code of 4–16 letters or digits');
+            return;
+        }
+        const url = kind === 'lan' ? WatchTogether.normalizeServer(server) : null;
+        if (kind === 'lan' && !url) {
+            UIManager.showToast('Enter the room server address, e.g. 192.168.1.10:8787');
+            return;
+        }
+
+        AppState.settings.togetherName = name.trim();
+        if (kind === 'lan') AppState.settings.togetherServer = server.trim();
+        AppState.save();
+
+        try {
+            WatchTogether.start({ code: normalized, role, kind, server: url, name });
+        } catch (e) {
+            UIManager.showToast(e.message);
+            return;
+        }
+        this.blocked = false;
+        UIManager.showToast(role === 'leader' ? `Hosting Session ${normalized}` : `Joined Session ${normalized}`);
+    },
+
+    leave() {
+        if (!WatchTogether.isActive()) return;
+        this._resetRate();
+        WatchTogether.stop();
+        UIManager.showToast('Left Session');
+    },
+
+    takeLead() {
+        this._resetRate();
+        WatchTogether.takeLead();
+        UIManager.showToast('You Are Leading');
+    },
+
+    newCode() {
+        return WatchTogether.generateCode();
+    },
+
+    /**
+     * This player's state, as sent to the others.
+     */
+    state() {
+        const player = PlayerController.instance;
+        const file = PlayerController.currentFile;
+        return {
+            playing: !!file && !player.paused,
+            time: file ? player.currentTime : 0,
+            rate: player.media ? player.media.playbackRate : 1,
+            media: file ? { key: PlayerController.currentKey || '', name: file.name, size: file.size } : null
+        };
+    },
+
+    /**
+     * Follower: matches play / pause, then corrects the drift.
+     * @param {Object} leader - The leader's latest state
+     */
+    follow(leader) {
+        const player = PlayerController.instance;
+        this.render();
+        if (!this._sameMedia(leader.media) || !player.media) return;
+
+        if (leader.playing && player.paused) {
+            Promise.resolve(player.play()).catch(() => {
+                if (this.blocked) return;
+                this.blocked = true;
+                UIManager.showToast('Press play to catch up with the session');
+            });
+        } else if (!leader.playing && !player.paused) {
+            player.pause();
+        }
+
+        const { seek, rate } = WatchTogether.correction(player.currentTime, WatchTogether.expectedTime(), leader.rate, leader.playing);
+        if (seek !== null) player.currentTime = Math.max(0, Math.min(seek, player.duration || seek));
+        // Set on the element: Plyr's speed setter only accepts the speeds in its menu
+        if (player.media.playbackRate !== rate) player.media.playbackRate = rate;
+    },
+
+    render() {
+        const session = WatchTogether.session;
+        UIManager.renderWatchTogether(session ? {
+            code: session.code,
+            role: session.role,
+            kind: session.kind,
+            status: session.status,
+            error: session.error,
+            peers: WatchTogether.peers().map(peer => ({ ...peer, sameMedia: this._sameMedia(peer.media) })),
+            leaderMedia: session.leader && session.leader.media ? session.leader.media.name : null,
+            mismatch: !!session.leader && !this._sameMedia(session.leader.media)
+        } : null, {
+            name: AppState.settings.togetherName,
+            server: AppState.settings.togetherServer || `${location.hostname || 'localhost'}:8787`
+        });
+    },
+
+    // --- Internal Helpers ---
+
+    /**
+     * True if a peer's video is the one open here: by fingerprint when both sides have one,
+     * otherwise by name and size (a peer without Web Crypto is keyed by file name).
+     */
+    _sameMedia(media) {
+        const file = PlayerController.currentFile;
+        const key = PlayerController.currentKey;
+        if (!media || !file) return false;
+        if (Fingerprint.isFingerprint(media.key) && Fingerprint.isFingerprint(key)) return Fingerprint.sameContent(media.key, key);
+        return media.name === file.name && (!media.size || media.size === file.size);
+    },
+
+    // Drop the catch-up nudge, back to the leader's rate
+    _resetRate() {
+        const media = PlayerController.instance.media;
+        const leader = WatchTogether.session && WatchTogether.session.leader;
+        if (media && leader) media.playbackRate = leader.rate;
+    }
+};
+
+// --- 16. Main Initialization ---
+document.addEventListener('DOMContentLoaded', async () => {
+    await AppState.init();
+    UIManager.init();
+    PlayerController.init();
+    SettingsController.init();
+    QueueController.init();
+    HistoryController.render();
+    WatchTogetherController.init();
+
+    // Bind Events
+    UIManager.bindEvents({
+        // Player Events
+        onVideoSelect: (files) => QueueController.openFiles(files),
+        onSubtitleSelect: (files) => QueueController.openFiles(files),
+        onSubtitleRemove: (index) => PlayerController.removeSubtitle(index),
+        onSubtitleEncoding: (index, encoding) => PlayerController.changeSubtitleEncoding(index, encoding),
+        onSubtitleLanguage: (index, code) => PlayerController.changeSubtitleLanguage(index, code),
+        onSubtitleStyle: (index, name) => PlayerController.changeSubtitleStyle(index, name),
+
+        // Subtitle Sync Events
+        onSubtitleShift: (index, delta) => SyncController.shift(index, delta),
+        onSubtitleShiftActive: (steps) => SyncController.shiftActive(steps * SyncController.STEP),
+        onSubtitleSyncReset: (index) => SyncController.reset(index),
+        onSubtitleSyncScale: (index, scale) => SyncController.setScale(index, scale),
+        onSubtitleSyncLine: (index, cueIndex) => SyncController.markLine(index, cueIndex),
+        onSubtitleSuggestCue: (index) => SyncController.suggestCue(index),
+
+        onDualSubtitle: (role, index) => DualSubtitleController.select(role, index),
+
+        // Transcript Events
+        onTranscriptSearch: (query) => TranscriptController.search(query),
+        onTranscriptStep: (direction) => TranscriptController.step(direction),
+        onTranscriptSeek: (cueIndex) => TranscriptController.seek(cueIndex),
+
+        // Bookmark Events
+        onBookmarkAdd: () => BookmarkController.add(),
+        onBookmarkUpdate: (id, patch) => BookmarkController.update(id, patch),
+        onBookmarkRemove: (id) => BookmarkController.remove(id),
+        onBookmarkSeek: (id) => BookmarkController.seek(id),
+        onBookmarkExport: (format) => BookmarkController.export(format),
+        onBookmarkImport: (file) => BookmarkController.import(file),
+
+        // A–B Loop & Frame Step Events
+        onLoopSetA: () => LoopController.setA(),
+        onLoopSetB: () => LoopController.setB(),
+        onLoopLine: () => LoopController.toggleLine(),
+        onLoopClear: () => LoopController.clear(),
+        onLoopRepeat: (count) => LoopController.setRepeat(count),
+        onFrameStep: (direction) => LoopController.stepFrame(direction),
+
+        // Seek Preview Events
+        onSeekPreview: (ratio) => ThumbnailController.preview(ratio),
+
+        // Capture Events
+        onSnapshot: () => CaptureController.snapshot(),
+        onClipToggle: () => CaptureController.toggleClip(),
+
+        // Subtitle Editor Events
+        onEditorToggle: (index) => EditorController.toggle(index),
+        onEditorClose: () => EditorController.close(),
+        onEditorEdit: (action, cueIndex, value) => EditorController.edit(action, cueIndex, value),
+        onEditorUndo: () => EditorController.undo(),
+        onEditorRedo: () => EditorController.redo(),
+        onEditorSeek: (cueIndex) => EditorController.seek(cueIndex),
+        onEditorExport: (format) => EditorController.export(format),
+
+        // Queue Events
+        onQueuePlay: (index) => QueueController.playAt(index),
+        onQueueRemove: (index) => QueueController.remove(index),
+        onQueueMove: (from, to) => QueueController.move(from, to),
+        onQueueNext: () => QueueController.next(),
+        onQueuePrevious: () => QueueController.previous(),
+        onQueueShuffle: () => QueueController.toggleShuffle(),
+        onQueueRepeat: () => QueueController.cycleRepeat(),
+        onQueueClear: () => QueueController.clear(),
+        
+        // Settings Events
+        onSettingChange: (key, value) => SettingsController.update(key, value),
+        onSettingsReset: () => SettingsController.reset(),
+        onCaptionPresetApply: (name) => SettingsController.applyPreset(name),
+        onCaptionPresetSave: (name) => SettingsController.savePreset(name),
+        onCaptionPresetDelete: (name) => SettingsController.deletePreset(name),
+        onBackupExport: () => BackupController.export(),
+        onBackupImport: (file) => BackupController.import(file),
+        onRestore: (mode) => BackupController.apply(mode),
+        onRestoreCancel: () => BackupController.cancel(),
+        onCaptionSizeStep: (delta) => SettingsController.stepCaptionSize(delta),
+
+        // Keyboard Shortcut Events
+        onShortcutChange: (action, combo) => SettingsController.setShortcut(action, combo),
+        onShortcutsReset: () => SettingsController.resetShortcuts(),
+        onTogglePlay: () => PlayerController.togglePlay(),
+        onSeek: (delta) => PlayerController.seekBy(delta),
+        onSpeedStep: (direction) => PlayerController.stepSpeed(direction),
+        onVolumeStep: (delta) => PlayerController.stepVolume(delta),
+        onToggleMute: () => PlayerController.toggleMute(),
+        onToggleFullscreen: () => PlayerController.toggleFullscreen(),
+        onToggleCaptions: () => PlayerController.toggleCaptions(),
+        onSubtitleCycle: () => PlayerController.cycleSubtitle(),
+        
+        // History Events
+        onHistoryOpen: (entry) => PlayerController.openFromHistory(entry),
+        onHistoryRemove: (key) => HistoryController.remove(key),
+        onHistoryView: (options) => HistoryController.setView(options),
+        onHistorySeriesToggle: (series) => HistoryController.toggleSeries(series),
+        onClearHistory: () => {
+            if (confirm('Clear watch history?')) AppState.clearHistory();
+        },
+        
+        // Watch Together Events
+        onTogetherStart: (role, options) => WatchTogetherController.start(role, options),
+        onTogetherLeave: () => WatchTogetherController.leave(),
+        onTogetherLead: () => WatchTogetherController.takeLead(),
+        onTogetherNewCode: () => WatchTogetherController.newCode(),
+
+        // Onboarding
         onStartApp: () => AppState.completeOnboarding()
     });
 
+    // Offline support: surface updates of the cached app shell
+    PWA.register((applyUpdate) => {
+        UIManager.showToast('New version available', {
+            action: { label: 'Reload', onClick: applyUpdate }
+        });
+    });
+
     console.log('FluxPlayer Pro Loaded.');
 });
\ No newline at end of file
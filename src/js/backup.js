@@ -0,0 +1,283 @@
+/**
+ * FluxPlayer Pro - Backup Module
+ * Writes the complete persisted state (settings, onboarding flag, queue, watch
+ * history and per-file metadata) to a versioned JSON document, and reads one
+ * back: the document is validated, unknown or malformed parts are dropped, and
+ * a backup can either replace the current state or be merged into it.
+ * It holds no DOM or storage logic; the controller in app.js applies the result.
+ */
+
+const FORMAT = 'fluxplayer-backup';
+const VERSION = 1;
+
+// Numeric settings and the [min, max] of their sliders in the settings modal
+const SETTING_RANGES = {
+    fontSize: [14, 40],
+    bgOpacity: [0, 100],
+    lineHeight: [1, 2.4],
+    captionPosition: [0, 70],
+    captionWidth: [40, 100],
+    secondarySize: [12, 40],
+    finishTail: [0, 300],
+    historySize: [10, 500]
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const byLastPlayed = (a, b) => (b.lastPlayed || '').localeCompare(a.lastPlayed || '');
+
+/**
+ * Keeps the settings known to this version (those in the template) with a usable
+ * type; numbers are clamped to the range their slider allows.
+ */
+function readSettings(settings, template) {
+    if (!isObject(settings)) return {};
+    const valid = {};
+    Object.keys(template).forEach(key => {
+        const value = settings[key];
+        const expected = template[key];
+        if (value === undefined) return;
+
+        if (isObject(expected)) {
+            if (isObject(value) && Object.values(value).every(v => typeof v === 'string')) valid[key] = value;
+        } else if (Array.isArray(expected)) {
+            if (Array.isArray(value)) valid[key] = value;
+        } else if (typeof expected === 'number') {
+            // Range inputs store numbers as strings
+            if (value === '' || !Number.isFinite(Number(value))) return;
+            const [min, max] = SETTING_RANGES[key] || [-Infinity, Infinity];
+            valid[key] = Math.min(max, Math.max(min, Number(value)));
+        } else if (typeof value === typeof expected) {
+            valid[key] = value;
+        }
+    });
+    return valid;
+}
+
+/**
+ * @returns {Object|null} A clean queue item, or null if the item is unusable
+ */
+function readQueueItem(item) {
+    if (!isObject(item) || typeof item.name !== 'string' || !item.name || !isNumber(item.size)) return null;
+    const clean = { name: item.name, size: item.size, type: typeof item.type === 'string' ? item.type : '' };
+    if (typeof item.id === 'string' && item.id) clean.id = item.id;
+    if (typeof item.key === 'string' && item.key) clean.key = item.key;
+    return clean;
+}
+
+/**
+ * @returns {{queue: Object|null, dropped: number}} The queue with its usable items (the
+ *          current index follows its item, or is -1 if that was dropped) and how many were dropped
+ */
+function readQueue(queue) {
+    if (queue === undefined || queue === null) return { queue: null, dropped: 0 };
+    if (!isObject(queue) || !Array.isArray(queue.items)) return { queue: null, dropped: 1 };
+
+    const items = [];
+    let index = -1;
+    queue.items.forEach((raw, i) => {
+        const item = readQueueItem(raw);
+        if (!item) return;
+        if (i === queue.index) index = items.length;
+        items.push(item);
+    });
+
+    return {
+        queue: {
+            items,
+            index,
+            shuffle: !!queue.shuffle,
+            shuffleOrder: Array.isArray(queue.shuffleOrder) ? queue.shuffleOrder.filter(id => typeof id === 'string') : [],
+            repeat: typeof queue.repeat === 'string' ? queue.repeat : 'off'
+        },
+        dropped: queue.items.length - items.length
+    };
+}
+
+/*
+ * Readers for the fields of a file record: each returns the clean value and how
+ * many of its items were dropped, or null if the field is unusable as a whole.
+ * Video records hold bookmarks, sidecars and subtitleSync; subtitle records hold
+ * encoding, language and captionPreset.
+ */
+const readList = (value, readItem) => {
+    if (!Array.isArray(value)) return null;
+    const items = value.map(readItem).filter(Boolean);
+    return { value: items, dropped: value.length - items.length };
+};
+
+const readString = (value) => (typeof value === 'string' ? { value, dropped: 0 } : null);
+
+const FILE_FIELDS = {
+    bookmarks: (value) => readList(value, item => (isObject(item) && typeof item.id === 'string' && isNumber(item.time) && item.time >= 0
+        ? { id: item.id, time: item.time, label: String(item.label || ''), note: String(item.note || '') }
+        : null)),
+
+    sidecars: (value) => readList(value, item => (isObject(item) && typeof item.name === 'string' && item.name && isNumber(item.size) && item.size >= 0
+        ? { name: item.name, size: item.size }
+        : null)),
+
+    subtitleSync: (value) => {
+        if (!isObject(value)) return null;
+        const sync = {};
+        let dropped = 0;
+        Object.entries(value).forEach(([name, item]) => {
+            if (!isObject(item) || !isNumber(item.offset) || !isNumber(item.scale) || item.scale <= 0) {
+                dropped++;
+                return;
+            }
+            const points = Array.isArray(item.points) ? item.points.filter(p => isObject(p) && isNumber(p.cue) && isNumber(p.actual)) : [];
+            sync[name] = { offset: item.offset, scale: item.scale, points: points.slice(-2).map(p => ({ cue: p.cue, actual: p.actual })) };
+        });
+        return { value: sync, dropped };
+    },
+
+    encoding: readString,
+    language: readString,
+    captionPreset: readString
+};
+
+/**
+ * @returns {{record: Object|null, dropped: number}} The known, well-formed fields of a
+ *          file record (null if none are left) and the number of fields and items dropped
+ */
+function readFileRecord(value) {
+    if (!isObject(value)) return { record: null, dropped: 1 };
+    const record = {};
+    let dropped = 0;
+    Object.entries(FILE_FIELDS).forEach(([field, read]) => {
+        if (value[field] === undefined) return;
+        const result = read(value[field]);
+        if (!result) {
+            dropped++;
+            return;
+        }
+        record[field] = result.value;
+        dropped += result.dropped;
+    });
+    return { record: Object.keys(record).length > 0 ? record : null, dropped };
+}
+
+/**
+ * @returns {Object|null} A clean history entry, or null if the item is unusable
+ */
+function readHistoryItem(item) {
+    if (!isObject(item) || typeof item.name !== 'string' || !item.name) return null;
+    const number = (value) => (Number.isFinite(value) && value >= 0 ? value : null);
+    return {
+        key: typeof item.key === 'string' && item.key ? item.key : item.name,
+        name: item.name,
+        size: number(item.size) || 0,
+        type: typeof item.type === 'string' ? item.type : '',
+        time: number(item.time) || 0,
+        duration: number(item.duration),
+        finished: !!item.finished,
+        lastPlayed: typeof item.lastPlayed === 'string' && !isNaN(Date.parse(item.lastPlayed)) ? item.lastPlayed : new Date(0).toISOString()
+    };
+}
+
+export const Backup = {
+    /**
+     * @param {Object} state - { settings, hasSeenOnboarding, queue, history, files }
+     * @returns {string} JSON document
+     */
+    create(state) {
+        return JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: new Date().toISOString(),
+            data: {
+                settings: state.settings,
+                hasSeenOnboarding: !!state.hasSeenOnboarding,
+                queue: state.queue || null,
+                history: state.history,
+                files: state.files
+            }
+        }, null, 2);
+    },
+
+    /**
+     * Reads and validates a backup.
+     * @param {string} content
+     * @param {Object} settingsTemplate - Current settings; only their keys (with matching types) are restored
+     * @returns {{exportedAt: string|null, skipped: number, settings: Object, hasSeenOnboarding: boolean, queue: Object|null, history: Array, files: Object}}
+     *          `skipped` counts the history entries, queue items, file records and file record fields (or items in them) that were unusable
+     * @throws {Error} If the content is not a FluxPlayer backup this version can read
+     */
+    parse(content, settingsTemplate) {
+        let doc;
+        try {
+            doc = JSON.parse(content);
+        } catch (e) {
+            throw new Error('The file is not valid JSON');
+        }
+        if (!isObject(doc) || doc.format !== FORMAT || !isObject(doc.data)) {
+            throw new Error('This is not a FluxPlayer backup');
+        }
+        if (!Number.isInteger(doc.version) || doc.version < 1) throw new Error('Unknown backup version');
+        if (doc.version > VERSION) throw new Error('This backup was made by a newer version of FluxPlayer');
+
+        const { data } = doc;
+        if (data.history !== undefined && !Array.isArray(data.history)) throw new Error('The backup history is damaged');
+        if (data.files !== undefined && !isObject(data.files)) throw new Error('The backup file data is damaged');
+
+        let skipped = 0;
+        const history = new Map();
+        (data.history || []).forEach(raw => {
+            const item = readHistoryItem(raw);
+            if (!item) skipped++;
+            else if (!history.has(item.key) || byLastPlayed(item, history.get(item.key)) < 0) history.set(item.key, item);
+        });
+
+        const files = {};
+        Object.entries(data.files || {}).forEach(([key, value]) => {
+            const { record, dropped } = readFileRecord(value);
+            if (record) files[key] = record;
+            skipped += dropped;
+        });
+
+        const { queue, dropped } = readQueue(data.queue);
+        skipped += dropped;
+
+        return {
+            exportedAt: typeof doc.exportedAt === 'string' ? doc.exportedAt : null,
+            skipped,
+            settings: readSettings(data.settings, settingsTemplate),
+            hasSeenOnboarding: !!data.hasSeenOnboarding,
+            queue,
+            history: [...history.values()].sort(byLastPlayed),
+            files
+        };
+    },
+
+    /**
+     * Merges a backup into the current state: history entries and file records
+     * this browser does not have are added; for the same video the more recently
+     * played history entry wins, and this browser's file data wins field by field.
+     * Settings and the queue stay as they are.
+     * @param {Object} current - { settings, hasSeenOnboarding, queue, history, files }
+     * @param {Object} backup - From parse()
+     * @returns {Object} The merged state
+     */
+    merge(current, backup) {
+        const history = new Map(current.history.map(item => [item.key, item]));
+        backup.history.forEach(item => {
+            const mine = history.get(item.key);
+            if (!mine || byLastPlayed(item, mine) < 0) history.set(item.key, item);
+        });
+
+        const files = { ...backup.files };
+        Object.entries(current.files).forEach(([key, data]) => {
+            files[key] = { ...backup.files[key], ...data };
+        });
+
+        return {
+            settings: current.settings,
+            hasSeenOnboarding: current.hasSeenOnboarding || backup.hasSeenOnboarding,
+            queue: current.queue,
+            history: [...history.values()].sort(byLastPlayed),
+            files
+        };
+    }
+};
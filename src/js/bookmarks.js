@@ -0,0 +1,105 @@
+/**
+ * FluxPlayer Pro - Bookmarks Module
+ * Bookmarks mark points of interest in a video ({ id, time, label, note }) and
+ * double as user chapters: each one runs until the next. This module converts
+ * them to and from WebVTT chapter files and JSON. It holds no DOM or storage
+ * logic; the controller in app.js keeps the list per video.
+ */
+
+import { SubtitleParser } from './subtitle-parser.js';
+
+const JSON_VERSION = 1;
+
+let seq = 0;
+
+const createId = () => `b${Date.now().toString(36)}${(seq++).toString(36)}`;
+
+// Labels and notes are plain text; cue text is markup
+const escapeCueText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+export const Bookmarks = {
+    /**
+     * @param {number} time - Seconds
+     * @param {string} label
+     * @param {string} [note='']
+     * @returns {{id: string, time: number, label: string, note: string}}
+     */
+    create(time, label, note = '') {
+        return { id: createId(), time: Math.max(0, Math.round(time * 1000) / 1000), label, note };
+    },
+
+    /**
+     * @param {Array} list
+     * @returns {Array} A new list in time order
+     */
+    sort(list) {
+        return [...list].sort((a, b) => a.time - b.time);
+    },
+
+    /**
+     * Writes the bookmarks as a WebVTT chapters file: each chapter ends where the
+     * next begins, the last one at the end of the video.
+     * @param {Array} list - Sorted bookmarks
+     * @param {number} duration - Video duration (s), 0 if unknown
+     * @returns {string}
+     */
+    toVtt(list, duration) {
+        const cues = list.map((bookmark, i) => {
+            const next = list[i + 1];
+            const end = next ? next.time : Math.max(duration || 0, bookmark.time + 1);
+            return {
+                id: String(i + 1),
+                start: bookmark.time,
+                end,
+                text: escapeCueText(bookmark.note ? `${bookmark.label}\n${bookmark.note}` : bookmark.label),
+                settings: ''
+            };
+        });
+        return SubtitleParser.toVtt({ cues });
+    },
+
+    /**
+     * @param {Array} list
+     * @param {{name: string, size: number}} video - Recorded so the file can be recognised later
+     * @returns {string}
+     */
+    toJson(list, video) {
+        return JSON.stringify({
+            version: JSON_VERSION,
+            video: { name: video.name, size: video.size },
+            bookmarks: list.map(({ time, label, note }) => ({ time, label, note }))
+        }, null, 2);
+    },
+
+    /**
+     * Reads bookmarks from a JSON export or a WebVTT chapters file
+     * (first line of a chapter is its label, further lines its note).
+     * @param {string} content
+     * @param {string} fileName
+     * @returns {Array} New bookmarks, sorted
+     * @throws {Error} If the content holds no bookmarks
+     */
+    parse(content, fileName) {
+        const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(content);
+        let list;
+
+        if (isJson) {
+            const data = JSON.parse(content);
+            const items = Array.isArray(data) ? data : data.bookmarks;
+            if (!Array.isArray(items)) throw new Error('No bookmarks in this file');
+
+            list = items
+                .filter(item => item && Number.isFinite(Number(item.time)))
+                .map(item => this.create(Number(item.time), String(item.label || ''), String(item.note || '')));
+        } else {
+            const doc = SubtitleParser.parse(content, 'vtt');
+            list = doc.cues.map(cue => {
+                const [label, ...note] = cue.text.split('\n').map(line => SubtitleParser.toPlainText(line).trim());
+                return this.create(cue.start, label, note.join('\n'));
+            });
+        }
+
+        if (list.length === 0) throw new Error('No bookmarks in this file');
+        return this.sort(list);
+    }
+};
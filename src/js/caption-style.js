@@ -0,0 +1,162 @@
+/**
+ * FluxPlayer Pro - Caption Style Module
+ * Turns the caption settings (font, colours, edge style, position, width…)
+ * into a resolved style and the CSS variables the stylesheet reads, and manages
+ * named style presets: a few built-in looks plus the ones the user saves.
+ * It holds no DOM logic; the controller in app.js applies the variables.
+ */
+
+// Settings that make up a caption look (and are stored in presets)
+const FIELDS = ['fontSize', 'fontFamily', 'textColor', 'bgColor', 'bgOpacity', 'edgeStyle', 'bold', 'lineHeight', 'captionPosition', 'captionWidth'];
+
+const DEFAULT_STYLE = {
+    fontSize: 18,
+    fontFamily: "'Segoe UI', 'Helvetica Neue', system-ui, sans-serif",
+    textColor: '#ffffff',
+    bgColor: '#000000',
+    bgOpacity: 50,
+    edgeStyle: 'shadow',
+    bold: false,
+    lineHeight: 1.6,
+    captionPosition: 0,
+    captionWidth: 90
+};
+
+// Text shadow layers per edge style: [x, y, blur, colour], in px at 18px text
+const EDGES = {
+    none: [],
+    shadow: [[0, 2, 4, 'rgba(0, 0, 0, 0.9)']],
+    outline: [[-1, -1, 0, '#000'], [1, -1, 0, '#000'], [-1, 1, 0, '#000'], [1, 1, 0, '#000'], [0, 0, 2, '#000']],
+    raised: [[-1, -1, 0, 'rgba(255, 255, 255, 0.5)'], [1, 1, 0, 'rgba(0, 0, 0, 0.9)'], [2, 2, 1, 'rgba(0, 0, 0, 0.6)']],
+    depressed: [[1, 1, 0, 'rgba(255, 255, 255, 0.5)'], [-1, -1, 0, 'rgba(0, 0, 0, 0.9)']]
+};
+
+const BUILT_IN = [
+    { name: 'Default', style: {} },
+    { name: 'Outline', style: { bgOpacity: 0, edgeStyle: 'outline', bold: true } },
+    { name: 'Cinema Yellow', style: { textColor: '#facc15', bgOpacity: 0, edgeStyle: 'shadow', bold: true } },
+    { name: 'High Contrast', style: { fontSize: 22, bgOpacity: 100, edgeStyle: 'none', bold: true, lineHeight: 1.4 } },
+    { name: 'Large Print', style: { fontSize: 30, bgOpacity: 75, lineHeight: 1.4, captionWidth: 96 } }
+];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function hexToRgb(hex) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? `${parseInt(result[1], 16)}, ${parseInt(result[2], 16)}, ${parseInt(result[3], 16)}` : '0,0,0';
+}
+
+export const CaptionStyle = {
+    /**
+     * The caption look described by the settings (also drawn into snapshots and clips).
+     * @param {Object} s - Settings
+     * @returns {{fontSize: number, fontFamily: string, textColor: string, background: string, bold: boolean,
+     *            lineHeight: number, position: number, maxWidth: number, shadows: Array<Array>,
+     *            secondarySize: number, secondaryColor: string}}
+     *          `position` is the lift above the default place and `maxWidth` the line width, both in % of the player;
+     *          `shadows` are [x, y, blur, colour] text shadow layers in px
+     */
+    resolve(s) {
+        const fontSize = Number(s.fontSize) || DEFAULT_STYLE.fontSize;
+        const unit = Math.max(1, fontSize / 18); // Edges grow with the text
+        const edges = EDGES[s.edgeStyle] || EDGES[DEFAULT_STYLE.edgeStyle];
+
+        return {
+            fontSize,
+            fontFamily: s.fontFamily,
+            textColor: s.textColor,
+            background: `rgba(${hexToRgb(s.bgColor)}, ${s.bgOpacity / 100})`,
+            bold: !!s.bold,
+            lineHeight: Number(s.lineHeight) || DEFAULT_STYLE.lineHeight,
+            position: Number(s.captionPosition) || 0,
+            maxWidth: Number(s.captionWidth) || DEFAULT_STYLE.captionWidth,
+            shadows: edges.map(([x, y, blur, color]) => [x * unit, y * unit, blur * unit, color]),
+            secondarySize: Number(s.secondarySize),
+            secondaryColor: s.secondaryColor
+        };
+    },
+
+    /**
+     * @param {Object} style - From resolve()
+     * @returns {Object} CSS custom property -> value
+     */
+    variables(style) {
+        const shadow = style.shadows.map(([x, y, blur, color]) => `${x}px ${y}px ${blur}px ${color}`).join(', ');
+        return {
+            '--caption-size': `${style.fontSize}px`,
+            '--caption-color': style.textColor,
+            '--caption-bg': style.background,
+            '--caption-font': style.fontFamily,
+            '--caption-weight': style.bold ? '700' : '500',
+            '--caption-shadow': shadow || 'none',
+            '--caption-line-height': String(style.lineHeight),
+            '--caption-position': `${style.position}%`,
+            '--caption-max-width': `${style.maxWidth}%`,
+            '--caption-secondary-size': `${style.secondarySize}px`,
+            '--caption-secondary-color': style.secondaryColor
+        };
+    },
+
+    /**
+     * The built-in presets followed by the user's (malformed entries are skipped).
+     * @param {Array} saved - The captionPresets setting
+     * @returns {Array<{name: string, builtIn: boolean, style: Object}>} Styles hold every field in FIELDS
+     */
+    presets(saved) {
+        const custom = (Array.isArray(saved) ? saved : [])
+            .filter(p => isObject(p) && typeof p.name === 'string' && p.name.trim() && isObject(p.style))
+            .filter(p => !BUILT_IN.some(b => b.name === p.name));
+        return [
+            ...BUILT_IN.map(p => ({ name: p.name, builtIn: true, style: { ...DEFAULT_STYLE, ...p.style } })),
+            ...custom.map(p => ({ name: p.name, builtIn: false, style: { ...DEFAULT_STYLE, ...this.pick(p.style) } }))
+        ];
+    },
+
+    /**
+     * @param {Array} saved - The captionPresets setting
+     * @param {string} name
+     * @returns {Object|null} The preset (see presets())
+     */
+    find(saved, name) {
+        return this.presets(saved).find(p => p.name === name) || null;
+    },
+
+    /**
+     * Stores the current look under a name, replacing a saved preset of the same name.
+     * @param {Array} saved - The captionPresets setting
+     * @param {string} name
+     * @param {Object} settings
+     * @returns {Array} The new captionPresets setting
+     * @throws {Error} If the name is empty or taken by a built-in preset
+     */
+    save(saved, name, settings) {
+        const trimmed = name.trim();
+        if (!trimmed) throw new Error('Enter a name for the style');
+        if (BUILT_IN.some(p => p.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`"${trimmed}" is a built-in style – choose another name`);
+        }
+        const others = (Array.isArray(saved) ? saved : []).filter(p => !isObject(p) || p.name !== trimmed);
+        return [...others, { name: trimmed, style: this.pick(settings) }];
+    },
+
+    /**
+     * @param {Array} saved - The captionPresets setting
+     * @param {string} name
+     * @returns {Array} The new captionPresets setting (built-in presets cannot be removed)
+     */
+    remove(saved, name) {
+        return (Array.isArray(saved) ? saved : []).filter(p => !isObject(p) || p.name !== name);
+    },
+
+    /**
+     * @param {Object} settings
+     * @returns {Object} Only the caption look fields
+     */
+    pick(settings) {
+        const style = {};
+        FIELDS.forEach(key => {
+            if (settings[key] !== undefined) style[key] = settings[key];
+        });
+        return style;
+    }
+};
@@ -0,0 +1,270 @@
+/**
+ * FluxPlayer Pro - Frame Capture Module
+ * Saves the current frame as PNG/JPEG and records short WebM clips
+ * (canvas captureStream + MediaRecorder), optionally with the subtitle lines
+ * burned in using the user's caption style. Clips are recorded in real time
+ * from a hidden copy of the video, so the player itself is left alone.
+ * It holds no app state; the controller in app.js decides which lines are shown.
+ */
+
+import { MediaEvents } from './media-events.js';
+
+const CLIP_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+const MAX_CLIP_WIDTH = 1920;        // Larger videos are scaled down for recording
+const CLIP_BITRATE = 8000000;       // bits/s
+const LOAD_TIMEOUT = 10000;         // ms
+
+// Caption box metrics, matching .plyr__caption / .dual-captions__line (CSS px)
+const PADDING_X = 14;
+const PADDING_Y = 3;
+const BOTTOM_MARGIN = 40;
+const BLOCK_GAP = 6;
+const RADIUS = 8;
+
+/**
+ * Breaks text into lines no wider than maxWidth (with the context's current font).
+ */
+function wrap(ctx, text, maxWidth) {
+    const lines = [];
+    text.split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const next = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(next).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = next;
+            }
+        });
+        if (line) lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * Draws caption blocks stacked above the bottom edge, one background box per line.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{text: string, secondary?: boolean, rtl?: boolean, style?: Object}>} blocks - Top to bottom;
+ *        a block's own style (a per-track preset) overrides the look, but not the placement
+ * @param {Object} style - See Capture.snapshot
+ * @param {number} scale - Canvas pixels per CSS pixel of the player
+ */
+function drawCaptions(ctx, blocks, style, scale) {
+    const { width, height } = ctx.canvas;
+    const maxWidth = width * style.maxWidth / 100 - PADDING_X * 2 * scale;
+
+    const rows = [];
+    blocks.forEach((block, i) => {
+        const look = block.style || style;
+        const size = (block.secondary ? look.secondarySize : look.fontSize) * scale;
+        const font = `${look.bold ? 700 : 500} ${size}px ${look.fontFamily}`;
+        ctx.font = font;
+        wrap(ctx, block.text, maxWidth).forEach((text, j) => rows.push({
+            text,
+            font,
+            color: block.secondary ? look.secondaryColor : look.textColor,
+            background: look.background,
+            shadows: look.shadows,
+            rtl: !!block.rtl,
+            height: size * look.lineHeight + PADDING_Y * 2 * scale,
+            gap: i > 0 && j === 0 ? BLOCK_GAP * scale : 0
+        }));
+    });
+    if (rows.length === 0) return;
+
+    const bottom = BOTTOM_MARGIN * scale + height * style.position / 100;
+    let y = height - bottom - rows.reduce((sum, row) => sum + row.height + row.gap, 0);
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    rows.forEach(row => {
+        y += row.gap;
+        ctx.font = row.font;
+        ctx.direction = row.rtl ? 'rtl' : 'ltr';
+        const boxWidth = ctx.measureText(row.text).width + PADDING_X * 2 * scale;
+
+        ctx.shadowColor = 'transparent';
+        ctx.fillStyle = row.background;
+        ctx.beginPath();
+        if (ctx.roundRect) ctx.roundRect((width - boxWidth) / 2, y, boxWidth, row.height, RADIUS * scale);
+        else ctx.rect((width - boxWidth) / 2, y, boxWidth, row.height);
+        ctx.fill();
+
+        // One pass per text shadow layer (the edge style), then the text itself on top
+        ctx.fillStyle = row.color;
+        row.shadows.forEach(([x, offsetY, blur, color]) => {
+            ctx.shadowColor = color;
+            ctx.shadowOffsetX = x * scale;
+            ctx.shadowOffsetY = offsetY * scale;
+            ctx.shadowBlur = blur * scale;
+            ctx.fillText(row.text, width / 2, y + row.height / 2);
+        });
+        ctx.shadowColor = 'transparent';
+        ctx.fillText(row.text, width / 2, y + row.height / 2);
+        y += row.height;
+    });
+    ctx.restore();
+}
+
+export const Capture = {
+    recording: null, // { cancel } while a clip is being recorded
+
+    /**
+     * @returns {boolean} True if clips can be recorded in this browser
+     */
+    canRecord() {
+        return !!this._clipType();
+    },
+
+    /**
+     * Grabs the frame on screen.
+     * @param {HTMLVideoElement} video
+     * @param {Object} options
+     * @param {string} [options.type='image/png'] - 'image/png' | 'image/jpeg'
+     * @param {Array} [options.captions=[]] - Caption blocks to burn in ({ text, secondary, rtl })
+     * @param {Object} [options.style] - Resolved caption style (see CaptionStyle.resolve)
+     * @param {number} [options.scale=1] - Canvas pixels per CSS pixel of the player (caption sizing)
+     * @returns {Promise<Blob>}
+     */
+    snapshot(video, { type = 'image/png', captions = [], style, scale = 1 }) {
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        if (style) drawCaptions(ctx, captions, style, scale);
+
+        return new Promise((resolve, reject) => canvas.toBlob(blob => {
+            if (blob) resolve(blob);
+            else reject(new Error('Could not encode the image'));
+        }, type, 0.92));
+    },
+
+    /**
+     * Records a range of a video to WebM, in real time.
+     * @param {string} src - URL of the video (e.g. the player's object URL)
+     * @param {Object} options
+     * @param {number} options.start - Seconds
+     * @param {number} options.end - Seconds
+     * @param {Function} [options.captionsAt] - (time) => caption blocks to burn in at that time
+     * @param {Object} [options.style] - As for snapshot()
+     * @param {number} [options.scale=1] - Canvas pixels per CSS pixel of the player, at full video size
+     * @param {Function} [options.onProgress] - Receives 0–1
+     * @returns {Promise<Blob|null>} The clip, or null if cancelled
+     * @throws {Error} If recording is unsupported, already running or the video cannot be played
+     */
+    async recordClip(src, { start, end, captionsAt = () => [], style, scale = 1, onProgress = () => {} }) {
+        if (this.recording) throw new Error('A clip is already being recorded');
+        const mimeType = this._clipType();
+        if (!mimeType) throw new Error('Clip recording is not supported in this browser');
+
+        let cancelled = false;
+        let stop = () => {};
+        this.recording = {
+            cancel: () => {
+                cancelled = true;
+                stop();
+            }
+        };
+
+        const video = document.createElement('video');
+        video.preload = 'auto';
+        video.playsInline = true;
+        video.src = src;
+
+        let audio = null;
+        let frame = null;
+        try {
+            await MediaEvents.once(video, ['loadedmetadata'], LOAD_TIMEOUT);
+            if (cancelled) return null;
+
+            const fit = Math.min(1, MAX_CLIP_WIDTH / video.videoWidth);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(video.videoWidth * fit / 2) * 2; // Encoders want even sizes
+            canvas.height = Math.round(video.videoHeight * fit / 2) * 2;
+            const ctx = canvas.getContext('2d');
+
+            // Sound goes to the recording only, not the speakers
+            audio = new AudioContext();
+            const destination = audio.createMediaStreamDestination();
+            audio.createMediaElementSource(video).connect(destination);
+
+            const stream = new MediaStream([
+                ...canvas.captureStream().getVideoTracks(),
+                ...destination.stream.getAudioTracks()
+            ]);
+            const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: CLIP_BITRATE });
+            const chunks = [];
+            recorder.ondataavailable = (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            };
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+            video.currentTime = start;
+            await MediaEvents.once(video, ['seeked'], LOAD_TIMEOUT);
+            if (cancelled) return null;
+
+            const draw = () => {
+                const time = video.currentTime;
+                ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                if (style) drawCaptions(ctx, captionsAt(time), style, scale * fit);
+                onProgress(Math.min(1, (time - start) / (end - start)));
+
+                if (time >= end || video.ended) stop();
+                else schedule();
+            };
+            const schedule = () => {
+                frame = video.requestVideoFrameCallback
+                    ? { video: video.requestVideoFrameCallback(draw) }
+                    : { raf: requestAnimationFrame(draw) };
+            };
+
+            const done = new Promise(resolve => {
+                stop = () => {
+                    stop = () => {};
+                    video.pause();
+                    if (recorder.state !== 'inactive') recorder.stop();
+                    resolve();
+                };
+            });
+            video.addEventListener('ended', () => stop());
+
+            draw();
+            recorder.start(1000);
+            await audio.resume();
+            // Pausing to cancel rejects play() when it has not started yet
+            await video.play().catch(e => {
+                if (!cancelled) throw e;
+            });
+            await done;
+            await stopped;
+
+            return cancelled ? null : new Blob(chunks, { type: 'video/webm' });
+        } finally {
+            stop();
+            if (frame && frame.video) video.cancelVideoFrameCallback(frame.video);
+            if (frame && frame.raf) cancelAnimationFrame(frame.raf);
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+            if (audio) audio.close();
+            this.recording = null;
+        }
+    },
+
+    /**
+     * Stops the clip being recorded (its promise resolves to null).
+     */
+    cancelClip() {
+        if (this.recording) this.recording.cancel();
+    },
+
+    // --- Internal Helpers ---
+
+    _clipType() {
+        if (typeof MediaRecorder !== 'function' || typeof HTMLCanvasElement.prototype.captureStream !== 'function') return null;
+        return CLIP_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+};
@@ -0,0 +1,809 @@
+/**
+ * FluxPlayer Pro - Embedded Subtitle Extractor
+ * Finds text subtitle tracks inside video containers and extracts them in the
+ * browser: Matroska / WebM (S_TEXT/UTF8, S_TEXT/ASS, S_TEXT/SSA, S_TEXT/WEBVTT)
+ * and MP4 / MOV (tx3g, wvtt). Files are read in slices, never loaded whole.
+ *
+ * Matroska files are read through their Cues index when it covers the subtitle
+ * tracks (only those blocks are read); otherwise every cluster is scanned, with
+ * pauses so the page stays responsive.
+ *
+ * Each track comes back as subtitle file text (SRT, ASS or WebVTT) so it goes
+ * through SubtitleParser like a file the user added. Not supported: bitmap
+ * subtitles (PGS, VobSub), encrypted tracks and fragmented MP4.
+ */
+
+import { SubtitleParser } from './subtitle-parser.js';
+
+const CHUNK_SIZE = 1024 * 1024;     // Read-ahead for the sequential Matroska scan
+const SEEK_CHUNK_SIZE = 16 * 1024;  // Read-ahead when jumping to indexed blocks
+const YIELD_INTERVAL = 30;          // ms of scanning between pauses for the page
+const MAX_ELEMENT = 16 * 1024 * 1024; // Largest header element (Info, Tracks, moov) read into memory
+const FALLBACK_DURATION = 5;        // Seconds, for Matroska cues stored without a duration
+
+const MATROSKA_EXTENSIONS = /\.(mkv|mka|mks|webm)$/i;
+const MP4_EXTENSIONS = /\.(mp4|m4v|mov|3gp)$/i;
+
+// Matroska element ids (with their length marker, as written in the file)
+const ID = {
+    EBML: 0x1A45DFA3,
+    Segment: 0x18538067,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    Name: 0x536E,
+    Language: 0x22B59C,
+    LanguageBCP47: 0x22B59D,
+    FlagDefault: 0x88,
+    FlagForced: 0x55AA,
+    ContentEncodings: 0x6D80,
+    ContentEncoding: 0x6240,
+    ContentCompression: 0x5034,
+    ContentCompAlgo: 0x4254,
+    ContentCompSettings: 0x4255,
+    ContentEncryption: 0x5035,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    BlockGroup: 0xA0,
+    Block: 0xA1,
+    BlockDuration: 0x9B,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1,
+    CueRelativePosition: 0xF0
+};
+
+// Children a Cluster may contain (used to find the end of clusters with unknown size)
+const CLUSTER_CHILDREN = [0xE7, 0xA3, 0xA0, 0xA7, 0xAB, 0x5854, 0xAF, 0xBF, 0xEC];
+
+const MATROSKA_CODECS = {
+    'S_TEXT/UTF8': 'srt',
+    'S_TEXT/ASS': 'ass',
+    'S_TEXT/SSA': 'ass',
+    'S_TEXT/WEBVTT': 'vtt',
+    'D_WEBVTT/SUBTITLES': 'vtt',
+    'D_WEBVTT/CAPTIONS': 'vtt'
+};
+
+const MP4_HANDLERS = ['text', 'sbtl', 'subt'];
+
+/**
+ * Reads byte ranges of a File, keeping a read-ahead buffer for sequential access.
+ */
+function createReader(file) {
+    let buffer = new Uint8Array(0);
+    let bufferStart = 0;
+
+    return {
+        size: file.size,
+        readAhead: CHUNK_SIZE,
+
+        // Buffered: cheap for many small reads close to each other
+        async bytes(pos, length) {
+            if (pos < bufferStart || pos + length > bufferStart + buffer.length) {
+                const end = Math.min(file.size, pos + Math.max(length, this.readAhead));
+                buffer = new Uint8Array(await file.slice(pos, end).arrayBuffer());
+                bufferStart = pos;
+            }
+            return buffer.subarray(pos - bufferStart, pos - bufferStart + length);
+        },
+
+        // Unbuffered: for scattered reads (MP4 samples) and large elements
+        async read(pos, length) {
+            return new Uint8Array(await file.slice(pos, pos + length).arrayBuffer());
+        }
+    };
+}
+
+const utf8 = new TextDecoder('utf-8');
+
+// Lets the page handle input and paint during long scans
+const pause = () => new Promise(resolve => setTimeout(resolve));
+
+// --- Matroska (EBML) ---
+
+/**
+ * Reads an EBML variable-length integer.
+ * Ids keep their length marker; sizes drop it and may be "unknown" (all ones).
+ */
+function readVint(bytes, offset, isId) {
+    const first = bytes[offset];
+    if (!first) return null;
+
+    let length = 1;
+    let mask = 0x80;
+    while (!(first & mask)) {
+        mask >>= 1;
+        length++;
+    }
+    if (offset + length > bytes.length) return null;
+
+    let value = isId ? first : first & (mask - 1);
+    let allOnes = value === mask - 1;
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[offset + i];
+        if (bytes[offset + i] !== 0xFF) allOnes = false;
+    }
+    return { value, length, unknown: !isId && allOnes };
+}
+
+function readUint(bytes) {
+    return bytes.reduce((value, byte) => value * 256 + byte, 0);
+}
+
+/**
+ * Reads the header of the element starting at `pos` in the file.
+ * @returns {Promise<{id: number, dataStart: number, end: number, unknown: boolean}|null>}
+ */
+async function readElement(reader, pos) {
+    const bytes = await reader.bytes(pos, 12);
+    const id = readVint(bytes, 0, true);
+    const size = id && readVint(bytes, id.length, false);
+    if (!size) return null;
+
+    const dataStart = pos + id.length + size.length;
+    return {
+        id: id.value,
+        dataStart,
+        end: size.unknown ? Infinity : dataStart + size.value,
+        unknown: size.unknown
+    };
+}
+
+/**
+ * Iterates the child elements of an element already in memory.
+ */
+function* children(bytes) {
+    let pos = 0;
+    while (pos < bytes.length) {
+        const id = readVint(bytes, pos, true);
+        const size = id && readVint(bytes, pos + id.length, false);
+        if (!size) return;
+
+        const start = pos + id.length + size.length;
+        const end = size.unknown ? bytes.length : Math.min(bytes.length, start + size.value);
+        yield { id: id.value, data: bytes.subarray(start, end) };
+        pos = end;
+    }
+}
+
+function child(bytes, id) {
+    for (const el of children(bytes)) {
+        if (el.id === id) return el.data;
+    }
+    return null;
+}
+
+async function readWhole(reader, el) {
+    if (el.unknown || el.end - el.dataStart > MAX_ELEMENT) return null;
+    return reader.read(el.dataStart, el.end - el.dataStart);
+}
+
+/**
+ * Reads the text subtitle tracks declared in a Tracks element.
+ * @returns {Map<number, Object>} Track number -> track description
+ */
+function parseTracks(bytes) {
+    const tracks = new Map();
+
+    for (const entry of children(bytes)) {
+        if (entry.id !== ID.TrackEntry) continue;
+
+        const info = { blocks: [], compression: null, encrypted: false, default: true, forced: false, language: 'eng' };
+        for (const el of children(entry.data)) {
+            switch (el.id) {
+                case ID.TrackNumber: info.number = readUint(el.data); break;
+                case ID.TrackType: info.type = readUint(el.data); break;
+                case ID.CodecID: info.codec = utf8.decode(el.data).replace(/\0+$/, ''); break;
+                case ID.CodecPrivate: info.codecPrivate = utf8.decode(el.data).replace(/\0+$/, ''); break;
+                case ID.Name: info.title = utf8.decode(el.data).replace(/\0+$/, ''); break;
+                case ID.Language: info.language = utf8.decode(el.data).replace(/\0+$/, ''); break;
+                case ID.LanguageBCP47: info.languageTag = utf8.decode(el.data).replace(/\0+$/, ''); break;
+                case ID.FlagDefault: info.default = readUint(el.data) === 1; break;
+                case ID.FlagForced: info.forced = readUint(el.data) === 1; break;
+                case ID.ContentEncodings: parseContentEncodings(el.data, info); break;
+            }
+        }
+
+        const format = MATROSKA_CODECS[info.codec];
+        if (info.type === 0x11 && format && !info.encrypted) {
+            tracks.set(info.number, { ...info, format });
+        }
+    }
+    return tracks;
+}
+
+function parseContentEncodings(bytes, info) {
+    for (const encoding of children(bytes)) {
+        if (encoding.id !== ID.ContentEncoding) continue;
+        if (child(encoding.data, ID.ContentEncryption)) info.encrypted = true;
+
+        const compression = child(encoding.data, ID.ContentCompression);
+        if (compression) {
+            const algo = child(compression, ID.ContentCompAlgo);
+            const settings = child(compression, ID.ContentCompSettings);
+            info.compression = { algo: algo ? readUint(algo) : 0, settings: settings ? settings.slice() : new Uint8Array(0) };
+        }
+    }
+}
+
+/**
+ * Undoes Matroska content compression: zlib, or header stripping (algo 3).
+ */
+async function decompress(data, compression) {
+    if (!compression) return data;
+
+    if (compression.algo === 3) {
+        const joined = new Uint8Array(compression.settings.length + data.length);
+        joined.set(compression.settings);
+        joined.set(data, compression.settings.length);
+        return joined;
+    }
+    if (compression.algo === 0 && 'DecompressionStream' in window) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    throw new Error(`Unsupported content compression (${compression.algo})`);
+}
+
+/**
+ * Reads a Block / SimpleBlock if it belongs to a subtitle track.
+ * @returns {Promise<{track: Object, time: number, data: Uint8Array}|null>}
+ */
+async function readBlock(reader, el, tracks, clusterTime) {
+    const head = await reader.bytes(el.dataStart, 12);
+    const number = readVint(head, 0, false);
+    if (!number) return null;
+
+    const track = tracks.get(number.value);
+    if (!track) return null;
+
+    // Lacing (several frames in one block) is not used for text tracks
+    const flags = head[number.length + 2];
+    if (flags & 0x06) return null;
+
+    const relative = (head[number.length] << 24 >> 16) | head[number.length + 1];
+    const headerLength = number.length + 3;
+    const data = await reader.read(el.dataStart + headerLength, el.end - el.dataStart - headerLength);
+    return { track, time: clusterTime + relative, data };
+}
+
+/**
+ * Adds a SimpleBlock or BlockGroup element to its track's blocks, if it belongs to a subtitle track.
+ */
+async function collectBlock(reader, el, tracks, clusterTime) {
+    if (el.id === ID.SimpleBlock) {
+        const block = await readBlock(reader, el, tracks, clusterTime);
+        if (block) block.track.blocks.push({ time: block.time, duration: null, data: block.data });
+    } else if (el.id === ID.BlockGroup && !el.unknown) {
+        let block = null;
+        let duration = null;
+        for (let p = el.dataStart; p < el.end;) {
+            const part = await readElement(reader, p);
+            if (!part || part.unknown) break;
+            if (part.id === ID.Block) block = await readBlock(reader, part, tracks, clusterTime);
+            else if (part.id === ID.BlockDuration) duration = readUint(await reader.bytes(part.dataStart, part.end - part.dataStart));
+            p = part.end;
+        }
+        if (block) block.track.blocks.push({ time: block.time, duration, data: block.data });
+    }
+}
+
+async function scanCluster(reader, cluster, tracks) {
+    let time = 0;
+    let pos = cluster.dataStart;
+    const end = Math.min(cluster.end, reader.size);
+
+    while (pos < end) {
+        const el = await readElement(reader, pos);
+        if (!el || (cluster.unknown && !CLUSTER_CHILDREN.includes(el.id))) break;
+
+        if (el.id === ID.Timecode) {
+            time = readUint(await reader.bytes(el.dataStart, el.end - el.dataStart));
+        } else {
+            await collectBlock(reader, el, tracks, time);
+        }
+
+        if (el.unknown) break;
+        pos = el.end;
+    }
+    return pos;
+}
+
+/**
+ * Reads every cluster from `pos` on.
+ */
+async function scanClusters(reader, pos, end, tracks, isCancelled) {
+    let lastPause = performance.now();
+
+    while (pos < end) {
+        if (isCancelled()) return;
+
+        const el = await readElement(reader, pos);
+        if (!el) break;
+
+        if (el.id === ID.Cluster) {
+            pos = await scanCluster(reader, el, tracks);
+            if (performance.now() - lastPause > YIELD_INTERVAL) {
+                await pause();
+                lastPause = performance.now();
+            }
+            if (el.unknown) continue;
+        }
+
+        if (el.unknown) break;
+        pos = el.end;
+    }
+}
+
+/**
+ * Where the Cues element is, from a SeekHead.
+ * @returns {number|null} Position relative to the segment data
+ */
+function cuesPosition(seekHead) {
+    for (const seek of children(seekHead)) {
+        if (seek.id !== ID.Seek) continue;
+        const id = child(seek.data, ID.SeekID);
+        const position = child(seek.data, ID.SeekPosition);
+        if (id && position && readUint(id) === ID.Cues) return readUint(position);
+    }
+    return null;
+}
+
+/**
+ * Reads the index entries of the subtitle tracks from a Cues element.
+ * @returns {Promise<Array<{cluster: number, relative: number|null}>|null>} Null unless every
+ *          subtitle track is indexed (muxers that index subtitles index all their blocks)
+ */
+async function readCues(reader, pos, tracks) {
+    const el = await readElement(reader, pos);
+    const bytes = el && el.id === ID.Cues ? await readWhole(reader, el) : null;
+    if (!bytes) return null;
+
+    const points = [];
+    const indexed = new Set();
+    for (const point of children(bytes)) {
+        if (point.id !== ID.CuePoint) continue;
+        for (const positions of children(point.data)) {
+            if (positions.id !== ID.CueTrackPositions) continue;
+            const track = child(positions.data, ID.CueTrack);
+            const cluster = child(positions.data, ID.CueClusterPosition);
+            const relative = child(positions.data, ID.CueRelativePosition);
+            if (!track || !cluster || !tracks.has(readUint(track))) continue;
+
+            indexed.add(readUint(track));
+            points.push({ cluster: readUint(cluster), relative: relative ? readUint(relative) : null });
+        }
+    }
+    return [...tracks.keys()].every(number => indexed.has(number)) ? points : null;
+}
+
+/**
+ * Reads the blocks listed in the Cues: straight to each block when its position in
+ * the cluster is known, otherwise the cluster is scanned.
+ */
+async function readIndexedBlocks(reader, points, tracks, segmentStart, isCancelled) {
+    const clusters = new Map(); // Cluster position -> positions of blocks in it
+    points.forEach(({ cluster, relative }) => {
+        if (!clusters.has(cluster)) clusters.set(cluster, new Set());
+        clusters.get(cluster).add(relative);
+    });
+
+    reader.readAhead = SEEK_CHUNK_SIZE;
+    for (const [offset, relatives] of clusters) {
+        if (isCancelled()) return;
+
+        const cluster = await readElement(reader, segmentStart + offset);
+        if (!cluster || cluster.id !== ID.Cluster) continue;
+
+        // The cluster's timecode is its first child
+        const first = await readElement(reader, cluster.dataStart);
+        if (relatives.has(null) || !first || first.id !== ID.Timecode) {
+            await scanCluster(reader, cluster, tracks);
+            continue;
+        }
+        const time = readUint(await reader.bytes(first.dataStart, first.end - first.dataStart));
+        for (const relative of relatives) {
+            const el = await readElement(reader, cluster.dataStart + relative);
+            if (el) await collectBlock(reader, el, tracks, time);
+        }
+    }
+}
+
+async function parseMatroska(reader, isCancelled) {
+    const header = await readElement(reader, 0);
+    if (!header || header.id !== ID.EBML) return [];
+
+    const segment = await readElement(reader, header.end);
+    if (!segment || segment.id !== ID.Segment) return [];
+
+    let timecodeScale = 1000000; // ns per timecode unit
+    let tracks = null;
+    let cues = null; // Position of the Cues element
+    let pos = segment.dataStart;
+    const end = Math.min(segment.end, reader.size);
+
+    // Header elements, up to the first cluster
+    while (pos < end) {
+        if (isCancelled()) return [];
+
+        const el = await readElement(reader, pos);
+        if (!el || el.id === ID.Cluster) break;
+
+        if (el.id === ID.Info) {
+            const info = await readWhole(reader, el);
+            const scale = info && child(info, ID.TimecodeScale);
+            if (scale) timecodeScale = readUint(scale);
+        } else if (el.id === ID.Tracks) {
+            const bytes = await readWhole(reader, el);
+            tracks = bytes ? parseTracks(bytes) : new Map();
+            // Nothing to extract: skip the (long) scan of the clusters
+            if (tracks.size === 0) return [];
+        } else if (el.id === ID.SeekHead && cues === null) {
+            const bytes = await readWhole(reader, el);
+            const position = bytes ? cuesPosition(bytes) : null;
+            if (position !== null) cues = segment.dataStart + position;
+        } else if (el.id === ID.Cues) {
+            cues = pos;
+        }
+
+        if (el.unknown) break;
+        pos = el.end;
+    }
+    if (!tracks) return [];
+
+    const points = cues !== null ? await readCues(reader, cues, tracks) : null;
+    if (points) await readIndexedBlocks(reader, points, tracks, segment.dataStart, isCancelled);
+    else await scanClusters(reader, pos, end, tracks, isCancelled);
+    if (isCancelled()) return [];
+    const toSeconds = (units) => units * timecodeScale / 1e9;
+
+    const results = [];
+    for (const track of tracks.values()) {
+        const cues = [];
+        for (const block of track.blocks) {
+            try {
+                const text = utf8.decode(await decompress(block.data, track.compression));
+                const start = toSeconds(block.time);
+                cues.push({ start, end: block.duration !== null ? start + toSeconds(block.duration) : null, text });
+            } catch (e) {
+                console.warn(`FluxPlayer Embedded Subtitles: track ${track.number} skipped.`, e);
+                break;
+            }
+        }
+        if (cues.length === 0) continue;
+
+        cues.sort((a, b) => a.start - b.start);
+        cues.forEach((cue, i) => {
+            if (cue.end === null) {
+                const next = cues[i + 1];
+                cue.end = Math.min(cue.start + FALLBACK_DURATION, next ? next.start : Infinity);
+            }
+        });
+
+        results.push({
+            format: track.format,
+            content: serialize(track, cues),
+            language: track.languageTag || track.language,
+            title: track.title || '',
+            default: track.default,
+            forced: track.forced
+        });
+    }
+    return results;
+}
+
+/**
+ * Rebuilds a subtitle file from Matroska blocks.
+ */
+function serialize(track, cues) {
+    if (track.format === 'ass') {
+        // Blocks hold "ReadOrder, Layer, Style, Name, MarginL, MarginR, MarginV, Effect, Text"
+        const dialogues = cues
+            .map(cue => {
+                const [readOrder, layer, ...rest] = cue.text.split(',');
+                return { order: Number(readOrder) || 0, line: `Dialogue: ${layer},${assTime(cue.start)},${assTime(cue.end)},${rest.join(',')}` };
+            })
+            .sort((a, b) => a.order - b.order)
+            .map(d => d.line);
+
+        let header = (track.codecPrivate || '').trim();
+        if (!/^\[Events\]/mi.test(header)) {
+            header += '\n\n[Events]\nFormat: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text';
+        }
+        return `${header}\n${dialogues.join('\n')}\n`;
+    }
+
+    if (track.format === 'vtt') {
+        const header = /^WEBVTT/.test(track.codecPrivate || '') ? track.codecPrivate.trim() : 'WEBVTT';
+        return `${header}\n\n${cues.map(c => `${SubtitleParser.formatTimestamp(c.start)} --> ${SubtitleParser.formatTimestamp(c.end)}\n${c.text}\n`).join('\n')}`;
+    }
+
+    return srt(cues);
+}
+
+function srt(cues) {
+    return cues
+        .map((c, i) => `${i + 1}\n${SubtitleParser.formatTimestamp(c.start, ',')} --> ${SubtitleParser.formatTimestamp(c.end, ',')}\n${c.text.trim().replace(/\n{2,}/g, '\n')}\n`)
+        .join('\n');
+}
+
+// ASS timestamps: H:MM:SS.cc
+function assTime(seconds) {
+    const cs = Math.max(0, Math.round(seconds * 100));
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${Math.floor(cs / 360000)}:${pad(Math.floor(cs / 6000) % 60)}:${pad(Math.floor(cs / 100) % 60)}.${pad(cs % 100)}`;
+}
+
+// --- MP4 (ISO BMFF) ---
+
+/**
+ * Iterates the boxes in bytes[start, end).
+ */
+function* boxes(bytes, start = 0, end = bytes.length) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let pos = start;
+    while (pos + 8 <= end) {
+        let size = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        let header = 8;
+        if (size === 1) {
+            size = Number(view.getBigUint64(pos + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - pos;
+        }
+        if (size < header || pos + size > end) return;
+
+        yield { type, start: pos + header, end: pos + size };
+        pos += size;
+    }
+}
+
+/**
+ * Finds a nested box by path, e.g. ['mdia', 'minf', 'stbl'].
+ */
+function findBox(bytes, parent, path) {
+    let box = parent;
+    for (const type of path) {
+        box = [...boxes(bytes, box.start, box.end)].find(b => b.type === type);
+        if (!box) return null;
+    }
+    return box;
+}
+
+async function parseMp4(reader, isCancelled) {
+    // Top-level boxes: find moov (it may sit before or after the media data)
+    let moov = null;
+    for (let pos = 0; pos + 8 <= reader.size;) {
+        const head = await reader.read(pos, 16);
+        if (head.length < 8) break;
+        const view = new DataView(head.buffer);
+        let size = view.getUint32(0);
+        const type = String.fromCharCode(...head.subarray(4, 8));
+        if (size === 1 && head.length === 16) size = Number(view.getBigUint64(8));
+        else if (size === 0) size = reader.size - pos;
+        if (size < 8) break;
+
+        if (type === 'moov') {
+            if (size > MAX_ELEMENT) return [];
+            moov = await reader.read(pos, size);
+            break;
+        }
+        pos += size;
+    }
+    if (!moov) return [];
+
+    const results = [];
+    const root = { start: 8, end: moov.length };
+    const traks = [...boxes(moov, root.start, root.end)].filter(box => box.type === 'trak');
+    // Text tracks another track points to with tref/chap hold chapter titles, not subtitles
+    const chapterTracks = new Set(traks.flatMap(trak => chapterReferences(moov, trak)));
+
+    for (const trak of traks) {
+        if (isCancelled()) continue;
+        if (chapterTracks.has(trackId(moov, trak))) continue;
+        const track = parseMp4Track(moov, trak);
+        if (!track) continue;
+
+        const cues = [];
+        for (const sample of track.samples) {
+            const data = await reader.read(sample.offset, sample.size);
+            cues.push(...decodeSample(track.format, data, sample.start / track.timescale, sample.end / track.timescale));
+        }
+        if (cues.length === 0) continue;
+
+        results.push({
+            format: track.format === 'wvtt' ? 'vtt' : 'srt',
+            content: track.format === 'wvtt'
+                ? `WEBVTT\n\n${cues.map(c => `${SubtitleParser.formatTimestamp(c.start)} --> ${SubtitleParser.formatTimestamp(c.end)}${c.settings ? ` ${c.settings}` : ''}\n${c.text}\n`).join('\n')}`
+                : srt(cues),
+            language: track.language,
+            title: track.title,
+            default: track.enabled,
+            forced: false
+        });
+    }
+    return results;
+}
+
+/**
+ * @returns {number|null} The track_ID from the track header
+ */
+function trackId(bytes, trak) {
+    const tkhd = findBox(bytes, trak, ['tkhd']);
+    if (!tkhd) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return view.getUint32(tkhd.start + (bytes[tkhd.start] === 1 ? 20 : 12));
+}
+
+/**
+ * @returns {Array<number>} The IDs of the tracks holding this track's chapters
+ */
+function chapterReferences(bytes, trak) {
+    const chap = findBox(bytes, trak, ['tref', 'chap']);
+    if (!chap) return [];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return Array.from({ length: Math.floor((chap.end - chap.start) / 4) }, (_, i) => view.getUint32(chap.start + i * 4));
+}
+
+/**
+ * Reads a text track's metadata and sample table.
+ * @returns {Object|null} { format, timescale, language, title, samples: [{ offset, size, start, end }] }
+ */
+function parseMp4Track(bytes, trak) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    const hdlr = findBox(bytes, trak, ['mdia', 'hdlr']);
+    if (!hdlr) return null;
+    const handler = String.fromCharCode(...bytes.subarray(hdlr.start + 8, hdlr.start + 12));
+    if (!MP4_HANDLERS.includes(handler)) return null;
+
+    const stbl = findBox(bytes, trak, ['mdia', 'minf', 'stbl']);
+    const stsd = stbl && findBox(bytes, stbl, ['stsd']);
+    if (!stsd) return null;
+    const format = String.fromCharCode(...bytes.subarray(stsd.start + 12, stsd.start + 16));
+    if (format !== 'tx3g' && format !== 'wvtt') return null;
+
+    // Timescale and packed ISO 639-2 language
+    const mdhd = findBox(bytes, trak, ['mdia', 'mdhd']);
+    if (!mdhd) return null;
+    const v1 = bytes[mdhd.start] === 1;
+    const timescale = view.getUint32(mdhd.start + (v1 ? 20 : 12));
+    const packed = view.getUint16(mdhd.start + (v1 ? 32 : 20));
+    let language = String.fromCharCode(((packed >> 10) & 0x1F) + 0x60, ((packed >> 5) & 0x1F) + 0x60, (packed & 0x1F) + 0x60);
+
+    // Extended (BCP 47) language, when present
+    const elng = findBox(bytes, trak, ['mdia', 'elng']);
+    if (elng) language = utf8.decode(bytes.subarray(elng.start + 4, elng.end)).replace(/\0.*$/, '') || language;
+
+    // Track "enabled" flag, the closest MP4 has to a default track
+    const tkhd = findBox(bytes, trak, ['tkhd']);
+    const enabled = !tkhd || (bytes[tkhd.start + 3] & 1) === 1;
+
+    // Handler names are often tool defaults ("SubtitleHandler"); only keep real titles
+    const name = utf8.decode(bytes.subarray(hdlr.start + 24, hdlr.end)).replace(/\0.*$/, '').trim();
+    const title = /handler|^core media|^gpac|^$/i.test(name) ? '' : name;
+
+    const table = (type) => findBox(bytes, stbl, [type]);
+    const stts = table('stts');
+    const stsc = table('stsc');
+    const stsz = table('stsz');
+    const stco = table('stco') || table('co64');
+    if (!stts || !stsc || !stsz || !stco) return null;
+
+    // Sample sizes
+    const fixedSize = view.getUint32(stsz.start + 4);
+    const count = view.getUint32(stsz.start + 8);
+    const sizes = Array.from({ length: count }, (_, i) => fixedSize || view.getUint32(stsz.start + 12 + i * 4));
+
+    // Chunk offsets
+    const is64 = stco.type === 'co64';
+    const chunkCount = view.getUint32(stco.start + 4);
+    const chunkOffsets = Array.from({ length: chunkCount }, (_, i) => (is64
+        ? Number(view.getBigUint64(stco.start + 8 + i * 8))
+        : view.getUint32(stco.start + 8 + i * 4)));
+
+    // Samples per chunk (runs of chunks)
+    const runs = Array.from({ length: view.getUint32(stsc.start + 4) }, (_, i) => ({
+        firstChunk: view.getUint32(stsc.start + 8 + i * 12),
+        perChunk: view.getUint32(stsc.start + 12 + i * 12)
+    }));
+
+    const samples = [];
+    runs.forEach((run, r) => {
+        const lastChunk = r + 1 < runs.length ? runs[r + 1].firstChunk - 1 : chunkCount;
+        for (let chunk = run.firstChunk; chunk <= lastChunk; chunk++) {
+            let offset = chunkOffsets[chunk - 1];
+            for (let s = 0; s < run.perChunk && samples.length < count; s++) {
+                const size = sizes[samples.length];
+                samples.push({ offset, size });
+                offset += size;
+            }
+        }
+    });
+
+    // Decode times
+    let time = 0;
+    let index = 0;
+    const entries = view.getUint32(stts.start + 4);
+    for (let i = 0; i < entries; i++) {
+        const sampleCount = view.getUint32(stts.start + 8 + i * 8);
+        const delta = view.getUint32(stts.start + 12 + i * 8);
+        for (let s = 0; s < sampleCount && index < samples.length; s++, index++) {
+            samples[index].start = time;
+            samples[index].end = time + delta;
+            time += delta;
+        }
+    }
+
+    return { format, timescale, language, title, enabled, samples: samples.filter(s => s.end !== undefined && s.size > 2) };
+}
+
+/**
+ * Turns one MP4 text sample into cues (none for the empty samples that mark gaps).
+ */
+function decodeSample(format, data, start, end) {
+    if (format === 'tx3g') {
+        const length = (data[0] << 8) | data[1];
+        const text = data.subarray(2, 2 + length);
+        const isUtf16 = text[0] === 0xFE && text[1] === 0xFF;
+        const decoded = new TextDecoder(isUtf16 ? 'utf-16be' : 'utf-8').decode(text).trim();
+        return decoded ? [{ start, end, text: decoded }] : [];
+    }
+
+    // wvtt: one 'vttc' box per cue (with 'payl' text and optional 'sttg' settings), 'vtte' = no cue
+    const cues = [];
+    for (const box of boxes(data)) {
+        if (box.type !== 'vttc') continue;
+        const cue = { start, end, text: '', settings: '' };
+        for (const part of boxes(data, box.start, box.end)) {
+            const value = utf8.decode(data.subarray(part.start, part.end)).trim();
+            if (part.type === 'payl') cue.text = value;
+            if (part.type === 'sttg') cue.settings = value;
+        }
+        if (cue.text) cues.push(cue);
+    }
+    return cues;
+}
+
+export const ContainerSubtitles = {
+    /**
+     * Whether a file's container can carry text subtitles we know how to extract.
+     * @param {File} file
+     * @returns {boolean}
+     */
+    canExtract(file) {
+        return MATROSKA_EXTENSIONS.test(file.name) || MP4_EXTENSIONS.test(file.name);
+    },
+
+    /**
+     * Extracts the text subtitle tracks of a video file.
+     * @param {File} file
+     * @param {Object} [options]
+     * @param {Function} [options.isCancelled] - Polled during the scan; return true to stop early
+     * @returns {Promise<Array<{format: string, content: string, language: string, title: string, default: boolean, forced: boolean}>>}
+     *          format is 'srt', 'ass' or 'vtt'; language is the raw container tag ('eng', 'pt-BR', 'und')
+     */
+    async extract(file, { isCancelled = () => false } = {}) {
+        const reader = createReader(file);
+        const magic = await reader.read(0, 8);
+
+        // Sniff rather than trust the extension (.mp4 files are sometimes Matroska and vice versa)
+        if (readUint(magic.subarray(0, 4)) === ID.EBML) return parseMatroska(reader, isCancelled);
+        if (String.fromCharCode(...magic.subarray(4, 8)) === 'ftyp') return parseMp4(reader, isCancelled);
+        return [];
+    }
+};
@@ -0,0 +1,274 @@
+/**
+ * FluxPlayer Pro - File Handle Store
+ * Remembers FileSystemFileHandles (File System Access API) so videos can be
+ * re-opened straight from the Watch History. Handles are structured-cloneable
+ * but not JSON-serialisable, so they live in IndexedDB rather than LocalStorage.
+ *
+ * Also provides file picking/dropping helpers that keep track of the handle a
+ * File was obtained from.
+ */
+
+const DB_NAME = 'flux_pro_handles';
+const DB_VERSION = 1;
+const STORE = 'handles';
+
+// File -> FileSystemFileHandle for files obtained through the API in this session
+const handleMap = new WeakMap();
+
+// How deep dropped folders are searched for files
+const MAX_FOLDER_DEPTH = 2;
+
+// ms after the page regains focus before a fallback file picker counts as cancelled
+const CANCEL_DELAY = 1000;
+
+let dbPromise = null;
+
+/**
+ * Opens (and lazily creates) the handle database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(e => {
+            dbPromise = null;
+            throw e;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Lists the files of a dropped directory handle (and its sub-folders, up to MAX_FOLDER_DEPTH).
+ * @param {FileSystemDirectoryHandle} dir
+ * @returns {Promise<FileSystemFileHandle[]>}
+ */
+async function listDirectory(dir, depth = 0) {
+    const found = [];
+    for await (const entry of dir.values()) {
+        if (entry.kind === 'file') found.push(entry);
+        else if (depth < MAX_FOLDER_DEPTH) found.push(...await listDirectory(entry, depth + 1));
+    }
+    return found;
+}
+
+/**
+ * Same as listDirectory for the legacy FileSystemEntry API (browsers without handles).
+ * @param {FileSystemEntry} entry
+ * @returns {Promise<File[]>}
+ */
+async function readEntry(entry, depth = 0) {
+    if (entry.isFile) return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+    if (depth > MAX_FOLDER_DEPTH) return [];
+
+    // readEntries returns the listing in batches until an empty one
+    const reader = entry.createReader();
+    const entries = [];
+    for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) break;
+        entries.push(...batch);
+    }
+    const files = await Promise.all(entries.map(child => readEntry(child, depth + 1)));
+    return files.flat();
+}
+
+/**
+ * Runs a single request against the handle store.
+ * @param {IDBTransactionMode} mode
+ * @param {Function} fn - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>}
+ */
+async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+export const FileHandles = {
+    /**
+     * Check if the File System Access API (and IndexedDB to keep handles) is available
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof window.showOpenFilePicker === 'function' && 'indexedDB' in window;
+    },
+
+    /**
+     * Returns the handle a File was obtained from, if any.
+     * @param {File} file
+     * @returns {FileSystemFileHandle|null}
+     */
+    handleFor(file) {
+        return handleMap.get(file) || null;
+    },
+
+    /**
+     * Persist a handle under a history key
+     * @param {string} key
+     * @param {FileSystemFileHandle} handle
+     */
+    async save(key, handle) {
+        try {
+            await withStore('readwrite', store => store.put(handle, key));
+        } catch (e) {
+            console.error('FluxPlayer Handle Save Error:', e);
+        }
+    },
+
+    /**
+     * @param {string} key
+     * @returns {Promise<FileSystemFileHandle|null>}
+     */
+    async get(key) {
+        try {
+            return (await withStore('readonly', store => store.get(key))) || null;
+        } catch (e) {
+            console.error('FluxPlayer Handle Read Error:', e);
+            return null;
+        }
+    },
+
+    async remove(key) {
+        try {
+            await withStore('readwrite', store => store.delete(key));
+        } catch (e) {
+            console.error('FluxPlayer Handle Remove Error:', e);
+        }
+    },
+
+    async clear() {
+        try {
+            await withStore('readwrite', store => store.clear());
+        } catch (e) {
+            console.error('FluxPlayer Handle Clear Error:', e);
+        }
+    },
+
+    /**
+     * Resolves a stored handle to a File, asking the user for read permission if needed.
+     * Must be called from a user gesture (e.g. a click) for the permission prompt to show.
+     * @param {FileSystemFileHandle} handle
+     * @returns {Promise<File|null>} The file, or null if permission was denied or the file is gone
+     */
+    async getFile(handle) {
+        try {
+            const opts = { mode: 'read' };
+            let permission = await handle.queryPermission(opts);
+            if (permission === 'prompt') permission = await handle.requestPermission(opts);
+            if (permission !== 'granted') return null;
+
+            const file = await handle.getFile();
+            handleMap.set(file, handle);
+            return file;
+        } catch (e) {
+            // NotFoundError when the file was moved or deleted
+            console.warn('FluxPlayer Handle Access Error:', e);
+            return null;
+        }
+    },
+
+    /**
+     * Opens a file picker. Uses showOpenFilePicker when available (so handles are
+     * remembered) and falls back to a classic <input type="file">.
+     * @param {Object} options
+     * @param {string[]} options.accept - Extensions to pre-filter on, e.g. ['.mp4']
+     * @param {string} [options.description='Videos']
+     * @param {boolean} [options.multiple=false]
+     * @returns {Promise<File[]>} Chosen files (empty if cancelled)
+     */
+    async pickFiles({ accept, description = 'Videos', multiple = false }) {
+        if (this.isSupported()) {
+            try {
+                const handles = await window.showOpenFilePicker({
+                    multiple,
+                    types: [{ description, accept: { 'video/*': accept } }]
+                });
+                return Promise.all(handles.map(async handle => {
+                    const file = await handle.getFile();
+                    handleMap.set(file, handle);
+                    return file;
+                }));
+            } catch (e) {
+                // AbortError: the user closed the picker
+                if (e.name !== 'AbortError') console.error('FluxPlayer Picker Error:', e);
+                return [];
+            }
+        }
+
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            let timer = null;
+            const finish = () => {
+                clearTimeout(timer);
+                window.removeEventListener('focus', onFocus);
+                resolve(Array.from(input.files || []));
+            };
+            // Browsers without the 'cancel' event: the page gets the focus back with no
+            // files chosen ('change' can fire just after the focus, so wait a moment)
+            const onFocus = () => {
+                timer = setTimeout(finish, CANCEL_DELAY);
+            };
+
+            input.type = 'file';
+            input.accept = accept.join(',');
+            input.multiple = multiple;
+            input.onchange = finish;
+            input.oncancel = finish;
+            window.addEventListener('focus', onFocus, { once: true });
+            input.click();
+        });
+    },
+
+    /**
+     * Extracts files from a drop event, keeping their handles where the browser exposes them.
+     * Dropped folders are expanded to the files inside them.
+     * Must be called synchronously inside the 'drop' listener (DataTransfer items expire afterwards).
+     * @param {DataTransfer} dataTransfer
+     * @returns {Promise<File[]>}
+     */
+    filesFromDataTransfer(dataTransfer) {
+        const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+        const plainFiles = Array.from(dataTransfer.files || []);
+
+        if (!this.isSupported() || items.length === 0 || typeof items[0].getAsFileSystemHandle !== 'function') {
+            const entries = items.map(item => item.webkitGetAsEntry && item.webkitGetAsEntry());
+            if (!entries.some(entry => entry && entry.isDirectory)) return Promise.resolve(plainFiles);
+
+            return Promise.all(entries.filter(Boolean).map(entry => readEntry(entry)))
+                .then(files => files.flat())
+                .catch(e => {
+                    console.warn('FluxPlayer Drop Folder Error:', e);
+                    return plainFiles;
+                });
+        }
+
+        const pending = items.map(item => item.getAsFileSystemHandle());
+        return Promise.all(pending)
+            .then(async handles => {
+                const fileHandles = [];
+                for (const handle of handles.filter(Boolean)) {
+                    if (handle.kind === 'file') fileHandles.push(handle);
+                    else fileHandles.push(...await listDirectory(handle));
+                }
+                return Promise.all(fileHandles.map(async handle => {
+                    const file = await handle.getFile();
+                    handleMap.set(file, handle);
+                    return file;
+                }));
+            })
+            .catch(e => {
+                console.warn('FluxPlayer Drop Handle Error:', e);
+                return plainFiles;
+            });
+    }
+};
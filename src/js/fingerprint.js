@@ -0,0 +1,123 @@
+/**
+ * FluxPlayer Pro - File Fingerprint Module
+ * Identifies a video by its content rather than its name: size, duration and a
+ * hash of a few byte ranges sampled across the file. Two different "video.mp4"
+ * files get different fingerprints, and a renamed file keeps its own. Only a few
+ * hundred KB are read, so even large files are fingerprinted almost instantly.
+ */
+
+const PREFIX = 'fp1:';              // Bump the version if the sampling ever changes
+const SAMPLE_SIZE = 64 * 1024;      // Bytes per sampled range
+const SAMPLE_COUNT = 5;             // Ranges, spread evenly from the first to the last byte
+const PROBE_TIMEOUT = 5000;         // ms to wait for the duration
+
+// File -> Promise of its fingerprint (files are immutable snapshots)
+const cache = new WeakMap();
+
+/**
+ * Reads the sampled ranges (the whole file when it is small).
+ * @param {File} file
+ * @returns {Promise<Uint8Array>}
+ */
+async function readSamples(file) {
+    if (file.size <= SAMPLE_SIZE * SAMPLE_COUNT) return new Uint8Array(await file.arrayBuffer());
+
+    const bytes = new Uint8Array(SAMPLE_SIZE * SAMPLE_COUNT);
+    for (let i = 0; i < SAMPLE_COUNT; i++) {
+        const offset = Math.floor((file.size - SAMPLE_SIZE) * i / (SAMPLE_COUNT - 1));
+        bytes.set(new Uint8Array(await file.slice(offset, offset + SAMPLE_SIZE).arrayBuffer()), i * SAMPLE_SIZE);
+    }
+    return bytes;
+}
+
+/**
+ * Duration in whole seconds, read from the file's metadata with a detached <video>.
+ * @param {File} file
+ * @returns {Promise<number>} 0 when the metadata has no finite duration
+ * @throws {Error} If the metadata cannot be read in time (a retry may succeed, so no fingerprint is made)
+ */
+function probeDuration(file) {
+    return new Promise((resolve, reject) => {
+        const video = document.createElement('video');
+        const url = URL.createObjectURL(file);
+        let timer = null;
+
+        const finish = (duration, error) => {
+            clearTimeout(timer);
+            video.onloadedmetadata = null;
+            video.onerror = null;
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+            if (error) reject(error);
+            else resolve(Number.isFinite(duration) ? Math.round(duration) : 0);
+        };
+
+        video.preload = 'metadata';
+        video.muted = true;
+        video.onloadedmetadata = () => finish(video.duration);
+        video.onerror = () => finish(0, new Error(`Cannot read the duration of ${file.name}`));
+        timer = setTimeout(() => finish(0, new Error(`Timed out reading the duration of ${file.name}`)), PROBE_TIMEOUT);
+        video.src = url;
+    });
+}
+
+export const Fingerprint = {
+    /**
+     * @param {string} key
+     * @returns {boolean} True if the key is a fingerprint (rather than a file name)
+     */
+    isFingerprint(key) {
+        return typeof key === 'string' && key.startsWith(PREFIX);
+    },
+
+    /**
+     * @param {string} key
+     * @returns {{size: number, duration: number, hash: string}|null} Null if the key is not a fingerprint
+     */
+    parse(key) {
+        if (!this.isFingerprint(key)) return null;
+        const [size, duration, hash] = key.slice(PREFIX.length).split(':');
+        return hash ? { size: Number(size), duration: Number(duration), hash } : null;
+    },
+
+    /**
+     * True if two fingerprints describe the same bytes. The duration is left out:
+     * it comes from the browser and may differ between versions of it.
+     * @param {string} a
+     * @param {string} b
+     * @returns {boolean}
+     */
+    sameContent(a, b) {
+        const first = this.parse(a);
+        const second = this.parse(b);
+        return !!first && !!second && first.size === second.size && first.hash === second.hash;
+    },
+
+    /**
+     * The fingerprint of a file, e.g. "fp1:734003200:5421:9f86d081884c7d659a2feaa0c55ad015".
+     * Computed once per File object.
+     * @param {File} file
+     * @returns {Promise<string|null>} Null if it cannot be computed (no Web Crypto, unreadable file or duration)
+     */
+    of(file) {
+        if (!cache.has(file)) {
+            cache.set(file, this._compute(file).catch(e => {
+                console.warn('FluxPlayer Fingerprint Error:', e);
+                return null;
+            }));
+        }
+        return cache.get(file);
+    },
+
+    // --- Internal Helpers ---
+
+    async _compute(file) {
+        if (!window.crypto || !crypto.subtle) throw new Error('Web Crypto is unavailable');
+
+        const [bytes, duration] = await Promise.all([readSamples(file), probeDuration(file)]);
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+        const hash = Array.from(digest.slice(0, 16), b => b.toString(16).padStart(2, '0')).join('');
+        return `${PREFIX}${file.size}:${duration}:${hash}`;
+    }
+};
@@ -0,0 +1,102 @@
+/**
+ * FluxPlayer Pro - History Library Module
+ * Searches, filters, sorts and groups Watch History entries for the library
+ * view, and derives their watch progress. Episodes of the same series
+ * ("Show.S01E02.mkv", "Show.S01E03.mkv") are grouped together. It holds no DOM
+ * or storage logic; the controller in app.js keeps the view options.
+ */
+
+import { Sidecar } from './sidecar.js';
+
+const SORTS = {
+    recent: (a, b) => (b.lastPlayed || '').localeCompare(a.lastPlayed || ''),
+    progress: (a, b) => (HistoryLibrary.progress(b) ?? -1) - (HistoryLibrary.progress(a) ?? -1),
+    size: (a, b) => (b.size || 0) - (a.size || 0),
+    name: (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' })
+};
+
+const FILTERS = {
+    all: () => true,
+    'in-progress': (item) => !item.finished && item.time > 0,
+    finished: (item) => !!item.finished
+};
+
+// Case, accents and separators do not matter when searching
+const fold = (text) => text.normalize('NFD').replace(/[\u0300-\u036F]/g, '').toLocaleLowerCase().replace(/[._]+/g, ' ');
+
+export const HistoryLibrary = {
+    /**
+     * @param {Object} item - History entry
+     * @returns {number|null} 0–1 (1 once finished), or null while the duration is unknown
+     */
+    progress(item) {
+        if (item.finished) return 1;
+        if (!item.duration) return null;
+        return Math.min(1, Math.max(0, item.time / item.duration));
+    },
+
+    /**
+     * @param {Object} item - History entry
+     * @returns {string} 'finished', 'progress' (part watched, duration known), 'stopped' (part
+     *          watched, duration unknown) or 'new'
+     */
+    state(item) {
+        if (item.finished) return 'finished';
+        if (this.progress(item) !== null) return 'progress';
+        return item.time > 0 ? 'stopped' : 'new';
+    },
+
+    /**
+     * @param {Array} history
+     * @param {Object} options
+     * @param {string} [options.search='']
+     * @param {string} [options.sort='recent'] - See SORTS
+     * @param {string} [options.filter='all'] - See FILTERS
+     * @returns {Array} Matching entries, sorted
+     */
+    query(history, { search = '', sort = 'recent', filter = 'all' } = {}) {
+        const needle = fold(search.trim());
+        return history
+            .filter(FILTERS[filter] || FILTERS.all)
+            .filter(item => !needle || fold(item.name).includes(needle))
+            .sort(SORTS[sort] || SORTS.recent);
+    },
+
+    /**
+     * Groups episodes of the same series (two or more of them) at the position of
+     * the first one in the list; other entries stay on their own.
+     * @param {Array} list - Sorted entries
+     * @returns {Array<{series: string|null, items: Array}>} Groups hold their episodes in episode order
+     */
+    group(list) {
+        const groups = [];
+        const bySeries = new Map();
+
+        list.forEach(item => {
+            const parsed = Sidecar.parseEpisode(item.name);
+            const id = parsed && parsed.series ? fold(parsed.series) : null;
+            if (!id) {
+                groups.push({ series: null, items: [item] });
+                return;
+            }
+
+            let group = bySeries.get(id);
+            if (!group) {
+                group = { series: parsed.series, items: [] };
+                bySeries.set(id, group);
+                groups.push(group);
+            }
+            group.items.push({ item, season: parsed.season, episode: parsed.episode });
+        });
+
+        // Lone episodes are shown like any other entry
+        return groups.flatMap(group => {
+            if (group.series === null) return [group];
+            if (group.items.length === 1) return [{ series: null, items: [group.items[0].item] }];
+            const items = group.items
+                .sort((a, b) => a.season - b.season || a.episode - b.episode)
+                .map(entry => entry.item);
+            return [{ series: group.series, items }];
+        });
+    }
+};
@@ -0,0 +1,180 @@
+/**
+ * FluxPlayer Pro - Language Module
+ * Identifies the language of subtitle tracks, from file-name suffixes
+ * (movie.fa.srt, movie.eng.srt) or from the script and common words of the
+ * text itself, and knows which languages are written right-to-left.
+ */
+
+export const LANGUAGES = [
+    { code: 'en', name: 'English', aliases: ['eng', 'english'] },
+    { code: 'fa', name: 'Persian', rtl: true, aliases: ['per', 'fas', 'persian', 'farsi'] },
+    { code: 'ar', name: 'Arabic', rtl: true, aliases: ['ara', 'arabic'] },
+    { code: 'ur', name: 'Urdu', rtl: true, aliases: ['urd', 'urdu'] },
+    { code: 'he', name: 'Hebrew', rtl: true, aliases: ['heb', 'hebrew', 'iw'] },
+    { code: 'ru', name: 'Russian', aliases: ['rus', 'russian'] },
+    { code: 'uk', name: 'Ukrainian', aliases: ['ukr', 'ukrainian'] },
+    { code: 'fr', name: 'French', aliases: ['fre', 'fra', 'french'] },
+    { code: 'de', name: 'German', aliases: ['ger', 'deu', 'german'] },
+    { code: 'es', name: 'Spanish', aliases: ['spa', 'spanish'] },
+    { code: 'it', name: 'Italian', aliases: ['ita', 'italian'] },
+    { code: 'pt', name: 'Portuguese', aliases: ['por', 'portuguese'] },
+    { code: 'nl', name: 'Dutch', aliases: ['dut', 'nld', 'dutch'] },
+    { code: 'pl', name: 'Polish', aliases: ['pol', 'polish'] },
+    { code: 'sv', name: 'Swedish', aliases: ['swe', 'swedish'] },
+    { code: 'tr', name: 'Turkish', aliases: ['tur', 'turkish'] },
+    { code: 'el', name: 'Greek', aliases: ['gre', 'ell', 'greek'] },
+    { code: 'hi', name: 'Hindi', aliases: ['hin', 'hindi'] },
+    { code: 'th', name: 'Thai', aliases: ['tha', 'thai'] },
+    { code: 'id', name: 'Indonesian', aliases: ['ind', 'indonesian'] },
+    { code: 'ja', name: 'Japanese', aliases: ['jpn', 'japanese'] },
+    { code: 'ko', name: 'Korean', aliases: ['kor', 'korean'] },
+    { code: 'zh', name: 'Chinese', aliases: ['chi', 'zho', 'chinese', 'chs', 'cht'] }
+];
+
+export const UNDETERMINED = 'und';
+
+// File-name tokens that describe the track rather than its language
+const NON_LANGUAGE_TAGS = ['forced', 'sdh', 'cc', 'hi', 'default', 'full', 'signs'];
+
+// Frequent short words, used to tell Latin-script languages apart
+const STOPWORDS = {
+    en: ['the', 'you', 'and', 'is', 'to', 'what', 'it', 'that', 'this', 'of'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'vous', 'je', 'pas', 'que', 'une'],
+    de: ['der', 'die', 'und', 'ist', 'nicht', 'ich', 'das', 'sie', 'du', 'ein'],
+    es: ['el', 'que', 'de', 'no', 'la', 'es', 'y', 'los', 'por', 'qué'],
+    it: ['il', 'che', 'non', 'di', 'è', 'la', 'un', 'per', 'sono', 'ma'],
+    pt: ['que', 'não', 'de', 'você', 'é', 'um', 'uma', 'o', 'está', 'eu'],
+    nl: ['de', 'het', 'een', 'ik', 'je', 'niet', 'dat', 'is', 'en', 'van'],
+    tr: ['bir', 've', 'bu', 'ne', 'ben', 'sen', 'için', 'değil', 'çok', 'mi'],
+    pl: ['nie', 'się', 'to', 'jest', 'że', 'na', 'co', 'jak', 'ja', 'tak'],
+    sv: ['och', 'det', 'är', 'jag', 'inte', 'att', 'en', 'du', 'som', 'på'],
+    id: ['yang', 'dan', 'ini', 'itu', 'tidak', 'aku', 'kau', 'apa', 'ada', 'saya']
+};
+
+export const Language = {
+    /**
+     * @param {string} code
+     * @returns {Object|null} Language entry
+     */
+    get(code) {
+        return LANGUAGES.find(l => l.code === code) || null;
+    },
+
+    /**
+     * Display name of a language code ("Unknown" for und)
+     */
+    name(code) {
+        const lang = this.get(code);
+        return lang ? lang.name : (code === UNDETERMINED ? 'Unknown' : code);
+    },
+
+    /**
+     * @param {string} code
+     * @returns {boolean} True for right-to-left scripts
+     */
+    isRtl(code) {
+        const lang = this.get(code);
+        return !!(lang && lang.rtl);
+    },
+
+    /**
+     * Maps a language tag as stored in media containers (ISO 639-2 "per", "eng",
+     * or BCP 47 "pt-BR") to a known language.
+     * @param {string} code
+     * @returns {string|null} ISO 639-1 code, or null if unknown / undetermined
+     */
+    fromCode(code) {
+        const primary = String(code || '').toLowerCase().split(/[-_]/)[0];
+        const lang = LANGUAGES.find(l => l.code === primary || l.aliases.includes(primary));
+        return lang ? lang.code : null;
+    },
+
+    /**
+     * Reads a language tag from a subtitle file name: "movie.fa.srt", "movie.pt-BR.srt",
+     * "movie_eng.srt", "movie.en.forced.srt".
+     * @param {string} fileName
+     * @returns {string|null} ISO 639-1 code, or null if none found
+     */
+    fromFileName(fileName) {
+        const base = fileName.replace(/\.[^/.]+$/, '');
+        const tokens = base.split(/[.\s_\-[\]()]+/).filter(Boolean);
+
+        // Only look at the end of the name, and never at the first token (the title)
+        for (let i = tokens.length - 1; i >= Math.max(1, tokens.length - 3); i--) {
+            const token = tokens[i].toLowerCase();
+            if (NON_LANGUAGE_TAGS.includes(token)) continue;
+
+            const lang = LANGUAGES.find(l => l.code === token || l.aliases.includes(token));
+            if (lang) return lang.code;
+        }
+
+        // Region-qualified tags split above ("pt-BR" -> "pt", "BR")
+        const region = /[._]([a-z]{2})-[A-Za-z]{2,4}$/i.exec(base);
+        if (region) {
+            const lang = this.get(region[1].toLowerCase());
+            if (lang) return lang.code;
+        }
+
+        return null;
+    },
+
+    /**
+     * Guesses the language of subtitle text from its script, then from common words.
+     * @param {string} text - Plain text (a sample of cues is enough)
+     * @returns {string} ISO 639-1 code or 'und'
+     */
+    fromText(text) {
+        const count = (re) => (text.match(re) || []).length;
+
+        const scripts = {
+            arabic: count(/[\u0600-\u06FF]/g),
+            hebrew: count(/[\u0590-\u05FF]/g),
+            cyrillic: count(/[\u0400-\u04FF]/g),
+            greek: count(/[\u0370-\u03FF]/g),
+            thai: count(/[\u0E00-\u0E7F]/g),
+            devanagari: count(/[\u0900-\u097F]/g),
+            hangul: count(/[\uAC00-\uD7AF]/g),
+            kana: count(/[\u3040-\u30FF]/g),
+            han: count(/[\u4E00-\u9FFF]/g),
+            latin: count(/[A-Za-z\u00C0-\u024F]/g)
+        };
+
+        const [script, hits] = Object.entries(scripts).sort((a, b) => b[1] - a[1])[0];
+        if (hits === 0) return UNDETERMINED;
+
+        switch (script) {
+            case 'arabic':
+                // Letters that exist in Urdu / Persian but not in Arabic
+                if (count(/[ٹڈڑےں]/g) > 0) return 'ur';
+                return count(/[پچژگکی]/g) > hits * 0.01 ? 'fa' : 'ar';
+            case 'hebrew': return 'he';
+            case 'cyrillic': return count(/[іїєґ]/gi) > hits * 0.005 ? 'uk' : 'ru';
+            case 'greek': return 'el';
+            case 'thai': return 'th';
+            case 'devanagari': return 'hi';
+            case 'hangul': return 'ko';
+            case 'kana': return 'ja';
+            case 'han': return scripts.kana > 0 ? 'ja' : 'zh';
+            default: return this._fromStopwords(text);
+        }
+    },
+
+    // --- Internal Helpers ---
+
+    _fromStopwords(text) {
+        const words = text.toLowerCase().split(/[^a-z\u00C0-\u024F]+/).filter(Boolean);
+        if (words.length === 0) return UNDETERMINED;
+
+        const frequency = {};
+        words.forEach(w => { frequency[w] = (frequency[w] || 0) + 1; });
+
+        let best = { code: UNDETERMINED, score: 0 };
+        Object.entries(STOPWORDS).forEach(([code, list]) => {
+            const score = list.reduce((sum, w) => sum + (frequency[w] || 0), 0);
+            if (score > best.score) best = { code, score };
+        });
+
+        // Require a minimum share of stopwords before trusting the guess
+        return best.score / words.length > 0.05 ? best.code : UNDETERMINED;
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * FluxPlayer Pro - Media Events Module
+ * Promise helpers for the offscreen <video> elements used to take thumbnails,
+ * snapshots and clips.
+ */
+
+export const MediaEvents = {
+    /**
+     * Resolves once the media element fires one of the events (rejects on 'error').
+     * @param {HTMLMediaElement} el
+     * @param {Array<string>} events
+     * @param {number} [timeout] - ms before giving up
+     * @returns {Promise<void>}
+     */
+    once(el, events, timeout) {
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const finish = (fn, value) => {
+                clearTimeout(timer);
+                events.forEach(ev => el.removeEventListener(ev, onEvent));
+                el.removeEventListener('error', onError);
+                fn(value);
+            };
+            const onEvent = () => finish(resolve);
+            const onError = () => finish(reject, el.error || new Error('Media error'));
+
+            events.forEach(ev => el.addEventListener(ev, onEvent));
+            el.addEventListener('error', onError);
+            if (timeout) timer = setTimeout(() => finish(reject, new Error('Timed out')), timeout);
+        });
+    }
+};
@@ -0,0 +1,65 @@
+/**
+ * FluxPlayer Pro - Playback Persistence Scheduler
+ * Coalesces playback position updates so storage is written at most once per
+ * interval, while still allowing an immediate flush at important moments
+ * (pause, seek, end of video, tab hidden or closed).
+ */
+
+export const PlaybackPersistence = {
+    interval: 5000,     // Minimum delay between two writes (ms)
+    pending: null,      // Latest unsaved position { key, time, duration }
+    timer: null,
+    lastWrite: 0,
+    writer: null,
+
+    /**
+     * @param {Object} options
+     * @param {Function} options.write - Persists one position: ({ key, time, duration }) => void
+     * @param {number} [options.interval]
+     */
+    configure({ write, interval }) {
+        this.writer = write;
+        if (interval) this.interval = interval;
+    },
+
+    /**
+     * Record the current position; it is written on the next flush or when the interval elapses.
+     * @param {string} key - Identifies the file
+     * @param {number} time - Current time in seconds
+     * @param {number} duration - Media duration in seconds (may be NaN before metadata loads)
+     */
+    schedule(key, time, duration) {
+        // Position 0 is reported while a source is (re)loading; it would overwrite the resume point
+        if (!key || !(time > 0)) return;
+
+        this.pending = { key, time, duration: Number.isFinite(duration) ? duration : null };
+
+        if (this.timer) return;
+        const wait = Math.max(0, this.interval - (Date.now() - this.lastWrite));
+        this.timer = setTimeout(() => this.flush(), wait);
+    },
+
+    /**
+     * Write the pending position immediately (if any).
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (!this.pending || !this.writer) return;
+
+        const entry = this.pending;
+        this.pending = null;
+        this.lastWrite = Date.now();
+        this.writer(entry);
+    },
+
+    /**
+     * Drop the pending position without writing it.
+     */
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pending = null;
+    }
+};
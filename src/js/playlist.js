@@ -0,0 +1,235 @@
+/**
+ * FluxPlayer Pro - Playlist Module
+ * Keeps the play queue: the ordered list of videos, the current position,
+ * shuffle order and repeat mode. It holds no DOM logic; the controller in
+ * app.js renders it through the UIManager and persists it via AppState.
+ *
+ * File objects cannot be persisted, so after a reload the queue is restored
+ * from metadata only. Items are re-linked to their File when the same file
+ * (name + size) is added again.
+ */
+
+const VIDEO_EXTENSIONS = /\.(mp4|m4v|mkv|webm|mov|ogv|avi|3gp)$/i;
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+export const Playlist = {
+    items: [],          // { id, name, size, type, file }
+    index: -1,          // Position of the current item in `items`
+    shuffle: false,
+    shuffleOrder: [],   // Item ids in shuffled play order
+    repeat: 'off',      // 'off' | 'all' | 'one'
+
+    /**
+     * Detects if a dropped/picked file is a playable video.
+     * Some containers (e.g. .mkv) are reported without a MIME type, so the extension is checked too.
+     * @param {File} file
+     * @returns {boolean}
+     */
+    isVideoFile(file) {
+        return (file.type || '').startsWith('video/') || VIDEO_EXTENSIONS.test(file.name);
+    },
+
+    /**
+     * Builds the identity used to recognise the same file across reloads.
+     * @param {{name: string, size: number}} file
+     * @returns {string}
+     */
+    idFor(file) {
+        return `${file.name}::${file.size}`;
+    },
+
+    /**
+     * Appends files to the queue, re-linking entries that are already queued.
+     * @param {File[]} files
+     * @returns {number[]} Indexes of the added or re-linked items, in input order
+     */
+    add(files) {
+        const indexes = [];
+
+        files.forEach(file => {
+            const id = this.idFor(file);
+            let i = this.items.findIndex(item => item.id === id);
+
+            if (i === -1) {
+                this.items.push({ id, name: file.name, size: file.size, type: file.type, file });
+                i = this.items.length - 1;
+                if (this.shuffle) this._insertShuffled(id);
+            } else {
+                this.items[i].file = file;
+            }
+            indexes.push(i);
+        });
+
+        return indexes;
+    },
+
+    /**
+     * Removes an item, keeping the current position on the same video when possible.
+     * @param {number} i
+     */
+    remove(i) {
+        const item = this.items[i];
+        if (!item) return;
+
+        this.items.splice(i, 1);
+        this.shuffleOrder = this.shuffleOrder.filter(id => id !== item.id);
+
+        if (i < this.index) this.index--;
+        else if (i === this.index) this.index = -1;
+    },
+
+    /**
+     * Moves an item to a new position (drag & drop reordering).
+     * @param {number} from
+     * @param {number} to
+     */
+    move(from, to) {
+        if (from === to || !this.items[from] || to < 0 || to >= this.items.length) return;
+
+        const current = this.current();
+        const [item] = this.items.splice(from, 1);
+        this.items.splice(to, 0, item);
+
+        if (current) this.index = this.items.indexOf(current);
+    },
+
+    clear() {
+        this.items = [];
+        this.shuffleOrder = [];
+        this.index = -1;
+    },
+
+    /**
+     * @returns {Object|null} The current queue item
+     */
+    current() {
+        return this.items[this.index] || null;
+    },
+
+    /**
+     * Resolves the index of the item to play after the current one.
+     * Items without a linked File (restored from a previous session) are skipped.
+     * @param {boolean} [auto=false] - True when advancing because playback ended (honours repeat 'one')
+     * @returns {number} Item index or -1 when the queue is exhausted
+     */
+    nextIndex(auto = false) {
+        if (auto && this.repeat === 'one' && this.current()) return this.index;
+        return this._step(1);
+    },
+
+    /**
+     * Resolves the index of the item before the current one.
+     * @returns {number} Item index or -1
+     */
+    previousIndex() {
+        return this._step(-1);
+    },
+
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        this.shuffleOrder = enabled ? this._shuffledIds() : [];
+    },
+
+    /**
+     * Cycles the repeat mode: off → all → one → off.
+     * @returns {string} The new mode
+     */
+    cycleRepeat() {
+        const next = (REPEAT_MODES.indexOf(this.repeat) + 1) % REPEAT_MODES.length;
+        this.repeat = REPEAT_MODES[next];
+        return this.repeat;
+    },
+
+    /**
+     * Returns a JSON-safe snapshot of the queue (File objects are dropped).
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            items: this.items.map(({ id, name, size, type }) => ({ id, name, size, type })),
+            index: this.index,
+            shuffle: this.shuffle,
+            shuffleOrder: this.shuffleOrder,
+            repeat: this.repeat
+        };
+    },
+
+    /**
+     * Restores a snapshot produced by serialize(). Items come back without files.
+     * @param {Object|null} data
+     */
+    restore(data) {
+        if (!data || !Array.isArray(data.items)) return;
+
+        // Stored data may be damaged: items that are not objects are skipped
+        this.items = data.items
+            .filter(item => item !== null && typeof item === 'object')
+            .map(item => ({ ...item, id: item.id || this.idFor(item), file: null }));
+        this.index = Number.isInteger(data.index) && data.index >= 0 && data.index < this.items.length ? data.index : -1;
+        this.shuffle = !!data.shuffle;
+        this.repeat = REPEAT_MODES.includes(data.repeat) ? data.repeat : 'off';
+
+        const ids = new Set(this.items.map(item => item.id));
+        this.shuffleOrder = (data.shuffleOrder || []).filter(id => ids.has(id));
+        if (this.shuffle && this.shuffleOrder.length !== this.items.length) {
+            this.shuffleOrder = this._shuffledIds();
+        }
+    },
+
+    // --- Internal Helpers ---
+
+    /**
+     * Walks the play order (linear or shuffled) in the given direction.
+     */
+    _step(direction) {
+        const order = this.shuffle ? this.shuffleOrder : this.items.map(item => item.id);
+        if (order.length === 0) return -1;
+
+        const current = this.current();
+        let pos = current ? order.indexOf(current.id) : (direction > 0 ? -1 : order.length);
+
+        for (let n = 0; n < order.length; n++) {
+            pos += direction;
+
+            if (pos < 0 || pos >= order.length) {
+                if (this.repeat !== 'all') return -1;
+                // Wrap around; a new round of shuffle gets a fresh order
+                if (this.shuffle && direction > 0) {
+                    this.shuffleOrder = this._shuffledIds(false);
+                    order.splice(0, order.length, ...this.shuffleOrder);
+                }
+                pos = direction > 0 ? 0 : order.length - 1;
+            }
+
+            const i = this.items.findIndex(item => item.id === order[pos]);
+            if (i !== -1 && this.items[i].file) return i;
+        }
+
+        return -1;
+    },
+
+    /**
+     * Fisher–Yates shuffle of all ids, keeping the current item first unless told otherwise.
+     */
+    _shuffledIds(pinCurrent = true) {
+        const current = pinCurrent ? this.current() : null;
+        const ids = this.items.map(item => item.id).filter(id => !current || id !== current.id);
+
+        for (let i = ids.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [ids[i], ids[j]] = [ids[j], ids[i]];
+        }
+
+        return current ? [current.id, ...ids] : ids;
+    },
+
+    /**
+     * Inserts a newly added id at a random position after the current item.
+     */
+    _insertShuffled(id) {
+        const current = this.current();
+        const start = current ? this.shuffleOrder.indexOf(current.id) + 1 : 0;
+        const pos = start + Math.floor(Math.random() * (this.shuffleOrder.length - start + 1));
+        this.shuffleOrder.splice(pos, 0, id);
+    }
+};
@@ -0,0 +1,75 @@
+/**
+ * FluxPlayer Pro - PWA Module
+ * Registers the service worker that makes the app available offline and
+ * reports when a newer version has been installed in the background.
+ */
+
+const SW_URL = 'sw.js';
+
+export const PWA = {
+    registration: null,
+    updateRequested: false,
+
+    /**
+     * Check if service workers can be used in this context
+     * (requires a secure origin: https or localhost).
+     * @returns {boolean}
+     */
+    isSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext;
+    },
+
+    /**
+     * Register the service worker and watch for updates.
+     * @param {Function} onUpdateReady - Called with an `apply` callback once a new version is waiting.
+     */
+    async register(onUpdateReady) {
+        if (!this.isSupported()) return;
+
+        try {
+            this.registration = await navigator.serviceWorker.register(SW_URL);
+        } catch (e) {
+            console.error('FluxPlayer Service Worker Error:', e);
+            return;
+        }
+
+        const reg = this.registration;
+        const notify = () => onUpdateReady && onUpdateReady(() => this.applyUpdate());
+
+        // An update may already be waiting from a previous visit
+        if (reg.waiting && navigator.serviceWorker.controller) notify();
+
+        reg.addEventListener('updatefound', () => {
+            const worker = reg.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the very first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    notify();
+                }
+            });
+        });
+
+        // Reload once the new worker has taken over. The first install also
+        // fires controllerchange (clients.claim), so only react to user-requested updates.
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.updateRequested) return;
+            this.updateRequested = false;
+            window.location.reload();
+        });
+    },
+
+    /**
+     * Activate the waiting service worker (the page reloads on controllerchange).
+     */
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        if (waiting) {
+            this.updateRequested = true;
+            waiting.postMessage({ type: 'SKIP_WAITING' });
+        } else {
+            window.location.reload();
+        }
+    }
+};
@@ -0,0 +1,166 @@
+/**
+ * FluxPlayer Pro - Keyboard Shortcuts Module
+ * Lists every keyboard action with its default key, resolves key presses to
+ * actions and keeps the user's remappings. Key combos are strings such as
+ * "Space", "Shift+G", "Ctrl+ArrowLeft" or "?". It holds no DOM logic; the
+ * UIManager dispatches key presses and renders the bindings.
+ */
+
+export const SHORTCUTS = [
+    { action: 'playPause', label: 'Play / Pause', group: 'Playback', keys: 'Space' },
+    { action: 'seekBack', label: 'Back 5 seconds', group: 'Playback', keys: 'ArrowLeft' },
+    { action: 'seekForward', label: 'Forward 5 seconds', group: 'Playback', keys: 'ArrowRight' },
+    { action: 'seekBackLong', label: 'Back 10 seconds', group: 'Playback', keys: 'J' },
+    { action: 'seekForwardLong', label: 'Forward 10 seconds', group: 'Playback', keys: 'L' },
+    { action: 'speedDown', label: 'Slower', group: 'Playback', keys: '<' },
+    { action: 'speedUp', label: 'Faster', group: 'Playback', keys: '>' },
+    { action: 'volumeUp', label: 'Volume up', group: 'Playback', keys: 'ArrowUp' },
+    { action: 'volumeDown', label: 'Volume down', group: 'Playback', keys: 'ArrowDown' },
+    { action: 'mute', label: 'Mute', group: 'Playback', keys: 'M' },
+    { action: 'fullscreen', label: 'Fullscreen', group: 'Playback', keys: 'F' },
+    { action: 'frameBack', label: 'Previous frame', group: 'Playback', keys: ',' },
+    { action: 'frameForward', label: 'Next frame', group: 'Playback', keys: '.' },
+
+    { action: 'loopA', label: 'Set loop start (A)', group: 'Loop, Bookmarks & Capture', keys: '[' },
+    { action: 'loopB', label: 'Set loop end (B)', group: 'Loop, Bookmarks & Capture', keys: ']' },
+    { action: 'loopLine', label: 'Loop current line / clear loop', group: 'Loop, Bookmarks & Capture', keys: '\\' },
+    { action: 'bookmark', label: 'Add bookmark', group: 'Loop, Bookmarks & Capture', keys: 'B' },
+    { action: 'snapshot', label: 'Save snapshot', group: 'Loop, Bookmarks & Capture', keys: 'Shift+S' },
+    { action: 'clip', label: 'Record A–B clip / stop', group: 'Loop, Bookmarks & Capture', keys: '' },
+
+    { action: 'captions', label: 'Subtitles on / off', group: 'Subtitles', keys: 'C' },
+    { action: 'subtitleCycle', label: 'Next subtitle track', group: 'Subtitles', keys: 'V' },
+    { action: 'captionSizeDown', label: 'Smaller subtitles', group: 'Subtitles', keys: '-' },
+    { action: 'captionSizeUp', label: 'Larger subtitles', group: 'Subtitles', keys: '=' },
+    { action: 'subtitleEarlier', label: 'Subtitles earlier (0.1s)', group: 'Subtitles', keys: 'G' },
+    { action: 'subtitleLater', label: 'Subtitles later (0.1s)', group: 'Subtitles', keys: 'H' },
+    { action: 'subtitleEarlierLong', label: 'Subtitles earlier (1s)', group: 'Subtitles', keys: 'Shift+G' },
+    { action: 'subtitleLaterLong', label: 'Subtitles later (1s)', group: 'Subtitles', keys: 'Shift+H' },
+
+    { action: 'queueNext', label: 'Next in queue', group: 'Queue & Files', keys: 'Shift+N' },
+    { action: 'queuePrevious', label: 'Previous in queue', group: 'Queue & Files', keys: 'Shift+P' },
+    { action: 'openVideo', label: 'Open video', group: 'Queue & Files', keys: 'O' },
+    { action: 'openSubtitle', label: 'Add subtitle', group: 'Queue & Files', keys: 'Shift+O' },
+    { action: 'clearHistory', label: 'Clear history', group: 'Queue & Files', keys: '' },
+
+    { action: 'settings', label: 'Settings', group: 'General', keys: 'S' },
+    { action: 'help', label: 'Show shortcuts', group: 'General', keys: '?' }
+];
+
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+const KEY_LABELS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Space: 'Space'
+};
+
+export const Shortcuts = {
+    bindings: {},   // action -> combo ('' when unbound)
+
+    /**
+     * Applies the user's remappings on top of the defaults.
+     * @param {Object} [overrides] - action -> combo, as saved in settings
+     */
+    load(overrides = {}) {
+        this.bindings = {};
+        SHORTCUTS.forEach(s => {
+            this.bindings[s.action] = typeof overrides[s.action] === 'string' ? overrides[s.action] : s.keys;
+        });
+    },
+
+    /**
+     * @returns {Object} The bindings that differ from the defaults (what gets saved)
+     */
+    overrides() {
+        const changed = {};
+        SHORTCUTS.forEach(s => {
+            if (this.bindings[s.action] !== s.keys) changed[s.action] = this.bindings[s.action];
+        });
+        return changed;
+    },
+
+    /**
+     * @param {string} combo
+     * @returns {string|null} Action bound to the combo
+     */
+    actionFor(combo) {
+        if (!combo) return null;
+        return SHORTCUTS.map(s => s.action).find(action => this.bindings[action] === combo) || null;
+    },
+
+    /**
+     * @param {string} action
+     * @param {string} combo
+     * @returns {Object|null} The other shortcut already using the combo
+     */
+    conflictWith(action, combo) {
+        if (!combo) return null;
+        return SHORTCUTS.find(s => s.action !== action && this.bindings[s.action] === combo) || null;
+    },
+
+    /**
+     * Rebinds an action unless another one already uses the combo.
+     * @param {string} action
+     * @param {string} combo - '' to unbind
+     * @returns {Object|null} The conflicting shortcut (nothing is changed then)
+     */
+    set(action, combo) {
+        const conflict = this.conflictWith(action, combo);
+        if (!conflict) this.bindings[action] = combo;
+        return conflict;
+    },
+
+    /**
+     * Builds the combo string of a key press.
+     * @param {KeyboardEvent} e
+     * @returns {string|null} Null for a lone modifier
+     */
+    comboFromEvent(e) {
+        let key = e.key;
+        if (!key || MODIFIER_KEYS.includes(key)) return null;
+
+        // Non-Latin layouts (e.g. Persian) report their own letters: use the physical key
+        if (key.length === 1 && key.charCodeAt(0) > 127 && /^(Key|Digit)/.test(e.code)) {
+            key = e.code.replace(/^(Key|Digit)/, '');
+        }
+        if (key === ' ') key = 'Space';
+        else if (key.length === 1) key = key.toUpperCase();
+
+        const parts = [];
+        if (e.ctrlKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.metaKey) parts.push('Meta');
+        // Shift already shows in symbols ("?", "<"); only record it for letters and named keys
+        if (e.shiftKey && (/^[A-Z]$/.test(key) || key.length > 1)) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    },
+
+    /**
+     * Display form of a combo ("Shift+←")
+     * @param {string} combo
+     * @returns {string}
+     */
+    format(combo) {
+        if (!combo) return '—';
+        return combo.split('+').map(part => KEY_LABELS[part] || part).join('+');
+    },
+
+    /**
+     * @returns {Array<{group: string, items: Array<{action: string, label: string, combo: string}>}>}
+     */
+    groups() {
+        const groups = [];
+        SHORTCUTS.forEach(s => {
+            let group = groups.find(g => g.group === s.group);
+            if (!group) groups.push(group = { group: s.group, items: [] });
+            group.items.push({ action: s.action, label: s.label, combo: this.bindings[s.action] });
+        });
+        return groups;
+    }
+};
+
+Shortcuts.load();
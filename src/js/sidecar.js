@@ -0,0 +1,106 @@
+/**
+ * FluxPlayer Pro - Sidecar Subtitle Matching
+ * Pairs subtitle files with the videos they were dropped or picked with, by
+ * base name ("Movie.mkv" + "Movie.fa.srt") and by episode number
+ * ("Show.S01E02.mkv" + "show 1x02 en.srt"). It holds no DOM or storage logic;
+ * app.js attaches the result and remembers it per video.
+ */
+
+const SUBTITLE_EXTENSIONS = /\.(srt|vtt|ass|ssa)$/i;
+
+// S01E02, s1.e2, 1x02 (the "x" form needs a 2+ digit episode so 1920x1080 is not read as one)
+const EPISODE_PATTERNS = [
+    /(?:^|[^a-z0-9])s(\d{1,2})[ ._-]?e(\d{1,3})(?![0-9])/i,
+    /(?:^|[^a-z0-9])(\d{1,2})x(\d{2,3})(?![0-9])/i
+];
+
+/**
+ * Lower-cased name without extension, separators collapsed to single spaces.
+ */
+function stem(name) {
+    return name.replace(/\.[^/.]+$/, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+export const Sidecar = {
+    /**
+     * @param {{name: string}} file
+     * @returns {boolean} True for the subtitle formats the player can read
+     */
+    isSubtitleFile(file) {
+        return SUBTITLE_EXTENSIONS.test(file.name);
+    },
+
+    /**
+     * Reads a season/episode marker from a file name.
+     * @param {string} name
+     * @returns {string|null} Normalised as "s1e2", or null
+     */
+    episodeOf(name) {
+        const parsed = this.parseEpisode(name);
+        return parsed ? `s${parsed.season}e${parsed.episode}` : null;
+    },
+
+    /**
+     * Splits an episode file name into series title, season and episode
+     * ("The.Show.S01E02.1080p.mkv" -> { series: 'The Show', season: 1, episode: 2 }).
+     * @param {string} name
+     * @returns {{series: string, season: number, episode: number}|null} Null if there is no episode marker
+     */
+    parseEpisode(name) {
+        for (const pattern of EPISODE_PATTERNS) {
+            const match = pattern.exec(name);
+            if (!match) continue;
+            return {
+                series: name.slice(0, match.index).replace(/[._]+/g, ' ').replace(/[\s\-([]+$/, '').trim(),
+                season: Number(match[1]),
+                episode: Number(match[2])
+            };
+        }
+        return null;
+    },
+
+    /**
+     * How well a subtitle file name fits a video file name.
+     * @param {string} videoName
+     * @param {string} subtitleName
+     * @returns {number} 2 same base name, 1 same episode, 0 no evidence, -1 a different episode
+     */
+    score(videoName, subtitleName) {
+        const video = stem(videoName);
+        const subtitle = stem(subtitleName);
+        if (subtitle === video || subtitle.startsWith(`${video} `)) return 2;
+
+        const episode = this.episodeOf(videoName);
+        const subtitleEpisode = this.episodeOf(subtitleName);
+        if (episode && subtitleEpisode) return episode === subtitleEpisode ? 1 : -1;
+        return 0;
+    },
+
+    /**
+     * Assigns each subtitle to the video it matches best. Ties between videos leave a
+     * subtitle unassigned; with a single video, any subtitle that does not name
+     * another episode goes to it.
+     * @param {File[]} videos
+     * @param {File[]} subtitles
+     * @returns {{pairs: Map<File, File[]>, unmatched: File[]}}
+     */
+    pair(videos, subtitles) {
+        const pairs = new Map(videos.map(video => [video, []]));
+        const unmatched = [];
+
+        subtitles.forEach(subtitle => {
+            const scores = videos.map(video => this.score(video.name, subtitle.name));
+            const best = Math.max(...scores);
+            const candidates = videos.filter((_, i) => scores[i] === best);
+
+            const single = videos.length === 1 && best >= 0;
+            if ((best > 0 && candidates.length === 1) || single) {
+                pairs.get(candidates[0]).push(subtitle);
+            } else {
+                unmatched.push(subtitle);
+            }
+        });
+
+        return { pairs, unmatched };
+    }
+};
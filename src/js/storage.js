@@ -1,20 +1,288 @@
 /**
  * FluxPlayer Pro - Storage Manager
- * Handles local persistence of application state using LocalStorage.
- * This module is responsible for saving and retrieving user settings and history.
+ * Handles local persistence of application state.
+ * Data lives in IndexedDB with separate object stores for settings, watch history
+ * and per-file metadata; the schema is versioned and upgraded through MIGRATIONS.
+ * When IndexedDB is unavailable, everything falls back to a single LocalStorage blob.
  */
 
-const STORAGE_KEY = 'flux_pro_state_v1';
+const DB_NAME = 'flux_pro';
+const DB_VERSION = 2;
+
+// Legacy (pre-IndexedDB) key, also used by the LocalStorage fallback
+const LEGACY_KEY = 'flux_pro_state_v1';
+
+const STORES = {
+    settings: 'settings',   // key/value: 'settings', 'hasSeenOnboarding', 'queue'
+    history: 'history',     // one record per watched file, keyed by file identity (see fingerprint.js)
+    files: 'files'          // per-file metadata (positions, subtitle offsets, ...)
+};
+
+/**
+ * Schema migrations, keyed by the version they upgrade to.
+ * Each step receives the database and the upgrade transaction.
+ */
+const MIGRATIONS = {
+    1(db, tx) {
+        db.createObjectStore(STORES.settings);
+        const history = db.createObjectStore(STORES.history, { keyPath: 'name' });
+        history.createIndex('lastPlayed', 'lastPlayed');
+        db.createObjectStore(STORES.files, { keyPath: 'key' });
+
+        // Import the state saved by the LocalStorage-only versions
+        const legacy = readLegacy();
+        if (!legacy) return;
+
+        const settingsStore = tx.objectStore(STORES.settings);
+        if (legacy.settings) settingsStore.put(legacy.settings, 'settings');
+        settingsStore.put(!!legacy.hasSeenOnboarding, 'hasSeenOnboarding');
+        if (legacy.queue) settingsStore.put(legacy.queue, 'queue');
+
+        (legacy.history || []).forEach(item => tx.objectStore(STORES.history).put(item));
+
+        tx.addEventListener('complete', () => {
+            try {
+                localStorage.removeItem(LEGACY_KEY);
+            } catch (e) {
+                // Nothing to clean up
+            }
+        });
+    },
+
+    /**
+     * History is keyed by file identity instead of file name. Existing entries
+     * keep their name as key until the file is opened again and fingerprinted.
+     */
+    2(db, tx) {
+        const request = tx.objectStore(STORES.history).getAll();
+        request.onsuccess = () => {
+            db.deleteObjectStore(STORES.history);
+            const history = db.createObjectStore(STORES.history, { keyPath: 'key' });
+            history.createIndex('lastPlayed', 'lastPlayed');
+            request.result.forEach(item => history.put({ ...item, key: item.key || item.name }));
+        };
+    }
+};
+
+function readLegacy() {
+    try {
+        const data = localStorage.getItem(LEGACY_KEY);
+        return data ? JSON.parse(data) : null;
+    } catch (e) {
+        console.error('FluxPlayer Storage Read Error:', e);
+        return null;
+    }
+}
+
+/**
+ * Wraps an IDBRequest in a Promise
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves when a transaction commits
+ */
+function done(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// --- IndexedDB Backend ---
+const IndexedDbBackend = {
+    db: null,
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (e) => {
+                const db = request.result;
+                const tx = request.transaction;
+                for (let v = e.oldVersion + 1; v <= DB_VERSION; v++) {
+                    if (MIGRATIONS[v]) MIGRATIONS[v](db, tx);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgraded the schema: release the connection so it can proceed
+                this.db.onversionchange = () => this.db.close();
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('FluxPlayer Storage: upgrade blocked by another tab.');
+        });
+    },
+
+    async load() {
+        const tx = this.db.transaction(Object.values(STORES), 'readonly');
+        const settingsStore = tx.objectStore(STORES.settings);
+
+        const [settings, hasSeenOnboarding, queue, history, files] = await Promise.all([
+            promisify(settingsStore.get('settings')),
+            promisify(settingsStore.get('hasSeenOnboarding')),
+            promisify(settingsStore.get('queue')),
+            promisify(tx.objectStore(STORES.history).getAll()),
+            promisify(tx.objectStore(STORES.files).getAll())
+        ]);
+
+        return {
+            settings,
+            hasSeenOnboarding: !!hasSeenOnboarding,
+            queue: queue || null,
+            // Most recently played first
+            history: history.sort((a, b) => (b.lastPlayed || '').localeCompare(a.lastPlayed || '')),
+            files: Object.fromEntries(files.map(({ key, ...data }) => [key, data]))
+        };
+    },
+
+    save(state) {
+        const tx = this.db.transaction([STORES.settings, STORES.history], 'readwrite');
+        const settingsStore = tx.objectStore(STORES.settings);
+        settingsStore.put(state.settings, 'settings');
+        settingsStore.put(!!state.hasSeenOnboarding, 'hasSeenOnboarding');
+        settingsStore.put(state.queue || null, 'queue');
+
+        const historyStore = tx.objectStore(STORES.history);
+        historyStore.clear();
+        state.history.forEach(item => historyStore.put(item));
+        return done(tx);
+    },
+
+    saveHistoryItem(item) {
+        const tx = this.db.transaction(STORES.history, 'readwrite');
+        tx.objectStore(STORES.history).put(item);
+        return done(tx);
+    },
+
+    saveFileData(key, data) {
+        const tx = this.db.transaction(STORES.files, 'readwrite');
+        if (data) tx.objectStore(STORES.files).put({ ...data, key });
+        else tx.objectStore(STORES.files).delete(key);
+        return done(tx);
+    },
+
+    restore(state) {
+        const tx = this.db.transaction(Object.values(STORES), 'readwrite');
+        Object.values(STORES).forEach(name => tx.objectStore(name).clear());
+
+        const settingsStore = tx.objectStore(STORES.settings);
+        settingsStore.put(state.settings, 'settings');
+        settingsStore.put(!!state.hasSeenOnboarding, 'hasSeenOnboarding');
+        settingsStore.put(state.queue || null, 'queue');
+        state.history.forEach(item => tx.objectStore(STORES.history).put(item));
+        Object.entries(state.files).forEach(([key, data]) => tx.objectStore(STORES.files).put({ ...data, key }));
+        return done(tx);
+    },
+
+    clear() {
+        const tx = this.db.transaction(Object.values(STORES), 'readwrite');
+        Object.values(STORES).forEach(name => tx.objectStore(name).clear());
+        return done(tx);
+    }
+};
+
+// --- LocalStorage Fallback Backend ---
+const LocalStorageBackend = {
+    state: null,
+
+    async open() {
+        this.state = readLegacy() || {};
+    },
+
+    async load() {
+        const s = this.state;
+        return {
+            settings: s.settings,
+            hasSeenOnboarding: !!s.hasSeenOnboarding,
+            queue: s.queue || null,
+            // Entries from before file identities are keyed by name (as in MIGRATIONS[2])
+            history: (s.history || []).map(item => item.key ? item : { ...item, key: item.name }),
+            files: s.files || {}
+        };
+    },
+
+    async save(state) {
+        this.state = { ...this.state, ...state };
+        this._write();
+    },
+
+    async saveHistoryItem(item) {
+        const history = this.state.history || [];
+        const i = history.findIndex(h => (h.key || h.name) === item.key);
+        if (i === -1) history.unshift(item);
+        else history[i] = item;
+        this.state.history = history;
+        this._write();
+    },
+
+    async saveFileData(key, data) {
+        const files = { ...this.state.files };
+        if (data) files[key] = data;
+        else delete files[key];
+        this.state.files = files;
+        this._write();
+    },
+
+    async restore(state) {
+        const { settings, hasSeenOnboarding, queue, history, files } = state;
+        this.state = { settings, hasSeenOnboarding, queue, history, files };
+        this._write();
+    },
+
+    async clear() {
+        this.state = {};
+        localStorage.removeItem(LEGACY_KEY);
+    },
+
+    _write() {
+        // Errors propagate to Storage, which reports them
+        localStorage.setItem(LEGACY_KEY, JSON.stringify(this.state));
+    }
+};
 
 export const Storage = {
+    backend: null,
+
     /**
-     * Retrieve state from LocalStorage
-     * @returns {Object|null} The parsed state object or null if not found/error
+     * Called with a user-facing message when a write fails (e.g. quota exceeded).
+     * Set by the application; defaults to a console warning.
+     * @type {Function}
      */
-    get() {
+    onError: (message) => console.warn(message),
+
+    /**
+     * Open the database (running pending migrations) or fall back to LocalStorage.
+     * Must be awaited before any other call.
+     */
+    async init() {
+        if ('indexedDB' in window) {
+            try {
+                await IndexedDbBackend.open();
+                this.backend = IndexedDbBackend;
+                return;
+            } catch (e) {
+                console.warn('FluxPlayer Storage: IndexedDB unavailable, falling back to LocalStorage.', e);
+            }
+        }
+        await LocalStorageBackend.open();
+        this.backend = LocalStorageBackend;
+    },
+
+    /**
+     * Retrieve the complete persisted state
+     * @returns {Promise<Object|null>} { settings, hasSeenOnboarding, queue, history, files } or null on error
+     */
+    async get() {
         try {
-            const data = localStorage.getItem(STORAGE_KEY);
-            return data ? JSON.parse(data) : null;
+            return await this.backend.load();
         } catch (e) {
             console.error('FluxPlayer Storage Read Error:', e);
             return null;
@@ -22,30 +290,44 @@ export const Storage = {
     },
 
     /**
-     * Save state to LocalStorage
-     * @param {Object} state - The state object to persist (History + Settings)
+     * Save application state (settings, onboarding flag, queue and the full history list)
+     * @param {Object} state
      */
     save(state) {
-        try {
-            // Convert state to string and save
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-        } catch (e) {
-            console.error('FluxPlayer Storage Save Error:', e);
-            
-            // Handle quota exceeded specifically
-            if (e.name === 'QuotaExceededError') {
-                console.warn('LocalStorage quota exceeded. Try clearing watch history.');
-                alert('Storage is full! Please clear your watch history.');
-            }
-        }
+        return this._write(() => this.backend.save(state));
     },
 
     /**
-     * Clear all application data from LocalStorage
+     * Save a single history entry (cheaper than save() for frequent updates)
+     * @param {Object} item - History entry
      */
-    clear() {
+    saveHistoryItem(item) {
+        return this._write(() => this.backend.saveHistoryItem(item));
+    },
+
+    /**
+     * Save or delete the metadata stored for one file
+     * @param {string} key - File key
+     * @param {Object|null} data - Metadata, or null to delete it
+     */
+    saveFileData(key, data) {
+        return this._write(() => this.backend.saveFileData(key, data));
+    },
+
+    /**
+     * Replace all persisted data at once (restoring a backup)
+     * @param {Object} state - { settings, hasSeenOnboarding, queue, history, files }
+     */
+    restore(state) {
+        return this._write(() => this.backend.restore(state));
+    },
+
+    /**
+     * Clear all application data
+     */
+    async clear() {
         try {
-            localStorage.removeItem(STORAGE_KEY);
+            await this.backend.clear();
             console.log('FluxPlayer storage cleared.');
         } catch (e) {
             console.error('FluxPlayer Storage Clear Error:', e);
@@ -57,6 +339,7 @@ export const Storage = {
      * @returns {boolean}
      */
     isAvailable() {
+        if ('indexedDB' in window) return true;
         try {
             const test = '__storage_test__';
             localStorage.setItem(test, test);
@@ -65,5 +348,22 @@ export const Storage = {
         } catch (e) {
             return false;
         }
+    },
+
+    // --- Internal Helpers ---
+
+    async _write(fn) {
+        try {
+            await fn();
+        } catch (e) {
+            console.error('FluxPlayer Storage Save Error:', e);
+
+            // Handle quota exceeded specifically
+            if (e && e.name === 'QuotaExceededError') {
+                this.onError('Storage is full! Try clearing your watch history.');
+            } else {
+                this.onError('Could not save your data.');
+            }
+        }
     }
-};
\ No newline at end of file
+};
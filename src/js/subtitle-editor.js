@@ -0,0 +1,210 @@
+/**
+ * FluxPlayer Pro - Subtitle Editor Module
+ * Holds the cue list of the subtitle being edited together with its undo/redo
+ * history. Cues use the parser's model ({ id, start, end, text, settings }) in the
+ * track's own timeline, i.e. before any sync correction. It holds no DOM logic;
+ * the controller in app.js renders it and pushes the result to the player.
+ */
+
+import { SubtitleParser } from './subtitle-parser.js';
+
+const HISTORY_LIMIT = 100;      // Undo steps kept
+const MIN_DURATION = 0.1;       // Shortest cue the editor will create (s)
+const NEW_CUE_DURATION = 2;     // Length of an inserted cue (s)
+
+const clone = (cues) => cues.map(cue => ({ ...cue }));
+
+export const SubtitleEditor = {
+    trackId: null,      // Track being edited, or null when closed
+    cues: [],
+    undoStack: [],      // Snapshots of `cues` before each change
+    redoStack: [],
+
+    /**
+     * Starts editing a copy of the given cues (history is reset).
+     * @param {string} trackId
+     * @param {Array} cues
+     */
+    open(trackId, cues) {
+        this.trackId = trackId;
+        this.cues = clone(cues);
+        this.undoStack = [];
+        this.redoStack = [];
+    },
+
+    close() {
+        this.trackId = null;
+        this.cues = [];
+        this.undoStack = [];
+        this.redoStack = [];
+    },
+
+    isOpen() {
+        return this.trackId !== null;
+    },
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    },
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    },
+
+    /**
+     * @param {number} index
+     * @param {string} text - Plain text as edited (newlines separate lines); the cue's tags are kept
+     * @returns {boolean} True if anything changed
+     */
+    setText(index, text) {
+        const cue = this.cues[index];
+        if (!cue) return false;
+        const markup = SubtitleParser.fromEditableText(text, cue.text);
+        if (markup === cue.text) return false;
+        return this._change(() => { cue.text = markup; });
+    },
+
+    /**
+     * Moves the start of a cue; if it passes the end, the cue keeps its duration.
+     * @param {number} index
+     * @param {number} time - Seconds, track timeline
+     * @returns {boolean}
+     */
+    setStart(index, time) {
+        const cue = this.cues[index];
+        if (!cue) return false;
+        return this._change(() => {
+            const duration = cue.end - cue.start;
+            cue.start = Math.max(0, time);
+            if (cue.end <= cue.start) cue.end = cue.start + duration;
+        });
+    },
+
+    /**
+     * Moves the end of a cue. Refused when it would end before it starts.
+     * @param {number} index
+     * @param {number} time - Seconds, track timeline
+     * @returns {boolean}
+     */
+    setEnd(index, time) {
+        const cue = this.cues[index];
+        if (!cue || time < cue.start + MIN_DURATION) return false;
+        return this._change(() => { cue.end = time; });
+    },
+
+    /**
+     * Splits a cue in two at the given time (its midpoint if the time falls outside it).
+     * Multi-line text is divided between lines, a single line between words.
+     * @param {number} index
+     * @param {number} [time]
+     * @returns {boolean}
+     */
+    split(index, time) {
+        const cue = this.cues[index];
+        if (!cue || cue.end - cue.start < MIN_DURATION * 2) return false;
+
+        const inside = time >= cue.start + MIN_DURATION && time <= cue.end - MIN_DURATION;
+        const at = inside ? time : (cue.start + cue.end) / 2;
+        const [first, second] = this._splitText(cue.text, (at - cue.start) / (cue.end - cue.start));
+
+        return this._change(() => {
+            this.cues.splice(index, 1,
+                { ...cue, end: at, text: first },
+                { ...cue, id: '', start: at, text: second });
+        });
+    },
+
+    /**
+     * Merges a cue with the one after it.
+     * @param {number} index
+     * @returns {boolean}
+     */
+    mergeWithNext(index) {
+        const cue = this.cues[index];
+        const next = this.cues[index + 1];
+        if (!cue || !next) return false;
+
+        return this._change(() => {
+            this.cues.splice(index, 2, {
+                ...cue,
+                end: Math.max(cue.end, next.end),
+                text: [cue.text, next.text].filter(Boolean).join('\n')
+            });
+        });
+    },
+
+    /**
+     * Inserts an empty cue at the given time.
+     * @param {number} time - Seconds, track timeline
+     * @returns {number} Index of the new cue
+     */
+    insert(time) {
+        const start = Math.max(0, time);
+        const cue = { id: '', start, end: start + NEW_CUE_DURATION, text: '', settings: '' };
+        this._change(() => { this.cues.push(cue); });
+        return this.cues.indexOf(cue);
+    },
+
+    /**
+     * @param {number} index
+     * @returns {boolean}
+     */
+    remove(index) {
+        if (!this.cues[index]) return false;
+        return this._change(() => { this.cues.splice(index, 1); });
+    },
+
+    undo() {
+        if (!this.canUndo()) return false;
+        this.redoStack.push(this.cues);
+        this.cues = this.undoStack.pop();
+        return true;
+    },
+
+    redo() {
+        if (!this.canRedo()) return false;
+        this.undoStack.push(this.cues);
+        this.cues = this.redoStack.pop();
+        return true;
+    },
+
+    /**
+     * Index of the cue shown at the given time (the nearest following one if none is).
+     * @param {number} time - Seconds, track timeline
+     * @returns {number} -1 when there are no cues
+     */
+    indexAt(time) {
+        const active = this.cues.findIndex(c => c.start <= time && time < c.end);
+        if (active !== -1) return active;
+        const next = this.cues.findIndex(c => c.start > time);
+        return next !== -1 ? next : this.cues.length - 1;
+    },
+
+    // --- Internal Helpers ---
+
+    /**
+     * Records a snapshot, applies the change and keeps cues in start order.
+     */
+    _change(fn) {
+        this.undoStack.push(clone(this.cues));
+        if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+        this.redoStack = [];
+
+        fn();
+        this.cues.sort((a, b) => a.start - b.start || a.end - b.end);
+        return true;
+    },
+
+    _splitText(text, ratio) {
+        const lines = text.split('\n');
+        if (lines.length > 1) {
+            const at = Math.min(lines.length - 1, Math.max(1, Math.round(lines.length * ratio)));
+            return [lines.slice(0, at).join('\n'), lines.slice(at).join('\n')];
+        }
+
+        const words = text.split(' ');
+        if (words.length < 2) return [text, ''];
+        const at = Math.min(words.length - 1, Math.max(1, Math.round(words.length * ratio)));
+        return [words.slice(0, at).join(' '), words.slice(at).join(' ')];
+    }
+};
@@ -1,9 +1,101 @@
 /**
  * FluxPlayer Pro - Subtitle Parser Module
- * Handles the conversion of legacy subtitle formats (like SRT) to WebVTT,
- * which is the standard format required by HTML5 video players.
+ * Parses subtitle files (SRT, WebVTT, ASS/SSA) into a cue model, validates them and
+ * serialises the result to clean WebVTT, which is the standard format
+ * required by HTML5 video players.
+ *
+ * Cue model:    { id, start, end, text, settings }   (times in seconds)
+ * Parse result: { cues, styles, issues }              (issues: { line, severity, message })
  */
 
+// Matches "00:01:02,345", "0:01:02.345", "01:02,345" and a few broken variants ("00:01:02:345")
+const TIMESTAMP = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[,.:](\d{1,3}))?$/;
+// Timing line: "<start> --> <end> [settings]", tolerating "->" and missing spaces
+const TIMING_LINE = /^\s*(\S+?)\s*-{1,2}>\s*(\S+)(?:\s+(.*))?$/;
+// Inline tags WebVTT understands; anything else is escaped
+const VTT_TAG = /^<\/?(?:i|b|u|c|v|lang|ruby|rt)(?:[.\s][^>]*)?>|^<\d+:\d{2}(?::\d{2})?\.\d{3}>/;
+
+// A tag or a character reference in cue text
+const MARKUP = /<[^>]*>|&(?:[a-z]+|#\d+|#x[\da-f]+);/gi;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', nbsp: '\u00A0', lrm: '\u200E', rlm: '\u200F' };
+
+// Legacy SSA (v4) alignment values mapped to the numpad layout used by ASS (v4+)
+const SSA_ALIGNMENT = { 1: 1, 2: 2, 3: 3, 5: 7, 6: 8, 7: 9, 9: 4, 10: 5, 11: 6 };
+
+// SSA-style "{\anN}" numpad positions (used by many SRT files) mapped to WebVTT cue settings
+const AN_POSITIONS = {
+    1: 'line:100% align:start', 2: '', 3: 'line:100% align:end',
+    4: 'line:50% align:start', 5: 'line:50%', 6: 'line:50% align:end',
+    7: 'line:0 align:start', 8: 'line:0', 9: 'line:0 align:end'
+};
+
+// A subtitle style selector must end in ::cue or ::cue(...), so rewritten it only reaches caption text
+const CUE_SELECTOR = /::cue(?:\([^)]*\))?\s*$/;
+// Declarations that could load resources or escape the parser are dropped
+const UNSAFE_VALUE = /url\(|image-set\(|image\(|expression\(|\\|@/i;
+
+/**
+ * Splits a style sheet into its top-level blocks; strings are skipped over so braces
+ * inside them do not count.
+ * @returns {Array<{prelude: string, body: string}>} At-rules have a prelude starting with "@"
+ *          (statement at-rules such as @import come back with a null body)
+ */
+function cssBlocks(css) {
+    const blocks = [];
+    const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    let start = 0;
+    let depth = 0;
+    let bodyStart = 0;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === '\\') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === ';' && depth === 0) {
+            blocks.push({ prelude: text.slice(start, i).trim(), body: null });
+            start = i + 1;
+        } else if (ch === '{') {
+            if (depth++ === 0) bodyStart = i + 1;
+        } else if (ch === '}' && depth > 0 && --depth === 0) {
+            blocks.push({ prelude: text.slice(start, bodyStart - 1).trim(), body: text.slice(bodyStart, i) });
+            start = i + 1;
+        }
+    }
+    return blocks;
+}
+
+const escapeCueText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function decodeEntity(entity) {
+    const name = entity.slice(1, -1).toLowerCase();
+    if (name[0] === '#') {
+        const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    return ENTITIES[name] !== undefined ? ENTITIES[name] : entity;
+}
+
+/**
+ * Splits cue text into its text (entities decoded) and its tags, each at an offset in that text.
+ * @returns {{plain: string, tags: Array<{tag: string, at: number}>}}
+ */
+function splitMarkup(text) {
+    let plain = '';
+    let last = 0;
+    const tags = [];
+    for (const match of text.matchAll(MARKUP)) {
+        plain += text.slice(last, match.index);
+        if (match[0][0] === '<') tags.push({ tag: match[0], at: plain.length });
+        else plain += decodeEntity(match[0]);
+        last = match.index + match[0].length;
+    }
+    return { plain: plain + text.slice(last), tags };
+}
+
 export const SubtitleParser = {
     /**
      * Converts raw SRT subtitle text to WebVTT format.
@@ -12,23 +104,515 @@ export const SubtitleParser = {
      */
     srtToVtt(srtContent) {
         if (!srtContent) return '';
+        return this.toVtt(this.parseSrt(srtContent));
+    },
+
+    /**
+     * Parses subtitle text in the given format.
+     * @param {string} content - Raw file content
+     * @param {string} format - 'srt', 'vtt' or 'ass'
+     * @param {Object} [options] - Format specific options (see parseAss)
+     * @returns {{cues: Array, styles: Array, issues: Array}}
+     */
+    parse(content, format, options = {}) {
+        if (format === 'srt') return this.parseSrt(content);
+        if (format === 'ass') return this.parseAss(content, options);
+        return this.parseVtt(content);
+    },
+
+    /**
+     * Guesses the subtitle format from the file name, then from the content.
+     * @param {string} fileName
+     * @param {string} content
+     * @returns {string} 'srt', 'vtt' or 'ass'
+     */
+    detectFormat(fileName, content) {
+        const name = fileName.toLowerCase();
+        if (name.endsWith('.srt')) return 'srt';
+        if (name.endsWith('.vtt')) return 'vtt';
+        if (name.endsWith('.ass') || name.endsWith('.ssa')) return 'ass';
+        if (/^\uFEFF?WEBVTT/.test(content)) return 'vtt';
+        return /^\uFEFF?\s*\[Script Info\]/i.test(content) ? 'ass' : 'srt';
+    },
+
+    /**
+     * Parses SRT into the cue model, tolerating common defects: byte-order marks,
+     * missing blank lines, one-digit hours, "{\an8}" tags and stray numbering.
+     * @param {string} content - The raw text content of the .srt file.
+     * @returns {{cues: Array, styles: Array, issues: Array}}
+     */
+    parseSrt(content) {
+        const issues = [];
+        const warn = (line, message) => issues.push({ line, severity: 'warning', message });
+        const lines = this._normalize(content).split('\n');
+
+        const blocks = [];
+        let current = null;     // Cue being read
+        let skipping = false;   // Inside a cue whose timing line was invalid
+
+        lines.forEach((raw, i) => {
+            const lineNo = i + 1;
+            const line = raw.trimEnd();
+            const trimmed = line.trim();
+
+            const timingMatch = trimmed.includes('->') ? TIMING_LINE.exec(trimmed) : null;
+            // Inside an open cue, an arrow in the text only starts a new cue if both sides are timestamps
+            const inCue = current && !current.closed;
+            if (timingMatch && (!inCue || (this.parseTimestamp(timingMatch[1]) !== null && this.parseTimestamp(timingMatch[2]) !== null))) {
+                // Missing blank line: the previous text line was actually this cue's number
+                if (current && !current.closed && current.lines.length > 0 && /^\d+$/.test(current.lines[current.lines.length - 1].trim())) {
+                    current.lines.pop();
+                    warn(lineNo - 1, 'Missing blank line before cue number');
+                }
+
+                const timing = this._parseTiming(trimmed, lineNo, issues);
+                if (!timing) {
+                    current = null;
+                    skipping = true;
+                    return;
+                }
+
+                skipping = false;
+                current = { ...timing, id: '', lines: [], line: lineNo, closed: false };
+                blocks.push(current);
+                return;
+            }
+
+            if (trimmed === '') {
+                if (current) current.closed = true;
+                skipping = false;
+                return;
+            }
+
+            if (skipping) return;
+
+            if (current && !current.closed) {
+                current.lines.push(line);
+                return;
+            }
+
+            // Cue numbers between blocks are expected and dropped
+            if (/^\d+$/.test(trimmed)) return;
+
+            if (current) {
+                // Text after a blank line inside a cue
+                warn(lineNo, 'Blank line inside cue text');
+                current.lines.push(line);
+                current.closed = false;
+            } else {
+                warn(lineNo, 'Text outside of a cue was ignored');
+            }
+        });
+
+        const cues = this._finalize(blocks, issues);
+        return { cues, styles: [], issues };
+    },
+
+    /**
+     * Parses WebVTT into the cue model, keeping STYLE blocks.
+     * @param {string} content - The raw text content of the .vtt file.
+     * @returns {{cues: Array, styles: Array, issues: Array}}
+     */
+    parseVtt(content) {
+        const issues = [];
+        const warn = (line, message) => issues.push({ line, severity: 'warning', message });
+        const lines = this._normalize(content).split('\n');
+
+        if (!/^WEBVTT(?:[ \t]|$)/.test(lines[0] || '')) {
+            warn(1, 'Missing "WEBVTT" header');
+        }
+
+        const blocks = [];
+        const styles = [];
+        let i = /^WEBVTT/.test(lines[0] || '') ? 1 : 0;
+
+        // Skip the rest of the header block
+        while (i < lines.length && lines[i].trim() !== '' && !lines[i].includes('-->')) i++;
+
+        while (i < lines.length) {
+            // Gather the next block of non-empty lines
+            while (i < lines.length && lines[i].trim() === '') i++;
+            if (i >= lines.length) break;
+
+            const start = i;
+            const block = [];
+            while (i < lines.length && lines[i].trim() !== '') block.push(lines[i++].trimEnd());
+
+            const head = block[0];
+            if (/^NOTE(?:\s|$)/.test(head) || /^REGION(?:\s|$)/.test(head)) continue;
 
+            if (/^STYLE(?:\s|$)/.test(head)) {
+                if (blocks.length > 0) warn(start + 1, 'STYLE block after the first cue is ignored by browsers');
+                else styles.push(block.slice(1).join('\n'));
+                continue;
+            }
+
+            // Optional cue identifier before the timing line
+            const timingIndex = head.includes('-->') ? 0 : 1;
+            const timingLine = block[timingIndex];
+            if (!timingLine || !timingLine.includes('-->')) {
+                warn(start + 1, 'Block without timing line was ignored');
+                continue;
+            }
+
+            const timing = this._parseTiming(timingLine.trim(), start + timingIndex + 1, issues);
+            if (!timing) continue;
+
+            blocks.push({
+                ...timing,
+                id: timingIndex === 1 ? head.trim() : '',
+                lines: block.slice(timingIndex + 1),
+                line: start + timingIndex + 1
+            });
+        }
+
+        const cues = this._finalize(blocks, issues);
+        return { cues, styles, issues };
+    },
+
+    /**
+     * Parses ASS/SSA. Styles from [V4+ Styles] become ::cue classes (colour, bold,
+     * italic, underline, outline/box) and alignment becomes cue settings; inline
+     * override tags are mapped where WebVTT has an equivalent and dropped otherwise.
+     * Font names and sizes are left to the user's caption settings.
+     * @param {string} content - The raw text content of the .ass/.ssa file.
+     * @param {Object} [options]
+     * @param {string} [options.classPrefix='ass'] - Prefix for generated class names (keeps tracks apart)
+     * @returns {{cues: Array, styles: Array, issues: Array}}
+     */
+    parseAss(content, { classPrefix = 'ass' } = {}) {
+        const issues = [];
+        const warn = (line, message) => issues.push({ line, severity: 'warning', message });
+        const lines = this._normalize(content).split('\n');
+
+        const info = {};
+        const styles = {};
+        const blocks = [];
+        const colorClasses = new Set();
+        let section = '';
+        let format = null;
+        let isLegacy = false;
+
+        lines.forEach((raw, i) => {
+            const lineNo = i + 1;
+            const line = raw.trim();
+            if (!line || line.startsWith(';')) return;
+
+            const header = /^\[(.+)\]$/.exec(line);
+            if (header) {
+                section = header[1].toLowerCase();
+                isLegacy = section === 'v4 styles';
+                format = null;
+                return;
+            }
+
+            const colon = line.indexOf(':');
+            if (colon === -1) return;
+            const key = line.slice(0, colon).trim();
+            const value = line.slice(colon + 1).trim();
+
+            if (section === 'script info') {
+                info[key] = value;
+                return;
+            }
+
+            if (key === 'Format') {
+                format = value.split(',').map(f => f.trim().toLowerCase());
+                return;
+            }
+
+            if (section.endsWith('styles') && key === 'Style') {
+                const style = this._splitAssFields(value, format || [], lineNo, issues);
+                if (style) styles[style.name] = this._assStyle(style, isLegacy, classPrefix);
+                return;
+            }
+
+            if (section === 'events' && key === 'Dialogue') {
+                const event = this._splitAssFields(value, format || [], lineNo, issues);
+                if (!event) return;
+
+                const start = this.parseTimestamp(event.start || '');
+                const end = this.parseTimestamp(event.end || '');
+                if (start === null || end === null) {
+                    issues.push({ line: lineNo, severity: 'error', message: 'Invalid Dialogue timing, event skipped' });
+                    return;
+                }
+
+                const style = styles[event.style] || styles[event.style && event.style.replace(/^\*/, '')] || styles.Default;
+                if (!style && event.style) warn(lineNo, `Unknown style "${event.style}"`);
+
+                const converted = this._convertAssText(event.text || '', info, colorClasses, classPrefix);
+                if (converted === null) return; // Vector drawing, nothing to show
+
+                let text = converted.text;
+                if (style && text) text = `<c.${style.className}>${text}</c>`;
+
+                blocks.push({
+                    id: '',
+                    start,
+                    end,
+                    settings: converted.settings || (style ? style.settings : ''),
+                    lines: text.split('\n'),
+                    line: lineNo
+                });
+            }
+        });
+
+        if (!Object.keys(styles).length && blocks.length) warn(0, 'No [V4+ Styles] section; default styling used');
+        if (!blocks.length && !issues.some(i => i.severity === 'error')) {
+            issues.push({ line: 0, severity: 'error', message: 'No [Events] dialogue found' });
+        }
+
+        // Generated style sheet: one class per style plus one per inline colour
+        const css = Object.values(styles).map(s => s.css);
+        colorClasses.forEach(hex => css.push(`::cue(.${classPrefix}-c-${hex}) { color: #${hex}; }`));
+
+        const cues = this._finalize(blocks, issues);
+        return { cues, styles: css.length ? [css.join('\n')] : [], issues };
+    },
+
+    /**
+     * Rewrites WebVTT STYLE rules ("::cue(.cls)") for subtitles rendered as HTML,
+     * as Plyr does, so the same classes apply inside the given container selector.
+     * Subtitle files are untrusted: only ::cue rules with plain declarations are kept;
+     * other selectors, at-rules (@import, @font-face…) and url() values are dropped.
+     * @param {string[]} styles - STYLE block contents
+     * @param {string} scope - e.g. '.plyr__caption'
+     * @returns {string} CSS text
+     */
+    toHtmlCss(styles, scope) {
+        const rules = [];
+        (styles || []).forEach(css => cssBlocks(css).forEach(({ prelude, body }) => {
+            if (body === null || prelude.startsWith('@') || body.includes('{')) return;
+
+            const selectors = prelude.split(',')
+                .map(selector => selector.trim())
+                .filter(selector => CUE_SELECTOR.test(selector))
+                .map(selector => selector
+                    .replace(/::cue\(([^)]*)\)/g, `${scope} $1`)
+                    .replace(/::cue\b/g, scope));
+            const declarations = body.split(';')
+                .map(declaration => declaration.trim())
+                .filter(declaration => /^[a-z-]+\s*:/i.test(declaration) && !UNSAFE_VALUE.test(declaration));
+
+            if (selectors.length > 0 && declarations.length > 0) {
+                rules.push(`${selectors.join(', ')} { ${declarations.join('; ')}; }`);
+            }
+        }));
+        return rules.join('\n');
+    },
+
+    /**
+     * Serialises a cue model to WebVTT.
+     * @param {{cues: Array, styles?: Array}} doc - Parse result (or any object with cues/styles)
+     * @returns {string} The WebVTT string.
+     */
+    toVtt(doc) {
         // 1. Start with the required WebVTT header
-        let vtt = "WEBVTT\n\n";
+        let vtt = 'WEBVTT\n\n';
 
-        // 2. Normalize line endings to avoid issues across different OS (Windows CRLF vs Unix LF)
-        let normalizedContent = srtContent.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+        // 2. Style sheets must precede all cues
+        (doc.styles || []).forEach(css => {
+            vtt += `STYLE\n${css}\n\n`;
+        });
 
-        // 3. Regex replacement to fix timestamps
-        // SRT uses comma (00:00:00,000) while WebVTT requires dot (00:00:00.000)
-        // Pattern: Matches (HH:MM:SS),(MMM) --> Replaces with $1.$2
-        const timestampRegex = /(\d{2}:\d{2}:\d{2}),(\d{3})/g;
-        
-        vtt += normalizedContent.replace(timestampRegex, '$1.$2');
+        // 3. Cues
+        doc.cues.forEach(cue => {
+            if (cue.id) vtt += `${cue.id}\n`;
+            vtt += `${this.formatTimestamp(cue.start)} --> ${this.formatTimestamp(cue.end)}`;
+            if (cue.settings) vtt += ` ${cue.settings}`;
+            vtt += `\n${cue.text}\n\n`;
+        });
 
         return vtt;
     },
 
+    /**
+     * Serialises a cue model to SubRip. Cues are renumbered; WebVTT-only markup
+     * (classes, voices, karaoke timestamps) is dropped, <i>/<b>/<u> are kept.
+     * @param {{cues: Array}} doc
+     * @returns {string} The SRT string.
+     */
+    toSrt(doc) {
+        return doc.cues.map((cue, i) => {
+            const text = cue.text
+                .replace(/<\/?(?:c|v|lang|ruby|rt)(?:[.\s][^>]*)?>/g, '')
+                .replace(/<\d[\d:.]*>/g, '')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/&amp;/g, '&');
+            const timing = `${this.formatTimestamp(cue.start, ',')} --> ${this.formatTimestamp(cue.end, ',')}`;
+            return `${i + 1}\n${timing}\n${text}\n`;
+        }).join('\n');
+    },
+
+    /**
+     * Applies a linear timing correction to cues: t' = t * scale + offset.
+     * Returns new cue objects; the originals are left untouched.
+     * @param {Array} cues
+     * @param {{offset?: number, scale?: number}} sync - Offset in seconds, scale factor (1 = none)
+     * @returns {Array}
+     */
+    retime(cues, { offset = 0, scale = 1 } = {}) {
+        if (offset === 0 && scale === 1) return cues.map(cue => ({ ...cue }));
+        return cues.map(cue => ({
+            ...cue,
+            start: Math.max(0, cue.start * scale + offset),
+            end: Math.max(0, cue.end * scale + offset)
+        }));
+    },
+
+    /**
+     * Solves the linear correction mapping two subtitle times onto the moments
+     * they should appear (fixes frame-rate drift such as 23.976 vs 25 fps).
+     * @param {{cue: number, actual: number}} a - First sync point (seconds)
+     * @param {{cue: number, actual: number}} b - Second sync point (seconds)
+     * @returns {{offset: number, scale: number}|null} null if the points are too close to tell drift apart
+     */
+    solveSync(a, b) {
+        const span = b.cue - a.cue;
+        if (Math.abs(span) < 1) return null;
+
+        const scale = (b.actual - a.actual) / span;
+        // Anything outside this range is a mis-click rather than a frame-rate mismatch
+        if (!(scale > 0.5 && scale < 2)) return null;
+
+        return { scale, offset: a.actual - a.cue * scale };
+    },
+
+    /**
+     * Sets the base direction of every cue line. Renderers otherwise lay lines out
+     * left-to-right, which moves trailing punctuation of RTL text to the wrong end.
+     * Uses RLE/PDF embedding characters, understood by native and HTML renderers alike.
+     * @param {Array} cues
+     * @param {string} dir - 'rtl' or 'ltr'
+     * @returns {Array} New cue objects
+     */
+    withDirection(cues, dir) {
+        if (dir !== 'rtl') return cues;
+        return cues.map(cue => ({
+            ...cue,
+            text: cue.text.split('\n').map(line => `\u202B${line}\u202C`).join('\n')
+        }));
+    },
+
+    /**
+     * The text of a cue as the user edits it: tags removed, entities decoded, lines kept.
+     * @param {string} text - WebVTT cue text
+     * @returns {string}
+     */
+    toEditableText(text) {
+        return splitMarkup(text).plain;
+    },
+
+    /**
+     * Writes edited text back as cue text: it is escaped, and the original cue's tags
+     * are put back around the parts that did not change. Tags inside the edited part
+     * move to its end (pairs left empty are dropped); closing tags where text was only
+     * added move after it, so words added to the end of a styled line keep the style.
+     * @param {string} edited - From toEditableText, after editing
+     * @param {string} original - The cue text it was made from
+     * @returns {string} WebVTT cue text
+     */
+    fromEditableText(edited, original) {
+        const { plain, tags } = splitMarkup(original);
+        // Blank lines would end the cue early
+        const text = edited.split('\n').filter(line => line.trim() !== '').join('\n');
+        if (text === plain) return original;
+
+        const max = Math.min(plain.length, text.length);
+        let prefix = 0;
+        while (prefix < max && plain[prefix] === text[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < max - prefix && plain[plain.length - 1 - suffix] === text[text.length - 1 - suffix]) suffix++;
+
+        const changedEnd = plain.length - suffix;
+        const delta = text.length - plain.length;
+        const atInsertion = tags.filter(t => prefix === changedEnd && t.at === prefix);
+        const closingOnly = atInsertion.length > 0 && atInsertion.every(t => t.tag.startsWith('</'));
+        const place = ({ at }) => {
+            if (prefix === changedEnd && at === prefix) return closingOnly ? at + delta : at;
+            if (at <= prefix) return at;
+            return Math.max(at, changedEnd) + delta;
+        };
+
+        let out = '';
+        let pos = 0;
+        tags.forEach(t => {
+            const at = place(t);
+            out += escapeCueText(text.slice(pos, at)) + t.tag;
+            pos = at;
+        });
+        return (out + escapeCueText(text.slice(pos))).replace(/<([a-z]+)(?:[.\s][^>]*)?><\/\1>/g, '');
+    },
+
+    /**
+     * Strips cue markup and decodes entities, e.g. for display in lists or search.
+     * @param {string} text - WebVTT cue text
+     * @returns {string} Plain single-line text
+     */
+    toPlainText(text) {
+        return text
+            .replace(/<[^>]+>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, '\u00A0')
+            .replace(/&amp;/g, '&')
+            .replace(/\s*\n\s*/g, ' ');
+    },
+
+    /**
+     * Converts cue text to HTML for custom renderers. Keeps <i>, <b>, <u> and class
+     * spans (<c.name>); other tags are dropped and any stray markup is escaped.
+     * @param {string} text - WebVTT cue text
+     * @returns {string} Safe HTML
+     */
+    toHtml(text) {
+        return text.split(/(<[^>]*>)/).map(part => {
+            const tag = /^<(\/?)(i|b|u|c)((?:\.[\w-]+)*)(?:\s[^>]*)?>$/.exec(part);
+            if (tag) {
+                const [, close, name, classes] = tag;
+                if (name !== 'c') return `<${close}${name}>`;
+                return close ? '</span>' : `<span class="${classes.split('.').join(' ').trim()}">`;
+            }
+            if (/^<\/?(?:v|lang|ruby|rt)(?:[.\s][^>]*)?>$|^<\d[\d:.]*>$/.test(part)) return '';
+            return part.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        }).join('');
+    },
+
+    /**
+     * Parses a subtitle timestamp to seconds.
+     * @param {string} value - e.g. "00:01:02,345"
+     * @returns {number|null} Seconds, or null if invalid
+     */
+    parseTimestamp(value) {
+        const m = TIMESTAMP.exec(value.trim());
+        if (!m) return null;
+
+        const [, h = '0', min, sec, ms = '0'] = m;
+        if (Number(min) > 59 || Number(sec) > 59) return null;
+
+        // Fractions shorter than 3 digits are decimals (",5" = 500ms)
+        return Number(h) * 3600 + Number(min) * 60 + Number(sec) + Number(ms.padEnd(3, '0')) / 1000;
+    },
+
+    /**
+     * Formats seconds as a WebVTT timestamp (HH:MM:SS.mmm).
+     * @param {number} seconds
+     * @param {string} [separator='.'] - Millisecond separator (',' for SRT)
+     * @returns {string}
+     */
+    formatTimestamp(seconds, separator = '.') {
+        const totalMs = Math.max(0, Math.round(seconds * 1000));
+        const h = Math.floor(totalMs / 3600000);
+        const m = Math.floor(totalMs / 60000) % 60;
+        const s = Math.floor(totalMs / 1000) % 60;
+        const ms = totalMs % 1000;
+        const pad = (n, len = 2) => String(n).padStart(len, '0');
+        return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+    },
+
     /**
      * Creates a temporary Blob URL for the subtitle track.
      * This allows the browser to load the generated VTT text as if it were a file.
@@ -64,5 +648,277 @@ export const SubtitleParser = {
         if (url && url.startsWith('blob:')) {
             URL.revokeObjectURL(url);
         }
+    },
+
+    // --- Internal Helpers ---
+
+    /**
+     * Splits an ASS "Style:"/"Dialogue:" value by its Format line.
+     * The last field (Text) may itself contain commas.
+     * @returns {Object|null} Fields keyed by lower-case format name
+     */
+    _splitAssFields(value, format, lineNo, issues) {
+        if (format.length === 0) {
+            issues.push({ line: lineNo, severity: 'error', message: 'Missing "Format:" line before this entry' });
+            return null;
+        }
+
+        const parts = value.split(',');
+        if (parts.length < format.length) {
+            issues.push({ line: lineNo, severity: 'error', message: `Expected ${format.length} fields, found ${parts.length}` });
+            return null;
+        }
+
+        const fields = {};
+        format.forEach((name, i) => {
+            fields[name] = i === format.length - 1 ? parts.slice(i).join(',') : parts[i].trim();
+        });
+        return fields;
+    },
+
+    /**
+     * Converts an ASS style to a ::cue class and default cue settings.
+     */
+    _assStyle(style, isLegacy, classPrefix) {
+        const className = `${classPrefix}-${(style.name || 'Default').replace(/[^a-zA-Z0-9_-]/g, '_')}`;
+        const rules = [];
+
+        const color = this._assColor(style.primarycolour);
+        if (color) rules.push(`color: ${color.css};`);
+        if (style.bold && style.bold !== '0') rules.push('font-weight: bold;');
+        if (style.italic && style.italic !== '0') rules.push('font-style: italic;');
+        if (style.underline && style.underline !== '0') rules.push('text-decoration: underline;');
+
+        // BorderStyle 3 = opaque box behind the text, otherwise an outline
+        if (style.borderstyle === '3') {
+            const back = this._assColor(style.backcolour || style.outlinecolour);
+            if (back) rules.push(`background-color: ${back.css};`);
+        } else {
+            const outline = this._assColor(style.outlinecolour);
+            const width = parseFloat(style.outline);
+            if (outline && width > 0) {
+                const w = `${Math.min(width, 4)}px`;
+                rules.push(`text-shadow: -${w} 0 ${outline.css}, ${w} 0 ${outline.css}, 0 -${w} ${outline.css}, 0 ${w} ${outline.css};`);
+            }
+        }
+
+        let alignment = parseInt(style.alignment, 10) || 2;
+        if (isLegacy) alignment = SSA_ALIGNMENT[alignment] || 2;
+
+        return {
+            className,
+            settings: AN_POSITIONS[alignment] || '',
+            css: `::cue(.${className}) { ${rules.join(' ')} }`
+        };
+    },
+
+    /**
+     * Parses an ASS colour ("&HAABBGGR", "&HBBGGRR&" or decimal) into CSS.
+     * @returns {{hex: string, css: string}|null}
+     */
+    _assColor(value) {
+        if (!value) return null;
+
+        let n;
+        const hex = /&?H([0-9a-f]+)&?/i.exec(value);
+        if (hex) n = parseInt(hex[1], 16);
+        else if (/^-?\d+$/.test(value.trim())) n = Number(value) >>> 0;
+        else return null;
+
+        const r = n & 0xff;
+        const g = (n >>> 8) & 0xff;
+        const b = (n >>> 16) & 0xff;
+        const alpha = 1 - ((n >>> 24) & 0xff) / 255; // ASS alpha: 00 = opaque
+
+        const rgbHex = [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+        const css = alpha >= 1 ? `#${rgbHex}` : `rgba(${r}, ${g}, ${b}, ${alpha.toFixed(2)})`;
+        return { hex: rgbHex, css };
+    },
+
+    /**
+     * Converts ASS dialogue text with override tags to WebVTT cue text.
+     * @returns {{text: string, settings: string}|null} null for vector drawings
+     */
+    _convertAssText(text, info, colorClasses, classPrefix) {
+        const state = { b: false, i: false, u: false, color: null };
+        let settings = '';
+        let drawing = false;
+        let out = '';
+
+        const open = () => {
+            let tags = '';
+            if (state.color) tags += `<c.${classPrefix}-c-${state.color}>`;
+            if (state.b) tags += '<b>';
+            if (state.i) tags += '<i>';
+            if (state.u) tags += '<u>';
+            return tags;
+        };
+        const close = () => {
+            let tags = '';
+            if (state.u) tags += '</u>';
+            if (state.i) tags += '</i>';
+            if (state.b) tags += '</b>';
+            if (state.color) tags += '</c>';
+            return tags;
+        };
+
+        const playResX = parseFloat(info.PlayResX) || 384;
+        const playResY = parseFloat(info.PlayResY) || 288;
+
+        text.split(/(\{[^}]*\})/).forEach(part => {
+            if (!part) return;
+
+            if (part.startsWith('{')) {
+                if (!part.includes('\\')) return; // Plain comment
+
+                out += close();
+                const tagRe = /\\(\d?[a-z]+)(\([^)]*\)|[^\\}]*)/gi;
+                let m;
+                while ((m = tagRe.exec(part))) {
+                    const [, name, arg] = m;
+                    const tag = name.toLowerCase();
+                    const val = arg.trim();
+
+                    if (tag === 'b') state.b = val !== '0' && val !== '';
+                    else if (tag === 'i') state.i = val === '1';
+                    else if (tag === 'u') state.u = val === '1';
+                    else if (tag === 'r') Object.assign(state, { b: false, i: false, u: false, color: null });
+                    else if (tag === 'p') drawing = val !== '0';
+                    else if ((tag === 'c' || tag === '1c') && val) {
+                        const color = this._assColor(val);
+                        state.color = color ? color.hex : null;
+                        if (color) colorClasses.add(color.hex);
+                    } else if (tag === 'an' && !settings) {
+                        settings = AN_POSITIONS[val] || '';
+                    } else if (tag === 'a' && !settings) {
+                        settings = AN_POSITIONS[SSA_ALIGNMENT[val]] || '';
+                    } else if ((tag === 'pos' || tag === 'move') && !settings) {
+                        const [x, y] = val.replace(/[()]/g, '').split(',').map(parseFloat);
+                        if (Number.isFinite(x) && Number.isFinite(y)) {
+                            const pct = (v, max) => Math.max(0, Math.min(100, Math.round(v / max * 100)));
+                            settings = `position:${pct(x, playResX)}% line:${pct(y, playResY)}% align:center`;
+                        }
+                    }
+                    // Everything else (\fs, \fn, \blur, \fad, \k, ...) has no WebVTT equivalent
+                }
+                out += open();
+                return;
+            }
+
+            if (drawing) return;
+
+            const escaped = part
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/\\N/g, '\n')
+                .replace(/\\n/g, ' ')
+                .replace(/\\h/g, '\u00A0');
+            out += escaped;
+        });
+
+        out += close();
+
+        // Drop tag pairs left empty by the state changes
+        let cleaned = out;
+        let previous;
+        do {
+            previous = cleaned;
+            cleaned = cleaned.replace(/<(c(?:\.[\w-]+)?|b|i|u)><\/(?:c|b|i|u)>/g, '');
+        } while (cleaned !== previous);
+
+        if (!cleaned.replace(/<[^>]+>/g, '').trim()) return drawing || /\\p[1-9]/.test(text) ? null : { text: '', settings };
+        return { text: cleaned.trim(), settings };
+    },
+
+    /**
+     * Strips the byte-order mark and normalizes line endings (Windows CRLF vs Unix LF).
+     */
+    _normalize(content) {
+        return (content || '').replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+    },
+
+    /**
+     * Parses a timing line, recording an error if it is unusable.
+     * @returns {{start: number, end: number, settings: string}|null}
+     */
+    _parseTiming(line, lineNo, issues) {
+        const m = TIMING_LINE.exec(line);
+        const start = m ? this.parseTimestamp(m[1]) : null;
+        const end = m ? this.parseTimestamp(m[2]) : null;
+
+        if (start === null || end === null) {
+            issues.push({ line: lineNo, severity: 'error', message: `Invalid timing "${line}", cue skipped` });
+            return null;
+        }
+
+        return { start, end, settings: m[3] ? m[3].trim() : '' };
+    },
+
+    /**
+     * Turns raw blocks into validated cues: cleans text, fixes timings and ordering.
+     */
+    _finalize(blocks, issues) {
+        const warn = (line, message) => issues.push({ line, severity: 'warning', message });
+        const cues = [];
+
+        blocks.forEach(block => {
+            const { text, settings } = this._cleanText(block.lines.join('\n').trim(), block.settings);
+
+            if (!text) {
+                warn(block.line, 'Empty cue was removed');
+                return;
+            }
+
+            let end = block.end;
+            if (end <= block.start) {
+                warn(block.line, 'Cue ends before it starts; duration set to 2 seconds');
+                end = block.start + 2;
+            }
+
+            cues.push({ id: block.id, start: block.start, end, text, settings });
+        });
+
+        // Cues must be in start order for the browser's track renderer
+        if (cues.some((cue, i) => i > 0 && cue.start < cues[i - 1].start)) {
+            warn(0, 'Cues were out of order and have been sorted');
+            cues.sort((a, b) => a.start - b.start);
+        }
+
+        return cues;
+    },
+
+    /**
+     * Converts cue text to valid WebVTT: maps/strips SSA override tags, drops
+     * unsupported HTML tags and escapes characters with special meaning.
+     * @returns {{text: string, settings: string}}
+     */
+    _cleanText(text, settings) {
+        let cueSettings = settings;
+
+        // "{\an8}" style positioning
+        text = text.replace(/\{\\an([1-9])\}/g, (match, n) => {
+            if (!cueSettings) cueSettings = AN_POSITIONS[n];
+            return '';
+        });
+
+        // Any other SSA override block ("{\i1}", "{\c&H00FFFF&}", ...)
+        text = text.replace(/\{\\[^}]*\}/g, '');
+
+        // <font> is not part of WebVTT; normalise case of the tags that are
+        text = text
+            .replace(/<\/?font[^>]*>/gi, '')
+            .replace(/<(\/?)([IBU])>/g, (match, slash, tag) => `<${slash}${tag.toLowerCase()}>`);
+
+        // Escape "&" and "<" that do not start an entity or a supported tag
+        text = text
+            .replace(/&(?![a-z]+;|#\d+;|#x[\da-f]+;)/gi, '&amp;')
+            .replace(/<[^<]*/g, part => (VTT_TAG.test(part) ? part : part.replace('<', '&lt;')))
+            .replace(/-->/g, '--&gt;');
+
+        // Blank lines would end the cue early
+        text = text.split('\n').filter(line => line.trim() !== '').join('\n');
+
+        return { text: text.trim(), settings: cueSettings || '' };
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,193 @@
+/**
+ * FluxPlayer Pro - Text Encoding Module
+ * Detects the character encoding of subtitle files (byte-order marks, strict
+ * UTF-8 validation, then a script-based sniff of common legacy code pages)
+ * and decodes them with TextDecoder.
+ */
+
+// Encodings offered in the subtitle list, grouped by script
+export const ENCODINGS = [
+    { id: 'utf-8', label: 'UTF-8' },
+    { id: 'utf-16le', label: 'UTF-16 LE' },
+    { id: 'utf-16be', label: 'UTF-16 BE' },
+    { id: 'windows-1256', label: 'Arabic / Persian (Windows-1256)' },
+    { id: 'iso-8859-6', label: 'Arabic (ISO-8859-6)' },
+    { id: 'windows-1251', label: 'Cyrillic (Windows-1251)' },
+    { id: 'koi8-r', label: 'Cyrillic (KOI8-R)' },
+    { id: 'windows-1252', label: 'Western (Windows-1252)' },
+    { id: 'windows-1250', label: 'Central European (Windows-1250)' },
+    { id: 'windows-1253', label: 'Greek (Windows-1253)' },
+    { id: 'windows-1254', label: 'Turkish (Windows-1254)' },
+    { id: 'windows-1255', label: 'Hebrew (Windows-1255)' },
+    { id: 'windows-874', label: 'Thai (Windows-874)' },
+    { id: 'gb18030', label: 'Chinese Simplified (GB18030)' },
+    { id: 'big5', label: 'Chinese Traditional (Big5)' },
+    { id: 'shift_jis', label: 'Japanese (Shift_JIS)' },
+    { id: 'euc-kr', label: 'Korean (EUC-KR)' }
+];
+
+/*
+ * Single-byte candidates for sniffing, with the Unicode ranges their non-ASCII
+ * letters should fall into. `latin` marks code pages whose letters mix with ASCII
+ * inside words (so isolated accented letters count, runs of them do not).
+ * `common` lists the script's most frequent letters: the Cyrillic, Greek, Hebrew,
+ * Arabic and Thai code pages all put letters in the upper half, so the same bytes
+ * read as plausible letters under each of them and only the frequencies differ.
+ */
+const SNIFF_CANDIDATES = [
+    { id: 'windows-1256', ranges: [[0x0600, 0x06FF], [0xFB50, 0xFDFF], [0xFE70, 0xFEFF]], common: 'اليمونهرتب' },
+    { id: 'windows-1251', ranges: [[0x0400, 0x04FF]], common: 'оеаинтсрвл' },
+    { id: 'koi8-r', ranges: [[0x0400, 0x04FF]], common: 'оеаинтсрвл' },
+    { id: 'windows-1253', ranges: [[0x0370, 0x03FF]], common: 'αοειτνσςηρ' },
+    { id: 'windows-1255', ranges: [[0x0590, 0x05FF]], common: 'יוהלארתבמש' },
+    { id: 'windows-874', ranges: [[0x0E00, 0x0E7F]], common: 'านรอกเงมยว' },
+    { id: 'windows-1252', ranges: [[0x00C0, 0x00FF]], latin: true },
+    { id: 'windows-1250', ranges: [[0x00C0, 0x017F]], latin: true },
+    { id: 'windows-1254', ranges: [[0x00C0, 0x00FF], [0x011E, 0x015F]], latin: true, common: 'ışğİŞĞ' }
+];
+
+// Bytes examined when sniffing (subtitle files are small, but cap the work)
+const SNIFF_LIMIT = 64 * 1024;
+// Lowest sniff score trusted: a word or two reads as letters in several code pages
+const MIN_CONFIDENT_SCORE = 6;
+
+export const TextEncoding = {
+    /**
+     * Detects the most likely encoding of a byte buffer.
+     * @param {Uint8Array} bytes
+     * @returns {{encoding: string, bom: boolean, confident: boolean}}
+     */
+    detect(bytes) {
+        // 1. Byte-order marks
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return { encoding: 'utf-8', bom: true, confident: true };
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { encoding: 'utf-16le', bom: true, confident: true };
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { encoding: 'utf-16be', bom: true, confident: true };
+
+        const sample = bytes.subarray(0, SNIFF_LIMIT);
+
+        // 2. UTF-16 without BOM: ASCII text leaves every other byte zero
+        const utf16 = this._sniffUtf16(sample);
+        if (utf16) return { encoding: utf16, bom: false, confident: true };
+
+        // 3. Valid UTF-8 (pure ASCII is valid too)
+        if (this._isUtf8(sample)) return { encoding: 'utf-8', bom: false, confident: true };
+
+        // 4. Legacy code pages: pick the one whose decoded text looks most like its script
+        let best = { id: 'windows-1252', score: -Infinity };
+        SNIFF_CANDIDATES.forEach(candidate => {
+            const text = this.decode(sample, candidate.id);
+            const score = this._score(text, candidate);
+            if (score > best.score) best = { id: candidate.id, score };
+        });
+
+        return { encoding: best.id, bom: false, confident: best.score >= MIN_CONFIDENT_SCORE };
+    },
+
+    /**
+     * Decodes bytes with the given encoding (falls back to UTF-8 if the browser does not know it).
+     * @param {Uint8Array} bytes
+     * @param {string} encoding
+     * @returns {string}
+     */
+    decode(bytes, encoding) {
+        try {
+            return new TextDecoder(encoding).decode(bytes);
+        } catch (e) {
+            console.warn(`FluxPlayer Encoding Error: "${encoding}" not supported, using UTF-8.`);
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+    },
+
+    /**
+     * Human readable name of an encoding id
+     * @param {string} encoding
+     * @returns {string}
+     */
+    label(encoding) {
+        const entry = ENCODINGS.find(e => e.id === encoding);
+        return entry ? entry.label : encoding;
+    },
+
+    // --- Internal Helpers ---
+
+    _isUtf8(bytes) {
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return true;
+        } catch (e) {
+            // A multi-byte sequence cut off by the sample limit is not an error
+            if (bytes.length === SNIFF_LIMIT) {
+                try {
+                    new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(0, SNIFF_LIMIT - 4));
+                    return true;
+                } catch (e2) {
+                    return false;
+                }
+            }
+            return false;
+        }
+    },
+
+    _sniffUtf16(bytes) {
+        const pairs = Math.floor(Math.min(bytes.length, 2000) / 2);
+        if (pairs < 4) return null;
+
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < pairs * 2; i += 2) {
+            if (bytes[i] === 0) evenZeros++;
+            if (bytes[i + 1] === 0) oddZeros++;
+        }
+
+        if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+        if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
+        return null;
+    },
+
+    /**
+     * Scores decoded text: letters of the candidate's script count up, anything
+     * else outside ASCII (symbols, controls, other scripts) counts down, as do the
+     * tell-tale signs of mojibake: scripts mixed inside a word and erratic case.
+     */
+    _score(text, candidate) {
+        const inScript = (code) => candidate.ranges.some(([from, to]) => code >= from && code <= to);
+        const isAsciiLetter = (ch) => /[A-Za-z]/.test(ch || '');
+        const isLower = (ch) => !!ch && ch !== ch.toUpperCase();
+        const isUpper = (ch) => !!ch && ch !== ch.toLowerCase();
+        let score = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (code < 0x80) continue;
+
+            const ch = text[i];
+            const prev = text[i - 1];
+            const next = text[i + 1];
+
+            if (!inScript(code) || code === 0xFFFD) {
+                score -= 2;
+                continue;
+            }
+
+            const besideAscii = isAsciiLetter(prev) || isAsciiLetter(next);
+            if (candidate.latin) {
+                // Accented letters sit between ASCII letters ("café"); long runs are mojibake
+                score += besideAscii ? 1 : -1;
+            } else {
+                score += besideAscii ? -2 : 1;
+            }
+
+            // "УбЗг": capitals after lower-case letters inside a word
+            if (isUpper(ch) && isLower(prev)) score -= 2;
+        }
+
+        // Overlapping code pages all produce letters: prefer the one producing its script's common ones
+        if (candidate.common) {
+            for (const ch of text) {
+                if (candidate.common.includes(ch)) score += 0.5;
+            }
+        }
+
+        return score;
+    }
+};
@@ -0,0 +1,240 @@
+/**
+ * FluxPlayer Pro - Seek Bar Thumbnails
+ * Generates preview images of a local video with an offscreen <video> and a
+ * canvas, while the main player is paused. Thumbnails are taken coarse to fine
+ * (every 16th slot first) so the whole timeline gets a preview early on, and are
+ * cached in IndexedDB per file (by its storage key) so a file is only processed once.
+ */
+
+import { MediaEvents } from './media-events.js';
+
+const DB_NAME = 'flux_pro_thumbnails';
+const DB_VERSION = 1;
+const STORE = 'thumbnails';
+
+const WIDTH = 160;          // Thumbnail width (px)
+const MAX_COUNT = 240;      // Thumbnails per video
+const MIN_INTERVAL = 5;     // Closest spacing (s)
+const MAX_FILES = 30;       // Videos kept in the cache
+const SAVE_EVERY = 20;      // Store progress every N thumbnails
+const SEEK_TIMEOUT = 5000;  // Give up on a seek that never completes (ms)
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+                store.createIndex('savedAt', 'savedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(e => {
+            dbPromise = null;
+            throw e;
+        });
+    }
+    return dbPromise;
+}
+
+async function readCache(key) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(STORE, 'readonly').objectStore(STORE).get(key);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Stores a record and drops the least recently saved ones beyond MAX_FILES.
+ */
+async function writeCache(record) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, 'readwrite');
+        const store = tx.objectStore(STORE);
+        store.put(record);
+
+        const count = store.count();
+        count.onsuccess = () => {
+            let excess = count.result - MAX_FILES;
+            if (excess <= 0) return;
+            store.index('savedAt').openKeyCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor || excess-- <= 0) return;
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            };
+        };
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Slot indexes, coarse to fine: 0, 16, 32, … then 8, 24, … down to every slot.
+ */
+function generationOrder(count) {
+    const order = [];
+    const seen = new Set();
+    for (let step = 16; step >= 1; step /= 2) {
+        for (let i = 0; i < count; i += step) {
+            if (!seen.has(i)) {
+                seen.add(i);
+                order.push(i);
+            }
+        }
+    }
+    return order;
+}
+
+export const Thumbnails = {
+    key: null,          // Cache key of the current file
+    interval: 0,        // Seconds between thumbnails
+    images: [],         // Blob per slot (empty until generated)
+    urls: [],           // Object URLs for the generated slots
+    paused: false,      // True while the main video plays
+    run: 0,             // Id of the active generation (stale runs stop)
+    resumeWaiter: null, // Resolves a run waiting for resume()
+
+    /**
+     * Shows the cached thumbnails of a file and generates the missing ones.
+     * @param {File} file
+     * @param {string} key - Identifies the file in the cache
+     */
+    async load(file, key) {
+        this.stop();
+        const run = this.run;
+        this.key = key;
+
+        let cached = null;
+        try {
+            cached = await readCache(this.key);
+        } catch (e) {
+            console.warn('FluxPlayer Thumbnail Cache Error:', e);
+        }
+        if (run !== this.run) return;
+
+        if (cached) {
+            this.interval = cached.interval;
+            this.images = cached.images;
+            if (cached.complete) return;
+        }
+
+        try {
+            await this._generate(file, run);
+        } catch (e) {
+            // Codecs the browser cannot decode, unreadable files: no previews
+            console.warn('FluxPlayer Thumbnail Error:', e);
+        }
+    },
+
+    /**
+     * Cancels generation and releases the current file's images.
+     */
+    stop() {
+        this.run++;
+        this.key = null;
+        this.interval = 0;
+        this.images = [];
+        this.urls.forEach(url => url && URL.revokeObjectURL(url));
+        this.urls = [];
+        this.resume();
+    },
+
+    pause() {
+        this.paused = true;
+    },
+
+    resume() {
+        this.paused = false;
+        if (this.resumeWaiter) this.resumeWaiter();
+        this.resumeWaiter = null;
+    },
+
+    /**
+     * The thumbnail closest to a time (among those generated so far).
+     * @param {number} time - Seconds
+     * @returns {string|null} Object URL
+     */
+    at(time) {
+        if (!this.interval || this.images.length === 0) return null;
+
+        const target = Math.round(time / this.interval);
+        const limit = Math.max(this.images.length, target + 1);
+        for (let d = 0; d < limit; d++) {
+            for (const i of [target - d, target + d]) {
+                if (!this.images[i]) continue;
+                if (!this.urls[i]) this.urls[i] = URL.createObjectURL(this.images[i]);
+                return this.urls[i];
+            }
+        }
+        return null;
+    },
+
+    // --- Internal Helpers ---
+
+    async _generate(file, run) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+        video.src = URL.createObjectURL(file);
+
+        try {
+            await MediaEvents.once(video, ['loadedmetadata'], SEEK_TIMEOUT * 2);
+            if (run !== this.run || !video.videoWidth || !Number.isFinite(video.duration)) return;
+
+            const duration = video.duration;
+            if (!this.interval) {
+                this.interval = Math.max(MIN_INTERVAL, duration / MAX_COUNT);
+                this.images = [];
+            }
+            const count = Math.floor(duration / this.interval) + 1;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = WIDTH;
+            canvas.height = Math.round(WIDTH * video.videoHeight / video.videoWidth);
+            const ctx = canvas.getContext('2d');
+
+            let added = 0;
+            for (const i of generationOrder(count)) {
+                if (this.images[i]) continue;
+                if (this.paused) await new Promise(resolve => { this.resumeWaiter = resolve; });
+                if (run !== this.run) return;
+
+                // Slightly inside the slot so the first frame is not a black fade-in
+                video.currentTime = Math.min(i * this.interval + 0.5, duration - 0.1);
+                await MediaEvents.once(video, ['seeked'], SEEK_TIMEOUT);
+                if (run !== this.run) return;
+
+                ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.6));
+                if (run !== this.run) return;
+                this.images[i] = blob;
+
+                if (++added % SAVE_EVERY === 0) this._save(false);
+            }
+
+            this._save(true);
+        } finally {
+            URL.revokeObjectURL(video.src);
+            video.removeAttribute('src');
+            video.load();
+        }
+    },
+
+    _save(complete) {
+        writeCache({
+            key: this.key,
+            interval: this.interval,
+            images: [...this.images],
+            complete,
+            savedAt: Date.now()
+        }).catch(e => console.warn('FluxPlayer Thumbnail Cache Error:', e));
+    }
+};
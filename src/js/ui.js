@@ -4,8 +4,23 @@
  * This module acts as the "View" in the architecture.
  */
 
+import { FileHandles } from './file-handles.js';
+import { SubtitleParser } from './subtitle-parser.js';
+import { ENCODINGS } from './text-encoding.js';
+import { LANGUAGES, UNDETERMINED } from './language.js';
+import { Shortcuts } from './shortcuts.js';
+
+// Extensions offered by the File System Access picker
+const VIDEO_PICKER_TYPES = ['.mp4', '.m4v', '.mkv', '.webm', '.mov', '.ogv'];
+const SUBTITLE_PICKER_TYPES = ['.srt', '.vtt', '.ass', '.ssa'];
+
 export const UIManager = {
     handlers: {},
+    syncPanels: {}, // Open subtitle sync panels: track id -> selected cue index
+    dualLines: {}, // HTML currently shown in the dual subtitle overlay, per line
+    dualVariables: {}, // Per-track caption style of the dual subtitle lines (CSS variables, or null)
+    captionPresets: [], // Caption style presets offered in the settings and the subtitle list
+    recordingShortcut: null, // Action waiting for its new key combo in the settings
 
     /**
      * Initialize UI components
@@ -52,17 +67,126 @@ export const UIManager = {
             }
         });
         this._bindClick('btn-clear-history', () => handlers.onClearHistory && handlers.onClearHistory());
+        const view = (options) => handlers.onHistoryView && handlers.onHistoryView(options);
+        this._bindInput('history-search', (val) => view({ search: val }));
+        this._bindInput('history-sort', (val) => view({ sort: val }), 'change');
+        this._bindInput('history-filter', (val) => view({ filter: val }), 'change');
+        this._bindClick('btn-history-group', () => {
+            const btn = document.getElementById('btn-history-group');
+            view({ grouped: !btn.classList.contains('text-blue-400') });
+        });
 
         // --- 3. File Inputs ---
         this._setupFileInput('video-input', 'video-dz', handlers.onVideoSelect);
         this._bindClick('btn-browse-main', () => document.getElementById('video-input')?.click());
+
+        // Prefer the File System Access picker so the file handle can be kept for History
+        if (FileHandles.isSupported()) {
+            // Subtitles picked together with videos are paired with them
+            const browse = () => FileHandles.pickFiles({ accept: [...VIDEO_PICKER_TYPES, ...SUBTITLE_PICKER_TYPES], description: 'Videos & subtitles', multiple: true })
+                .then(files => files.length > 0 && handlers.onVideoSelect(files));
+            this._bindClick('video-dz', browse);
+            this._bindClick('btn-browse-main', browse);
+        }
         
         this._setupFileInput('sub-input', 'sub-dz', handlers.onSubtitleSelect);
 
         // Global drag on player
         this._setupDragDrop('player-wrapper', handlers.onVideoSelect);
 
-        // --- 4. Settings Inputs ---
+        // --- 4. Play Queue ---
+        this._bindClick('btn-queue-prev', () => handlers.onQueuePrevious && handlers.onQueuePrevious());
+        this._bindClick('btn-queue-next', () => handlers.onQueueNext && handlers.onQueueNext());
+        this._bindClick('btn-queue-shuffle', () => handlers.onQueueShuffle && handlers.onQueueShuffle());
+        this._bindClick('btn-queue-repeat', () => handlers.onQueueRepeat && handlers.onQueueRepeat());
+        this._bindClick('btn-queue-clear', () => handlers.onQueueClear && handlers.onQueueClear());
+
+        // --- 5. Subtitle Editor ---
+        this._bindClick('btn-editor-undo', () => handlers.onEditorUndo && handlers.onEditorUndo());
+        this._bindClick('btn-editor-redo', () => handlers.onEditorRedo && handlers.onEditorRedo());
+        this._bindClick('btn-editor-insert', () => handlers.onEditorEdit && handlers.onEditorEdit('insert'));
+        this._bindClick('btn-editor-export-srt', () => handlers.onEditorExport && handlers.onEditorExport('srt'));
+        this._bindClick('btn-editor-export-vtt', () => handlers.onEditorExport && handlers.onEditorExport('vtt'));
+        this._bindClick('btn-editor-close', () => handlers.onEditorClose && handlers.onEditorClose());
+
+        // --- 6. Transcript ---
+        const search = document.getElementById('transcript-search');
+        if (search) {
+            search.addEventListener('input', () => handlers.onTranscriptSearch && handlers.onTranscriptSearch(search.value));
+            search.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter') return;
+                e.preventDefault();
+                if (handlers.onTranscriptStep) handlers.onTranscriptStep(e.shiftKey ? -1 : 1);
+            });
+        }
+        this._bindClick('btn-transcript-prev', () => handlers.onTranscriptStep && handlers.onTranscriptStep(-1));
+        this._bindClick('btn-transcript-next', () => handlers.onTranscriptStep && handlers.onTranscriptStep(1));
+
+        // --- 7. Bookmarks ---
+        this._bindClick('btn-bookmark-add', () => handlers.onBookmarkAdd && handlers.onBookmarkAdd());
+        this._bindClick('btn-bookmark-export-vtt', () => handlers.onBookmarkExport && handlers.onBookmarkExport('vtt'));
+        this._bindClick('btn-bookmark-export-json', () => handlers.onBookmarkExport && handlers.onBookmarkExport('json'));
+        const bookmarkInput = document.getElementById('bookmark-import-input');
+        if (bookmarkInput) {
+            this._bindClick('btn-bookmark-import', () => bookmarkInput.click());
+            bookmarkInput.onchange = () => {
+                const [file] = bookmarkInput.files || [];
+                if (file && handlers.onBookmarkImport) handlers.onBookmarkImport(file);
+                bookmarkInput.value = '';
+            };
+        }
+
+        // --- 8. A–B Loop & Frame Stepping ---
+        this._bindClick('btn-loop-a', () => handlers.onLoopSetA && handlers.onLoopSetA());
+        this._bindClick('btn-loop-b', () => handlers.onLoopSetB && handlers.onLoopSetB());
+        this._bindClick('btn-loop-line', () => handlers.onLoopLine && handlers.onLoopLine());
+        this._bindClick('btn-loop-clear', () => handlers.onLoopClear && handlers.onLoopClear());
+        this._bindInput('loop-repeat', (val) => handlers.onLoopRepeat && handlers.onLoopRepeat(Number(val)), 'change');
+        this._bindClick('btn-frame-prev', () => handlers.onFrameStep && handlers.onFrameStep(-1));
+        this._bindClick('btn-frame-next', () => handlers.onFrameStep && handlers.onFrameStep(1));
+
+        // --- 9. Snapshot & Clip ---
+        this._bindClick('btn-snapshot', () => handlers.onSnapshot && handlers.onSnapshot());
+        this._bindClick('btn-clip', () => handlers.onClipToggle && handlers.onClipToggle());
+        this._bindInput('snapshot-format', (val) => handlers.onSettingChange('snapshotFormat', val), 'change');
+        const captureSubtitles = document.getElementById('capture-subtitles');
+        if (captureSubtitles) captureSubtitles.addEventListener('change', () => handlers.onSettingChange('captureSubtitles', captureSubtitles.checked));
+
+        // --- 10. Watch Together ---
+        this._bindClick('btn-together', () => this.toggleModal('together-modal', true));
+        this._bindClick('btn-close-together', () => this.toggleModal('together-modal', false));
+        const togetherModal = document.getElementById('together-modal');
+        if (togetherModal) {
+            togetherModal.onclick = (e) => {
+                if (e.target.id === 'together-modal') this.toggleModal('together-modal', false);
+            };
+        }
+        const togetherKind = document.getElementById('together-kind');
+        if (togetherKind) {
+            togetherKind.addEventListener('change', () => {
+                document.getElementById('together-server-row')?.classList.toggle('hidden', togetherKind.value !== 'lan');
+            });
+        }
+        this._bindClick('btn-together-code', () => {
+            const code = document.getElementById('together-code');
+            if (code && handlers.onTogetherNewCode) code.value = handlers.onTogetherNewCode();
+        });
+        const startTogether = (role) => {
+            if (!handlers.onTogetherStart) return;
+            const value = (id) => document.getElementById(id)?.value || '';
+            handlers.onTogetherStart(role, {
+                name: value('together-name'),
+                code: value('together-code'),
+                kind: value('together-kind') || 'tab',
+                server: value('together-server')
+            });
+        };
+        this._bindClick('btn-together-host', () => startTogether('leader'));
+        this._bindClick('btn-together-join', () => startTogether('follower'));
+        this._bindClick('btn-together-lead', () => handlers.onTogetherLead && handlers.onTogetherLead());
+        this._bindClick('btn-together-leave', () => handlers.onTogetherLeave && handlers.onTogetherLeave());
+
+        // --- 11. Settings Inputs ---
         
         // Font Size
         this._bindInput('input-font-size', (val) => {
@@ -96,7 +220,179 @@ export const UIManager = {
             handlers.onSettingChange('bgOpacity', val);
         });
         
+        // Edges, weight and layout
+        this._bindInput('input-edge-style', (val) => handlers.onSettingChange('edgeStyle', val), 'change');
+        const boldInput = document.getElementById('input-caption-bold');
+        if (boldInput) boldInput.addEventListener('change', () => handlers.onSettingChange('bold', boldInput.checked));
+        this._bindInput('input-line-height', (val) => {
+            const label = document.getElementById('line-height-val');
+            if (label) label.innerText = Number(val).toFixed(1);
+            handlers.onSettingChange('lineHeight', Number(val));
+        });
+        this._bindInput('input-caption-position', (val) => {
+            const label = document.getElementById('caption-position-val');
+            if (label) label.innerText = `${val}%`;
+            handlers.onSettingChange('captionPosition', Number(val));
+        });
+        this._bindInput('input-caption-width', (val) => {
+            const label = document.getElementById('caption-width-val');
+            if (label) label.innerText = `${val}%`;
+            handlers.onSettingChange('captionWidth', Number(val));
+        });
+
+        // Style presets
+        const presetSelect = document.getElementById('caption-preset-select');
+        const presetName = document.getElementById('caption-preset-name');
+        if (presetSelect) presetSelect.addEventListener('change', () => this.renderCaptionPresets(this.captionPresets));
+        this._bindClick('btn-preset-apply', () => {
+            if (presetSelect && presetSelect.value && handlers.onCaptionPresetApply) handlers.onCaptionPresetApply(presetSelect.value);
+        });
+        this._bindClick('btn-preset-delete', () => {
+            if (presetSelect && presetSelect.value && handlers.onCaptionPresetDelete) handlers.onCaptionPresetDelete(presetSelect.value);
+        });
+        const savePreset = () => {
+            if (!presetName || !handlers.onCaptionPresetSave) return;
+            const name = presetName.value.trim();
+            if (!handlers.onCaptionPresetSave(presetName.value)) return;
+            presetName.value = '';
+            if (presetSelect) presetSelect.value = name;
+            this.renderCaptionPresets(this.captionPresets);
+        };
+        this._bindClick('btn-preset-save', savePreset);
+        if (presetName) {
+            presetName.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') savePreset();
+            });
+        }
+
+        // Dual subtitles (lower line)
+        this._bindInput('input-secondary-size', (val) => {
+            const label = document.getElementById('secondary-size-val');
+            if(label) label.innerText = `${val}px`;
+            handlers.onSettingChange('secondarySize', val);
+        });
+        this._bindInput('input-secondary-color', (val) => handlers.onSettingChange('secondaryColor', val));
+
+        // Playback
+        this._bindInput('input-finish-tail', (val) => {
+            const label = document.getElementById('finish-tail-val');
+            if(label) label.innerText = `${val}s`;
+            handlers.onSettingChange('finishTail', val);
+        });
+        this._bindInput('input-history-size', (val) => {
+            const label = document.getElementById('history-size-val');
+            if (label) label.innerText = val;
+        });
+        // Applied on release: shrinking drops entries
+        this._bindInput('input-history-size', (val) => handlers.onSettingChange('historySize', Number(val)), 'change');
+        
         this._bindClick('btn-reset-settings', () => handlers.onSettingsReset && handlers.onSettingsReset());
+        this._bindClick('btn-reset-shortcuts', () => handlers.onShortcutsReset && handlers.onShortcutsReset());
+
+        // Backup
+        this._bindClick('btn-backup-export', () => handlers.onBackupExport && handlers.onBackupExport());
+        const backupInput = document.getElementById('backup-import-input');
+        if (backupInput) {
+            this._bindClick('btn-backup-import', () => backupInput.click());
+            backupInput.onchange = () => {
+                const [file] = backupInput.files || [];
+                if (file && handlers.onBackupImport) handlers.onBackupImport(file);
+                backupInput.value = '';
+            };
+        }
+        this._bindClick('btn-restore-merge', () => handlers.onRestore && handlers.onRestore('merge'));
+        this._bindClick('btn-restore-replace', () => handlers.onRestore && handlers.onRestore('replace'));
+        this._bindClick('btn-close-restore', () => handlers.onRestoreCancel && handlers.onRestoreCancel());
+        const restoreModal = document.getElementById('restore-modal');
+        if (restoreModal) {
+            restoreModal.onclick = (e) => {
+                if (e.target.id === 'restore-modal' && handlers.onRestoreCancel) handlers.onRestoreCancel();
+            };
+        }
+
+        // --- 12. Keyboard Shortcuts (remappable, see shortcuts.js) ---
+        const call = (name, ...args) => () => handlers[name] && handlers[name](...args);
+        const actions = {
+            playPause: call('onTogglePlay'),
+            seekBack: call('onSeek', -5),
+            seekForward: call('onSeek', 5),
+            seekBackLong: call('onSeek', -10),
+            seekForwardLong: call('onSeek', 10),
+            speedDown: call('onSpeedStep', -1),
+            speedUp: call('onSpeedStep', 1),
+            volumeUp: call('onVolumeStep', 0.1),
+            volumeDown: call('onVolumeStep', -0.1),
+            mute: call('onToggleMute'),
+            fullscreen: call('onToggleFullscreen'),
+            frameBack: call('onFrameStep', -1),
+            frameForward: call('onFrameStep', 1),
+            loopA: call('onLoopSetA'),
+            loopB: call('onLoopSetB'),
+            loopLine: call('onLoopLine'),
+            bookmark: call('onBookmarkAdd'),
+            snapshot: call('onSnapshot'),
+            clip: call('onClipToggle'),
+            captions: call('onToggleCaptions'),
+            subtitleCycle: call('onSubtitleCycle'),
+            captionSizeDown: call('onCaptionSizeStep', -2),
+            captionSizeUp: call('onCaptionSizeStep', 2),
+            subtitleEarlier: call('onSubtitleShiftActive', -1),
+            subtitleLater: call('onSubtitleShiftActive', 1),
+            subtitleEarlierLong: call('onSubtitleShiftActive', -10),
+            subtitleLaterLong: call('onSubtitleShiftActive', 10),
+            queueNext: call('onQueueNext'),
+            queuePrevious: call('onQueuePrevious'),
+            openVideo: () => document.getElementById('video-dz')?.click(),
+            openSubtitle: () => document.getElementById('sub-input')?.click(),
+            clearHistory: call('onClearHistory'),
+            settings: () => this.toggleModal('settings-modal', true),
+            help: () => this.toggleShortcutSheet()
+        };
+
+        document.addEventListener('keydown', (e) => {
+            if (this.recordingShortcut || this._isTyping(e)) return;
+            // Space / Enter on a focused button already click it
+            if ((e.key === ' ' || e.key === 'Enter') && e.target.closest && e.target.closest('button')) return;
+
+            if (e.key === 'Escape' && this.isModalOpen('shortcuts-modal')) {
+                this.toggleModal('shortcuts-modal', false);
+                return;
+            }
+
+            const action = Shortcuts.actionFor(Shortcuts.comboFromEvent(e));
+            if (!action || !actions[action]) return;
+            e.preventDefault();
+            actions[action]();
+        });
+
+        // Remapping: the next key press after clicking a binding (capture phase, before anything else)
+        document.addEventListener('keydown', (e) => {
+            const action = this.recordingShortcut;
+            if (!action) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            if (e.key === 'Escape') {
+                this.recordingShortcut = null;
+                this.renderShortcutSettings();
+                return;
+            }
+
+            const combo = e.key === 'Backspace' || e.key === 'Delete' ? '' : Shortcuts.comboFromEvent(e);
+            if (combo === null) return; // Lone modifier: keep waiting
+
+            this.recordingShortcut = null;
+            const conflict = handlers.onShortcutChange ? handlers.onShortcutChange(action, combo) : null;
+            this.renderShortcutSettings(conflict ? { action, message: `${Shortcuts.format(combo)} is already used by "${conflict.label}"` } : null);
+        }, true);
+
+        this._bindClick('btn-close-shortcuts', () => this.toggleModal('shortcuts-modal', false));
+        const sheetModal = document.getElementById('shortcuts-modal');
+        if (sheetModal) {
+            sheetModal.onclick = (e) => {
+                if (e.target.id === 'shortcuts-modal') this.toggleModal('shortcuts-modal', false);
+            };
+        }
     },
 
     /**
@@ -113,7 +409,7 @@ export const UIManager = {
 
         if (tracks.length === 0) {
             if (dzLabel) {
-                dzLabel.innerText = "Drag & drop .srt or .vtt";
+                dzLabel.innerText = "Drag & drop .srt, .vtt or .ass";
                 dzLabel.className = "text-xs text-slate-500";
             }
             return;
@@ -128,22 +424,122 @@ export const UIManager = {
         // Render List
         tracks.forEach((track, index) => {
             const item = document.createElement('div');
-            item.className = "subtitle-item flex items-center justify-between p-2.5 bg-slate-800/60 rounded-lg border border-slate-700/50 group hover:border-purple-500/50 transition-colors";
+            item.className = "subtitle-item p-2.5 bg-slate-800/60 rounded-lg border border-slate-700/50 group hover:border-purple-500/50 transition-colors";
             
+            const issues = track.issues || [];
+            const hasErrors = issues.some(i => i.severity === 'error');
+            const issuesBadge = issues.length === 0 ? '' : `
+                    <span class="sub-issues flex items-center gap-1 text-[10px] ${hasErrors ? 'text-red-400' : 'text-amber-400'} flex-shrink-0 cursor-help">
+                        <i data-lucide="alert-triangle" class="w-3 h-3"></i>${issues.length}
+                    </span>`;
+
+            const isSynced = track.sync && (track.sync.offset !== 0 || track.sync.scale !== 1);
+            const syncOpen = track.id in this.syncPanels;
+
             item.innerHTML = `
-                <div class="flex items-center gap-2 overflow-hidden">
-                    <i data-lucide="message-square" class="w-3.5 h-3.5 text-purple-500 flex-shrink-0"></i>
-                    <span class="text-xs text-slate-300 font-mono truncate select-none">${track.label}</span>
+                <div class="flex items-center justify-between gap-2">
+                    <div class="flex items-center gap-2 overflow-hidden">
+                        <i data-lucide="${track.embedded ? 'package' : 'message-square'}" class="w-3.5 h-3.5 text-purple-500 flex-shrink-0"${track.embedded ? ' title="Embedded in the video file"' : ''}></i>
+                        <span class="text-xs text-slate-300 font-mono truncate select-none">${this._escape(track.label)}</span>${issuesBadge}
+                    </div>
+                    <div class="flex items-center gap-0.5 flex-shrink-0">
+                        <button class="btn-sync-sub flex items-center gap-1 p-1 ${isSynced || syncOpen ? 'text-purple-400' : 'text-slate-500'} hover:text-purple-300 hover:bg-purple-500/10 rounded transition-colors text-[10px] font-mono" title="Timing / Sync">
+                            <i data-lucide="timer" class="w-3.5 h-3.5"></i>${isSynced ? `<span>${this._formatSync(track.sync)}</span>` : ''}
+                        </button>
+                        <button class="btn-edit-sub p-1 ${track.edited ? 'text-purple-400' : 'text-slate-500'} hover:text-purple-300 hover:bg-purple-500/10 rounded transition-colors" title="Edit Lines${track.edited ? ' (edited)' : ''}">
+                            <i data-lucide="pencil" class="w-3.5 h-3.5"></i>
+                        </button>
+                        <button class="btn-remove-sub p-1 text-slate-500 hover:text-red-400 hover:bg-red-500/10 rounded transition-colors" title="Remove Subtitle">
+                            <i data-lucide="x" class="w-3.5 h-3.5"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="flex items-center gap-1.5 mt-1 pl-5">
+                    <i data-lucide="file-type" class="w-3 h-3 text-slate-600 flex-shrink-0"></i>
+                    <select class="sub-encoding bg-transparent text-[10px] text-slate-500 hover:text-slate-300 font-mono cursor-pointer outline-none min-w-0 truncate" title="Character encoding"></select>
+                    <i data-lucide="languages" class="w-3 h-3 text-slate-600 flex-shrink-0 ml-1"></i>
+                    <select class="sub-language bg-transparent text-[10px] text-slate-500 hover:text-slate-300 font-mono cursor-pointer outline-none min-w-0 truncate" title="Language"></select>
+                    <i data-lucide="palette" class="w-3 h-3 ${track.captionPreset ? 'text-purple-400' : 'text-slate-600'} flex-shrink-0 ml-1"></i>
+                    <select class="sub-style bg-transparent text-[10px] text-slate-500 hover:text-slate-300 font-mono cursor-pointer outline-none min-w-0 truncate" title="Caption Style"></select>
                 </div>
-                <button class="btn-remove-sub p-1 text-slate-500 hover:text-red-400 hover:bg-red-500/10 rounded transition-colors" title="Remove Subtitle">
-                    <i data-lucide="x" class="w-3.5 h-3.5"></i>
-                </button>
             `;
 
+            // Line-numbered parser report as tooltip
+            const badge = item.querySelector('.sub-issues');
+            if (badge) badge.title = this._formatIssues(issues);
+
+            // Encoding picker: re-decodes the file on the fly
+            const encodingSelect = item.querySelector('.sub-encoding');
+            const encodings = ENCODINGS.some(e => e.id === track.encoding) ? ENCODINGS : [{ id: track.encoding, label: track.encoding }, ...ENCODINGS];
+            encodings.forEach(enc => {
+                const option = document.createElement('option');
+                option.value = enc.id;
+                option.className = 'bg-slate-900';
+                option.textContent = enc.id === track.encoding && track.encodingDetected ? `${enc.label} (auto)` : enc.label;
+                encodingSelect.appendChild(option);
+            });
+            encodingSelect.value = track.encoding;
+            // Embedded tracks are always stored as UTF-8 by the container
+            encodingSelect.disabled = !!track.embedded;
+            encodingSelect.onclick = (e) => e.stopPropagation();
+            encodingSelect.onchange = () => {
+                if (this.handlers.onSubtitleEncoding) this.handlers.onSubtitleEncoding(index, encodingSelect.value);
+            };
+
+            // Language picker: sets srclang and text direction
+            const languageSelect = item.querySelector('.sub-language');
+            [...LANGUAGES, { code: UNDETERMINED, name: 'Unknown' }].forEach(lang => {
+                const option = document.createElement('option');
+                option.value = lang.code;
+                option.className = 'bg-slate-900';
+                option.textContent = lang.code === track.srclang && track.languageDetected ? `${lang.name} (auto)` : lang.name;
+                languageSelect.appendChild(option);
+            });
+            languageSelect.value = track.srclang;
+            languageSelect.onclick = (e) => e.stopPropagation();
+            languageSelect.onchange = () => {
+                if (this.handlers.onSubtitleLanguage) this.handlers.onSubtitleLanguage(index, languageSelect.value);
+            };
+
+            // Style picker: a preset for this track only
+            const styleSelect = item.querySelector('.sub-style');
+            [{ name: '' }, ...this.captionPresets].forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.name;
+                option.className = 'bg-slate-900';
+                option.textContent = preset.name || 'Current Style';
+                styleSelect.appendChild(option);
+            });
+            styleSelect.value = this.captionPresets.some(p => p.name === track.captionPreset) ? track.captionPreset : '';
+            styleSelect.onclick = (e) => e.stopPropagation();
+            styleSelect.onchange = () => {
+                if (this.handlers.onSubtitleStyle) this.handlers.onSubtitleStyle(index, styleSelect.value);
+            };
+
+            // Sync panel toggle
+            item.querySelector('.btn-sync-sub').onclick = (e) => {
+                e.stopPropagation();
+                if (syncOpen) {
+                    delete this.syncPanels[track.id];
+                } else {
+                    const suggested = this.handlers.onSubtitleSuggestCue ? this.handlers.onSubtitleSuggestCue(index) : 0;
+                    this.syncPanels[track.id] = Math.max(0, suggested);
+                }
+                this.renderSubtitleList(tracks);
+            };
+
+            if (syncOpen) item.appendChild(this._renderSyncPanel(track, index, tracks));
+
+            item.querySelector('.btn-edit-sub').onclick = (e) => {
+                e.stopPropagation();
+                if (this.handlers.onEditorToggle) this.handlers.onEditorToggle(index);
+            };
+
             // Bind Remove Click
             const removeBtn = item.querySelector('.btn-remove-sub');
             removeBtn.onclick = (e) => {
                 e.stopPropagation();
+                delete this.syncPanels[track.id];
                 if (this.handlers.onSubtitleRemove) {
                     this.handlers.onSubtitleRemove(index);
                 }
@@ -152,13 +548,859 @@ export const UIManager = {
             container.appendChild(item);
         });
 
+        if (tracks.length > 1) container.appendChild(this._renderDualPicker(tracks));
+
         if (window.lucide) window.lucide.createIcons();
     },
 
     /**
-     * Renders Watch History (Static/Informational)
+     * Builds the dual subtitle picker: which track goes on the upper and lower line.
+     */
+    _renderDualPicker(tracks) {
+        const picker = document.createElement('div');
+        picker.className = 'p-2.5 bg-slate-900/50 rounded-lg border border-slate-800 space-y-1.5';
+        picker.innerHTML = `
+            <div class="flex items-center gap-2 text-[10px] font-bold text-slate-500 uppercase tracking-widest">
+                <i data-lucide="layers" class="w-3 h-3"></i> Dual Subtitles
+            </div>
+            <div class="grid grid-cols-2 gap-2">
+                <label class="flex flex-col gap-0.5 text-[10px] text-slate-500">Top
+                    <select data-role="primary" class="bg-slate-900/60 border border-slate-700 rounded text-[10px] text-slate-300 p-1 min-w-0"></select>
+                </label>
+                <label class="flex flex-col gap-0.5 text-[10px] text-slate-500">Bottom
+                    <select data-role="secondary" class="bg-slate-900/60 border border-slate-700 rounded text-[10px] text-slate-300 p-1 min-w-0"></select>
+                </label>
+            </div>
+        `;
+
+        picker.querySelectorAll('select').forEach(select => {
+            const role = select.dataset.role;
+            [{ label: 'Off' }, ...tracks].forEach((track, i) => {
+                const option = document.createElement('option');
+                option.value = String(i - 1);
+                option.textContent = track.label;
+                option.selected = track.dual === role;
+                select.appendChild(option);
+            });
+            select.onchange = () => {
+                if (this.handlers.onDualSubtitle) this.handlers.onDualSubtitle(role, parseInt(select.value, 10));
+            };
+        });
+
+        return picker;
+    },
+
+    /**
+     * Shows two subtitle lines over the player (inside its container, so they stay
+     * visible in fullscreen) and hides Plyr's own captions meanwhile.
+     * @param {HTMLElement|null} container - Plyr container, or null to remove the overlay
+     * @param {{primary: string, secondary: string}} [lines] - Cue HTML per line
+     */
+    setDualCaptions(container, lines) {
+        let overlay = document.getElementById('dual-captions');
+
+        if (!container) {
+            if (overlay) {
+                overlay.parentElement.classList.remove('has-dual-captions');
+                overlay.remove();
+            }
+            this.dualLines = {};
+            return;
+        }
+
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'dual-captions';
+            overlay.className = 'dual-captions';
+            this.dualLines = {};
+            overlay.innerHTML = `
+                <div class="dual-captions__line dual-captions__primary"></div>
+                <div class="dual-captions__line dual-captions__secondary"></div>
+            `;
+        }
+        if (overlay.parentElement !== container) {
+            container.appendChild(overlay);
+            container.classList.add('has-dual-captions');
+            this.setDualCaptionVariables(this.dualVariables);
+        }
+
+        // Only touch the DOM when the text changes (this runs every frame)
+        ['primary', 'secondary'].forEach(role => {
+            if (this.dualLines[role] === lines[role]) return;
+            this.dualLines[role] = lines[role];
+            overlay.querySelector(`.dual-captions__${role}`).innerHTML = lines[role];
+        });
+    },
+
+    /**
+     * Gives the dual subtitle lines their own caption style (kept for when the overlay is shown again).
+     * @param {{primary: Object|null, secondary: Object|null}} variables - CSS variables per line, null to follow the settings
+     */
+    setDualCaptionVariables(variables) {
+        this.dualVariables = variables;
+        const overlay = document.getElementById('dual-captions');
+        if (!overlay) return;
+        ['primary', 'secondary'].forEach(role => {
+            this.setCaptionVariables(overlay.querySelector(`.dual-captions__${role}`), variables[role]);
+        });
+    },
+
+    /**
+     * Builds the timing panel of a subtitle list item: offset nudges, frame-rate
+     * presets and "this line should appear now" sync points.
+     */
+    _renderSyncPanel(track, index, tracks) {
+        const h = this.handlers;
+        const cueIndex = Math.min(this.syncPanels[track.id], track.cues.length - 1);
+        const cue = track.cues[cueIndex];
+        const { offset, scale } = track.sync;
+        const shownAt = cue ? cue.start * scale + offset : 0;
+
+        const panel = document.createElement('div');
+        panel.className = 'mt-2 pt-2 border-t border-slate-700/50 space-y-2';
+        panel.onclick = (e) => e.stopPropagation();
+
+        panel.innerHTML = `
+            <div class="flex items-center justify-between gap-1">
+                <div class="flex items-center gap-1">
+                    <button data-shift="-1" class="px-1.5 py-0.5 text-[10px] font-mono text-slate-400 bg-slate-900/60 hover:bg-slate-700 rounded" title="1s earlier">-1s</button>
+                    <button data-shift="-0.1" class="px-1.5 py-0.5 text-[10px] font-mono text-slate-400 bg-slate-900/60 hover:bg-slate-700 rounded" title="100ms earlier (G)">-0.1</button>
+                    <span class="px-1 text-[10px] font-mono text-purple-300 min-w-[4.5rem] text-center">${this._formatSync(track.sync)}</span>
+                    <button data-shift="0.1" class="px-1.5 py-0.5 text-[10px] font-mono text-slate-400 bg-slate-900/60 hover:bg-slate-700 rounded" title="100ms later (H)">+0.1</button>
+                    <button data-shift="1" class="px-1.5 py-0.5 text-[10px] font-mono text-slate-400 bg-slate-900/60 hover:bg-slate-700 rounded" title="1s later">+1s</button>
+                </div>
+                <button class="btn-sync-reset p-1 text-slate-500 hover:text-white rounded" title="Reset timing">
+                    <i data-lucide="rotate-ccw" class="w-3 h-3"></i>
+                </button>
+            </div>
+            <select class="sync-fps w-full bg-slate-900/60 border border-slate-700 rounded text-[10px] text-slate-300 p-1">
+                <option value="1">No frame-rate correction</option>
+                <option value="${25 / 23.976}">Subtitle for 25 fps → video 23.976 fps</option>
+                <option value="${23.976 / 25}">Subtitle for 23.976 fps → video 25 fps</option>
+                <option value="${24 / 23.976}">Subtitle for 24 fps → video 23.976 fps</option>
+                <option value="${23.976 / 24}">Subtitle for 23.976 fps → video 24 fps</option>
+            </select>
+            <div class="flex items-center gap-1">
+                <button class="btn-cue-prev p-1 text-slate-500 hover:text-white rounded" title="Previous line"><i data-lucide="chevron-left" class="w-3 h-3"></i></button>
+                <div class="flex-grow overflow-hidden">
+                    <p class="text-[10px] font-mono text-slate-500">#${cueIndex + 1} · ${this._formatTime(shownAt)}</p>
+                    <p class="sync-cue-text text-[11px] text-slate-300 truncate"></p>
+                </div>
+                <button class="btn-cue-next p-1 text-slate-500 hover:text-white rounded" title="Next line"><i data-lucide="chevron-right" class="w-3 h-3"></i></button>
+            </div>
+            <button class="btn-sync-line w-full py-1 text-[10px] font-bold text-purple-300 border border-purple-500/30 hover:bg-purple-500/10 rounded transition-colors" title="Play until this line is spoken, then click. Mark a second, later line to correct drift.">
+                This line should appear now${track.sync.points && track.sync.points.length === 1 ? ' (2nd point)' : ''}
+            </button>
+        `;
+
+        // Cue text is user content: set it as text, not markup
+        panel.querySelector('.sync-cue-text').textContent = cue ? SubtitleParser.toPlainText(cue.text) : '';
+
+        panel.querySelectorAll('[data-shift]').forEach(btn => {
+            btn.onclick = () => h.onSubtitleShift && h.onSubtitleShift(index, parseFloat(btn.dataset.shift));
+        });
+        panel.querySelector('.btn-sync-reset').onclick = () => h.onSubtitleSyncReset && h.onSubtitleSyncReset(index);
+
+        const fps = panel.querySelector('.sync-fps');
+        const match = Array.from(fps.options).find(o => Math.abs(parseFloat(o.value) - scale) < 0.00005);
+        if (match) fps.value = match.value;
+        else fps.insertAdjacentHTML('afterbegin', `<option value="${scale}" selected>Custom drift ×${scale.toFixed(4)}</option>`);
+        fps.onchange = () => h.onSubtitleSyncScale && h.onSubtitleSyncScale(index, parseFloat(fps.value));
+
+        const step = (delta) => {
+            this.syncPanels[track.id] = Math.max(0, Math.min(track.cues.length - 1, cueIndex + delta));
+            this.renderSubtitleList(tracks);
+        };
+        panel.querySelector('.btn-cue-prev').onclick = () => step(-1);
+        panel.querySelector('.btn-cue-next').onclick = () => step(1);
+        panel.querySelector('.btn-sync-line').onclick = () => h.onSubtitleSyncLine && h.onSubtitleSyncLine(index, cueIndex);
+
+        return panel;
+    },
+
+    /**
+     * Renders the play queue with drag & drop reordering
+     * @param {Array} items - Queue items ({ name, size, file })
+     * @param {Object} state - { index, shuffle, repeat }
+     */
+    renderQueue(items, state) {
+        const panel = document.getElementById('queue-panel');
+        const list = document.getElementById('queue-list');
+        const count = document.getElementById('queue-count');
+
+        if (!panel || !list) return;
+
+        panel.classList.toggle('hidden', items.length === 0);
+        if (count) count.innerText = `${items.length} video(s)`;
+
+        // Mode toggles
+        const shuffleBtn = document.getElementById('btn-queue-shuffle');
+        if (shuffleBtn) shuffleBtn.classList.toggle('text-blue-400', state.shuffle);
+
+        const repeatBtn = document.getElementById('btn-queue-repeat');
+        if (repeatBtn) {
+            repeatBtn.classList.toggle('text-blue-400', state.repeat !== 'off');
+            repeatBtn.title = `Repeat: ${state.repeat}`;
+            repeatBtn.innerHTML = `<i data-lucide="${state.repeat === 'one' ? 'repeat-1' : 'repeat'}" class="w-3.5 h-3.5"></i>`;
+        }
+
+        list.innerHTML = '';
+
+        items.forEach((entry, index) => {
+            const isCurrent = index === state.index;
+            const item = document.createElement('div');
+            item.draggable = true;
+            item.className = `queue-item flex items-center justify-between p-2.5 rounded-lg border transition-colors cursor-pointer ${
+                isCurrent
+                    ? 'bg-blue-500/10 border-blue-500/50'
+                    : 'bg-slate-800/60 border-slate-700/50 hover:border-blue-500/50'
+            } ${entry.file ? '' : 'opacity-50'}`;
+            item.title = entry.file ? entry.name : `${entry.name} (add the file again to play it)`;
+
+            item.innerHTML = `
+                <div class="flex items-center gap-2 overflow-hidden">
+                    <i data-lucide="grip-vertical" class="w-3.5 h-3.5 text-slate-600 flex-shrink-0 cursor-grab"></i>
+                    <span class="text-[10px] text-slate-500 font-mono w-4 text-right flex-shrink-0">${index + 1}</span>
+                    <i data-lucide="${isCurrent ? 'volume-2' : 'film'}" class="w-3.5 h-3.5 ${isCurrent ? 'text-blue-400' : 'text-slate-500'} flex-shrink-0"></i>
+                    <span class="text-xs ${isCurrent ? 'text-blue-300 font-bold' : 'text-slate-300'} font-mono truncate select-none"></span>
+                </div>
+                <button class="btn-remove-queue p-1 text-slate-500 hover:text-red-400 hover:bg-red-500/10 rounded transition-colors" title="Remove from Queue">
+                    <i data-lucide="x" class="w-3.5 h-3.5"></i>
+                </button>
+            `;
+            item.querySelector('span.truncate').textContent = entry.name;
+
+            item.onclick = () => this.handlers.onQueuePlay && this.handlers.onQueuePlay(index);
+
+            item.querySelector('.btn-remove-queue').onclick = (e) => {
+                e.stopPropagation();
+                if (this.handlers.onQueueRemove) this.handlers.onQueueRemove(index);
+            };
+
+            // Reordering
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(index));
+                item.classList.add('opacity-40');
+            });
+            item.addEventListener('dragend', () => item.classList.remove('opacity-40'));
+            item.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                item.classList.add('ring-1', 'ring-blue-500');
+            });
+            item.addEventListener('dragleave', () => item.classList.remove('ring-1', 'ring-blue-500'));
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                item.classList.remove('ring-1', 'ring-blue-500');
+                const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+                if (!Number.isNaN(from) && this.handlers.onQueueMove) {
+                    this.handlers.onQueueMove(from, index);
+                }
+            });
+
+            list.appendChild(item);
+        });
+
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * Renders the subtitle editor: one row per cue with its times, editable text
+     * and split / merge / delete actions. Times are as shown (sync applied).
+     * @param {Object|null} state - { label, rtl, cues: [{ start, end, text }], canUndo, canRedo }, or null to hide
+     */
+    renderSubtitleEditor(state) {
+        const panel = document.getElementById('editor-panel');
+        const list = document.getElementById('editor-cues');
+        if (!panel || !list) return;
+
+        panel.classList.toggle('hidden', !state);
+        if (!state) {
+            list.innerHTML = '';
+            return;
+        }
+
+        const title = document.getElementById('editor-title');
+        if (title) title.textContent = state.label;
+        this.setEditorHistory(state.canUndo, state.canRedo);
+
+        const h = this.handlers;
+        const scroll = list.scrollTop;
+        list.innerHTML = '';
+
+        state.cues.forEach((cue, index) => {
+            const row = document.createElement('div');
+            row.className = 'editor-cue flex gap-2 p-2 rounded-lg border bg-slate-800/60 border-slate-700/50 transition-colors';
+            row.innerHTML = `
+                <div class="flex flex-col gap-0.5 flex-shrink-0 text-[10px] font-mono">
+                    <button class="cue-seek text-slate-500 hover:text-white text-left" title="Jump to this line">#${index + 1}</button>
+                    <button class="cue-start text-slate-400 hover:text-purple-300 text-left" title="Set start to playhead">${SubtitleParser.formatTimestamp(cue.start)}</button>
+                    <button class="cue-end text-slate-400 hover:text-purple-300 text-left" title="Set end to playhead">${SubtitleParser.formatTimestamp(cue.end)}</button>
+                </div>
+                <textarea class="cue-text flex-grow min-w-0 bg-slate-900/60 border border-slate-700 focus:border-purple-500 rounded text-xs text-slate-200 p-1.5 resize-none outline-none custom-scrollbar" rows="2" dir="${state.rtl ? 'rtl' : 'auto'}"></textarea>
+                <div class="flex flex-col gap-0.5 flex-shrink-0 text-slate-500">
+                    <button class="cue-split p-1 hover:text-white hover:bg-slate-700 rounded" title="Split at playhead"><i data-lucide="scissors" class="w-3 h-3"></i></button>
+                    <button class="cue-merge p-1 hover:text-white hover:bg-slate-700 rounded disabled:opacity-30" title="Merge with next line" ${index === state.cues.length - 1 ? 'disabled' : ''}><i data-lucide="merge" class="w-3 h-3"></i></button>
+                    <button class="cue-delete p-1 hover:text-red-400 hover:bg-red-500/10 rounded" title="Delete line"><i data-lucide="trash-2" class="w-3 h-3"></i></button>
+                </div>
+            `;
+
+            // Edited as plain text (set as a value, not markup); tags are kept by the editor
+            const text = row.querySelector('.cue-text');
+            text.value = SubtitleParser.toEditableText(cue.text);
+            text.onchange = () => h.onEditorEdit && h.onEditorEdit('text', index, text.value);
+
+            const bind = (selector, action) => {
+                row.querySelector(selector).onclick = () => h.onEditorEdit && h.onEditorEdit(action, index);
+            };
+            bind('.cue-start', 'start');
+            bind('.cue-end', 'end');
+            bind('.cue-split', 'split');
+            bind('.cue-merge', 'merge');
+            bind('.cue-delete', 'delete');
+            row.querySelector('.cue-seek').onclick = () => h.onEditorSeek && h.onEditorSeek(index);
+
+            list.appendChild(row);
+        });
+
+        list.scrollTop = scroll;
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * Enables or disables the editor's undo / redo buttons
+     */
+    setEditorHistory(canUndo, canRedo) {
+        const undo = document.getElementById('btn-editor-undo');
+        const redo = document.getElementById('btn-editor-redo');
+        if (undo) undo.disabled = !canUndo;
+        if (redo) redo.disabled = !canRedo;
+    },
+
+    /**
+     * Marks the editor row of the line currently on screen and keeps it in view
+     * @param {number} index - Cue index, or -1 for none
+     */
+    highlightEditorCue(index) {
+        const list = document.getElementById('editor-cues');
+        if (!list) return;
+
+        const previous = list.querySelector('.editor-cue.is-current');
+        const row = list.children[index] || null;
+        if (previous === row) return;
+
+        if (previous) previous.classList.remove('is-current', 'border-purple-500/60', 'bg-purple-500/10');
+        if (!row) return;
+        row.classList.add('is-current', 'border-purple-500/60', 'bg-purple-500/10');
+
+        // Scroll the list only, and not while the user is typing in it
+        if (!list.contains(document.activeElement)) this._scrollInto(list, row);
+    },
+
+    /**
+     * Renders the transcript: one clickable line per cue, search hits marked.
+     * @param {Object|null} state - { label, rtl, query, lines: [{ time, text }] }, or null to hide
+     */
+    renderTranscript(state) {
+        const panel = document.getElementById('transcript-panel');
+        const list = document.getElementById('transcript-list');
+        if (!panel || !list) return;
+
+        panel.classList.toggle('hidden', !state);
+        list.innerHTML = '';
+        if (!state) return;
+
+        const title = document.getElementById('transcript-title');
+        if (title) title.textContent = state.label;
+
+        const pattern = state.query ? new RegExp(state.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi') : null;
+        const fragment = document.createDocumentFragment();
+
+        state.lines.forEach((line, index) => {
+            const row = document.createElement('button');
+            row.className = 'transcript-line w-full flex gap-2 px-2 py-1.5 rounded-lg text-left hover:bg-slate-800/70 transition-colors';
+            row.innerHTML = `
+                <span class="text-[10px] text-slate-600 font-mono pt-0.5 flex-shrink-0">${this._formatTime(line.time)}</span>
+                <span class="transcript-text text-xs text-slate-400 leading-relaxed" dir="${state.rtl ? 'rtl' : 'auto'}"></span>
+            `;
+
+            // Cue text is user content: build it from text nodes, wrapping search hits in <mark>
+            const text = row.querySelector('.transcript-text');
+            let last = 0;
+            if (pattern) {
+                line.text.replace(pattern, (hit, offset) => {
+                    text.append(line.text.slice(last, offset));
+                    const mark = document.createElement('mark');
+                    mark.className = 'bg-amber-400/30 text-amber-200 rounded-sm';
+                    mark.textContent = hit;
+                    text.append(mark);
+                    last = offset + hit.length;
+                    return hit;
+                });
+            }
+            text.append(line.text.slice(last));
+
+            row.onclick = () => this.handlers.onTranscriptSeek && this.handlers.onTranscriptSeek(index);
+            fragment.appendChild(row);
+        });
+
+        list.appendChild(fragment);
+    },
+
+    /**
+     * Updates the match counter and marks the lines that contain the search query.
+     * @param {number[]} matches - Line indexes
+     * @param {number} current - Position of the selected match in `matches`
+     * @param {boolean} scroll - Bring the selected match into view
+     */
+    setTranscriptMatches(matches, current, scroll) {
+        const list = document.getElementById('transcript-list');
+        const count = document.getElementById('transcript-count');
+        const search = document.getElementById('transcript-search');
+        if (!list) return;
+
+        if (count) count.innerText = search && search.value.trim() ? `${matches.length ? current + 1 : 0}/${matches.length}` : '';
+
+        list.querySelectorAll('.transcript-line.is-match').forEach(row => {
+            row.classList.remove('is-match', 'ring-1', 'ring-amber-400/60');
+        });
+        const row = list.children[matches[current]];
+        if (!row) return;
+
+        row.classList.add('is-match', 'ring-1', 'ring-amber-400/60');
+        if (scroll) this._scrollInto(list, row);
+    },
+
+    /**
+     * Marks the line being spoken and keeps it in view (unless the user is browsing the list)
+     * @param {number} index - Line index, or -1 for none
+     */
+    highlightTranscriptLine(index) {
+        const list = document.getElementById('transcript-list');
+        if (!list) return;
+
+        const previous = list.querySelector('.transcript-line.is-current');
+        const row = list.children[index] || null;
+        if (previous === row) return;
+
+        if (previous) previous.classList.remove('is-current', 'bg-blue-500/10');
+        if (previous) previous.querySelector('.transcript-text').classList.replace('text-slate-100', 'text-slate-400');
+        if (!row) return;
+
+        row.classList.add('is-current', 'bg-blue-500/10');
+        row.querySelector('.transcript-text').classList.replace('text-slate-400', 'text-slate-100');
+        if (!list.matches(':hover')) this._scrollInto(list, row);
+    },
+
+    /**
+     * Renders the bookmarks of the current video: time (click to seek), editable label and note.
+     * @param {Array|null} bookmarks - [{ id, time, label, note }], or null to hide the panel
      */
-    renderHistory(history) {
+    renderBookmarks(bookmarks) {
+        const panel = document.getElementById('bookmarks-panel');
+        const list = document.getElementById('bookmarks-list');
+        if (!panel || !list) return;
+
+        panel.classList.toggle('hidden', !bookmarks);
+        list.innerHTML = '';
+        if (!bookmarks) return;
+
+        const count = document.getElementById('bookmarks-count');
+        if (count) count.innerText = bookmarks.length > 0 ? bookmarks.length : '';
+
+        if (bookmarks.length === 0) {
+            list.innerHTML = `<p class="text-xs text-slate-600 text-center py-4">Press B or <i data-lucide="bookmark-plus" class="w-3 h-3 inline"></i> to mark the current time</p>`;
+            if (window.lucide) window.lucide.createIcons();
+            return;
+        }
+
+        const h = this.handlers;
+        bookmarks.forEach(bookmark => {
+            const row = document.createElement('div');
+            row.className = 'bookmark-item flex gap-2 p-2 rounded-lg bg-slate-800/60 border border-slate-700/50';
+            row.dataset.id = bookmark.id;
+            row.innerHTML = `
+                <button class="bookmark-seek text-[10px] font-mono text-amber-400 hover:text-amber-300 pt-1 flex-shrink-0" title="Jump to bookmark">${this._formatTime(bookmark.time)}</button>
+                <div class="flex flex-col gap-1 flex-grow min-w-0">
+                    <input type="text" class="bookmark-label bg-transparent border-b border-transparent focus:border-amber-500 text-xs text-slate-200 outline-none" placeholder="Label" dir="auto" />
+                    <textarea class="bookmark-note bg-transparent border-b border-transparent focus:border-amber-500 text-[11px] text-slate-400 outline-none resize-none custom-scrollbar" rows="1" placeholder="Note" dir="auto"></textarea>
+                </div>
+                <button class="bookmark-delete p-1 self-start text-slate-500 hover:text-red-400 hover:bg-red-500/10 rounded transition-colors" title="Delete bookmark">
+                    <i data-lucide="trash-2" class="w-3 h-3"></i>
+                </button>
+            `;
+
+            // Labels and notes are user content: set them as values, not markup
+            const label = row.querySelector('.bookmark-label');
+            const note = row.querySelector('.bookmark-note');
+            label.value = bookmark.label;
+            note.value = bookmark.note;
+            label.onchange = () => h.onBookmarkUpdate && h.onBookmarkUpdate(bookmark.id, { label: label.value });
+            note.onchange = () => h.onBookmarkUpdate && h.onBookmarkUpdate(bookmark.id, { note: note.value });
+            label.onkeydown = (e) => { if (e.key === 'Enter') label.blur(); };
+
+            row.querySelector('.bookmark-seek').onclick = () => h.onBookmarkSeek && h.onBookmarkSeek(bookmark.id);
+            row.querySelector('.bookmark-delete').onclick = () => h.onBookmarkRemove && h.onBookmarkRemove(bookmark.id);
+            list.appendChild(row);
+        });
+
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * Puts the cursor in a bookmark's label so it can be named right away
+     * @param {string} id
+     */
+    focusBookmark(id) {
+        const list = document.getElementById('bookmarks-list');
+        const row = list && list.querySelector(`.bookmark-item[data-id="${id}"]`);
+        if (!row) return;
+
+        this._scrollInto(list, row);
+        const label = row.querySelector('.bookmark-label');
+        label.focus({ preventScroll: true });
+        label.select();
+    },
+
+    /**
+     * Draws bookmark markers over the player's progress bar
+     * @param {HTMLElement} progress - Plyr's progress container
+     * @param {Array} bookmarks - [{ id, time, label }]
+     * @param {number} duration - Seconds; no markers until it is known
+     */
+    setBookmarkMarkers(progress, bookmarks, duration) {
+        if (!progress) return;
+
+        let layer = progress.querySelector('.bookmark-markers');
+        if (!layer) {
+            layer = document.createElement('div');
+            layer.className = 'bookmark-markers';
+            progress.appendChild(layer);
+        }
+        layer.innerHTML = '';
+        if (!duration) return;
+
+        bookmarks.forEach(bookmark => {
+            const marker = document.createElement('span');
+            marker.className = 'bookmark-marker';
+            marker.style.left = `${Math.min(100, (bookmark.time / duration) * 100)}%`;
+            marker.title = `${this._formatTime(bookmark.time)} ${bookmark.label}`;
+            marker.onclick = (e) => {
+                e.stopPropagation();
+                if (this.handlers.onBookmarkSeek) this.handlers.onBookmarkSeek(bookmark.id);
+            };
+            layer.appendChild(marker);
+        });
+    },
+
+    /**
+     * Shows a thumbnail above the progress bar while hovering or scrubbing it.
+     * @param {HTMLElement} progress - Plyr's progress container
+     */
+    bindSeekPreview(progress) {
+        if (!progress || progress.querySelector('.seek-preview')) return;
+
+        const preview = document.createElement('div');
+        preview.className = 'seek-preview';
+        const img = document.createElement('img');
+        img.alt = '';
+        preview.appendChild(img);
+        progress.appendChild(preview);
+
+        const hide = () => preview.classList.remove('is-visible');
+        const show = (e) => {
+            const rect = progress.getBoundingClientRect();
+            const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+            const url = this.handlers.onSeekPreview ? this.handlers.onSeekPreview(ratio) : null;
+            if (!url) {
+                hide();
+                return;
+            }
+            if (img.getAttribute('src') !== url) img.src = url;
+
+            // Keep the preview within the bar at both ends
+            const half = preview.offsetWidth / 2;
+            preview.style.left = `${Math.min(rect.width - half, Math.max(half, ratio * rect.width))}px`;
+            preview.classList.add('is-visible');
+        };
+
+        progress.addEventListener('pointermove', show);
+        progress.addEventListener('pointerdown', show);
+        progress.addEventListener('pointerleave', hide);
+        progress.addEventListener('pointercancel', hide);
+        progress.addEventListener('pointerup', (e) => {
+            if (e.pointerType !== 'mouse') hide();
+        });
+    },
+
+    /**
+     * Shows the A–B loop state and the frame rate used for stepping.
+     * @param {Object|null} state - { a, b, repeat, passes, fps, fpsMeasured }, or null to hide
+     */
+    renderLoop(state) {
+        const controls = document.getElementById('loop-controls');
+        if (!controls) return;
+
+        controls.classList.toggle('hidden', !state);
+        if (!state) return;
+
+        const { a, b, repeat, passes } = state;
+        const status = document.getElementById('loop-status');
+        if (status) {
+            if (a === null) status.innerText = 'No loop';
+            else if (b === null) status.innerText = `A ${this._formatPrecise(a)} – B ?`;
+            else status.innerText = `${this._formatPrecise(a)} – ${this._formatPrecise(b)}${repeat > 0 ? ` · ${passes + 1}/${repeat}` : ''}`;
+            status.className = a !== null ? 'text-sky-400' : '';
+        }
+
+        const setActive = (id, on) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.classList.toggle('text-sky-400', on);
+        };
+        setActive('btn-loop-a', a !== null);
+        setActive('btn-loop-b', b !== null);
+
+        const clear = document.getElementById('btn-loop-clear');
+        if (clear) clear.disabled = a === null;
+
+        const select = document.getElementById('loop-repeat');
+        if (select) select.value = String(repeat);
+
+        const fps = document.getElementById('frame-rate');
+        if (fps) {
+            fps.innerText = `${Number(state.fps.toFixed(3))} fps${state.fpsMeasured ? '' : ' (est.)'}`;
+            fps.title = state.fpsMeasured ? 'Measured from the video' : 'Assumed until a few frames have played';
+        }
+    },
+
+    /**
+     * Draws the loop range over the player's progress bar (just a start line while B is unset)
+     * @param {HTMLElement} progress - Plyr's progress container
+     * @param {number|null} a
+     * @param {number|null} b
+     * @param {number} duration
+     */
+    setLoopRange(progress, a, b, duration) {
+        if (!progress) return;
+
+        let range = progress.querySelector('.loop-range');
+        if (a === null || !duration) {
+            if (range) range.remove();
+            return;
+        }
+        if (!range) {
+            range = document.createElement('div');
+            range.className = 'loop-range';
+            progress.appendChild(range);
+        }
+
+        const start = Math.min(100, (a / duration) * 100);
+        const end = b === null ? start : Math.min(100, (b / duration) * 100);
+        range.classList.toggle('is-open', b === null);
+        range.style.left = `${start}%`;
+        range.style.width = `${end - start}%`;
+    },
+
+    /**
+     * Shows the snapshot / clip controls and the progress of a clip being recorded.
+     * @param {{canRecord: boolean, progress: number|null}|null} state - Null to hide
+     */
+    renderCapture(state) {
+        const controls = document.getElementById('capture-controls');
+        if (!controls) return;
+
+        controls.classList.toggle('hidden', !state);
+        if (!state) return;
+
+        const recording = state.progress !== null;
+        const button = document.getElementById('btn-clip');
+        if (button) {
+            button.disabled = !state.canRecord;
+            button.title = state.canRecord ? 'Record the A–B loop as a WebM clip' : 'Clip recording is not supported in this browser';
+            button.classList.toggle('text-red-400', recording);
+        }
+
+        const label = document.getElementById('clip-label');
+        if (label) label.innerText = recording ? 'Stop' : 'Clip A–B';
+
+        const status = document.getElementById('clip-status');
+        if (status) status.innerText = recording ? `REC ${Math.round(state.progress * 100)}%` : '';
+    },
+
+    /**
+     * Describes a backup that was read and asks whether to merge or replace.
+     * @param {{exportedAt: string|null, history: number, files: number, skipped: number}} summary
+     */
+    showRestorePrompt({ exportedAt, history, files, skipped }) {
+        const text = document.getElementById('restore-summary');
+        if (text) {
+            const date = exportedAt ? ` from ${new Date(exportedAt).toLocaleString()}` : '';
+            const plural = (n, word) => `${n} ${word}${n !== 1 ? 's' : ''}`;
+            text.innerText = `Backup${date}: ${plural(history, 'video')} in history and saved data for ${plural(files, 'file')}.`
+                + (skipped > 0 ? ` ${skipped} damaged ${skipped !== 1 ? 'entries' : 'entry'} will be skipped.` : '');
+        }
+        this.toggleModal('restore-modal', true);
+    },
+
+    /**
+     * Offers text content as a file download
+     * @param {string} fileName
+     * @param {string} content
+     * @param {string} type - MIME type
+     */
+    downloadFile(fileName, content, type) {
+        this.downloadBlob(fileName, new Blob([content], { type: `${type};charset=utf-8` }));
+    },
+
+    /**
+     * Offers binary content (images, video) as a file download
+     * @param {string} fileName
+     * @param {Blob} blob
+     */
+    downloadBlob(fileName, blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Shows the Watch Together session (or the form to start one) and the header badge.
+     * @param {Object|null} session - { code, role, kind, status, peers, leaderMedia, mismatch }, or null when not in one
+     * @param {{name: string, server: string}} defaults - Prefilled into empty form fields
+     */
+    renderWatchTogether(session, defaults) {
+        const setup = document.getElementById('together-setup');
+        const view = document.getElementById('together-session');
+        const badge = document.getElementById('together-badge');
+        if (!setup || !view) return;
+
+        setup.classList.toggle('hidden', !!session);
+        view.classList.toggle('hidden', !session);
+        if (badge) badge.classList.toggle('hidden', !session);
+
+        if (!session) {
+            [['together-name', defaults.name], ['together-server', defaults.server]].forEach(([id, value]) => {
+                const input = document.getElementById(id);
+                if (input && !input.value) input.value = value || '';
+            });
+            return;
+        }
+
+        const leader = session.role === 'leader';
+        const statuses = {
+            connecting: ['Connecting…', 'text-amber-400'],
+            reconnecting: ['Reconnecting…', 'text-amber-400'],
+            failed: ['Could not connect', 'text-red-400'],
+            open: [session.kind === 'lan' ? 'Connected' : 'Tabs linked', 'text-emerald-400']
+        };
+        const [statusText, statusColor] = statuses[session.status] || statuses.connecting;
+        const status = document.getElementById('together-status');
+        status.textContent = statusText;
+        status.className = `text-[10px] font-mono px-2 py-1 rounded bg-slate-800 ${statusColor}`;
+
+        const error = document.getElementById('together-error');
+        error.classList.toggle('hidden', !session.error);
+        error.textContent = session.error || '';
+
+        document.getElementById('together-session-code').textContent = session.code;
+        const hasLeader = session.peers.some(p => p.role === 'leader');
+        document.getElementById('together-role').textContent = leader
+            ? 'You are leading: everyone follows your playback.'
+            : (hasLeader ? 'You are following the leader.' : 'Waiting for a leader…');
+
+        const mismatch = document.getElementById('together-mismatch');
+        mismatch.classList.toggle('hidden', !session.mismatch);
+        if (session.mismatch) {
+            mismatch.textContent = session.leaderMedia
+                ? `The leader is watching "${session.leaderMedia}". Open the same file to follow along.`
+                : 'The leader has no video open.';
+        }
+
+        const list = document.getElementById('together-peers');
+        list.innerHTML = session.peers.map(peer => `
+            <div class="flex items-center justify-between gap-2 p-2 bg-slate-800/60 rounded-lg">
+                <div class="flex items-center gap-2 min-w-0">
+                    <i data-lucide="${peer.role === 'leader' ? 'crown' : 'user'}" class="w-3.5 h-3.5 flex-shrink-0 ${peer.role === 'leader' ? 'text-amber-400' : 'text-slate-500'}"></i>
+                    <span class="text-xs text-slate-200 truncate">${this._escape(peer.name)}${peer.self ? ' <span class="text-slate-500">(you)</span>' : ''}</span>
+                </div>
+                <span class="text-[10px] flex-shrink-0 max-w-[45%] truncate ${peer.self || peer.sameMedia ? 'text-slate-500' : 'text-amber-400'}" title="${this._escape(peer.media ? peer.media.name : '')}">
+                    ${!peer.media ? 'No video' : peer.self ? this._escape(peer.media.name) : (peer.sameMedia ? 'Same video' : 'Other video')}
+                </span>
+            </div>
+        `).join('');
+
+        document.getElementById('btn-together-lead').classList.toggle('hidden', leader);
+        if (window.lucide) window.lucide.createIcons();
+    },
+
+    /**
+     * Replaces the caption CSS variables set on an element.
+     * @param {HTMLElement|null} el
+     * @param {Object|null} variables - CSS custom property -> value; null only clears them
+     */
+    setCaptionVariables(el, variables) {
+        if (!el) return;
+        [...el.style].filter(name => name.startsWith('--caption-')).forEach(name => el.style.removeProperty(name));
+        Object.entries(variables || {}).forEach(([name, value]) => el.style.setProperty(name, value));
+    },
+
+    /**
+     * Fills the preset picker in the settings (keeping the selection) and
+     * remembers the presets for the subtitle list.
+     * @param {Array<{name: string, builtIn: boolean}>} presets
+     */
+    renderCaptionPresets(presets) {
+        this.captionPresets = presets;
+        const select = document.getElementById('caption-preset-select');
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = '';
+        [['Built-in', presets.filter(p => p.builtIn)], ['Saved', presets.filter(p => !p.builtIn)]].forEach(([label, list]) => {
+            if (list.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            list.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.name;
+                option.textContent = preset.name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        });
+        if (presets.some(p => p.name === selected)) select.value = selected;
+
+        const current = presets.find(p => p.name === select.value);
+        const deleteBtn = document.getElementById('btn-preset-delete');
+        if (deleteBtn) deleteBtn.disabled = !current || current.builtIn;
+    },
+
+    /**
+     * Injects the style sheet generated from subtitle tracks (ASS styles, VTT STYLE blocks)
+     * @param {string} css
+     */
+    setCaptionStyles(css) {
+        let el = document.getElementById('track-styles');
+        if (!el) {
+            el = document.createElement('style');
+            el.id = 'track-styles';
+            document.head.appendChild(el);
+        }
+        el.textContent = css;
+    },
+
+    /**
+     * Renders the Watch History library (click an entry to re-open the video)
+     * @param {Array<{series: string|null, collapsed: boolean, items: Array}>} groups - Entries with their `progress` (0–1 or null)
+     * @param {{total: number, shown: number, view: Object}} info - Entry counts and the current search / sort / filter / grouping
+     */
+    renderHistory(groups, { total, shown, view }) {
         const list = document.getElementById('history-list');
         const badge = document.getElementById('history-badge');
         
@@ -166,45 +1408,111 @@ export const UIManager = {
 
         // Badge Logic
         if (badge) {
-            if (history.length > 0) badge.classList.remove('hidden');
+            if (total > 0) badge.classList.remove('hidden');
             else badge.classList.add('hidden');
         }
 
-        if (history.length === 0) {
+        const count = document.getElementById('history-count');
+        if (count) count.innerText = total === 0 ? '' : shown === total ? String(total) : `${shown}/${total}`;
+        const groupBtn = document.getElementById('btn-history-group');
+        if (groupBtn) groupBtn.classList.toggle('text-blue-400', view.grouped);
+        ['sort', 'filter'].forEach(option => {
+            const select = document.getElementById(`history-${option}`);
+            if (select) select.value = view[option];
+        });
+
+        if (shown === 0) {
             list.innerHTML = `
                 <div class="flex flex-col items-center justify-center h-32 text-slate-600 gap-2">
-                    <i data-lucide="clock" class="w-8 h-8 opacity-20"></i>
-                    <p class="text-xs">No history yet</p>
+                    <i data-lucide="${total === 0 ? 'clock' : 'search-x'}" class="w-8 h-8 opacity-20"></i>
+                    <p class="text-xs">${total === 0 ? 'No history yet' : 'No matching videos'}</p>
                 </div>`;
             if (window.lucide) window.lucide.createIcons();
             return;
         }
 
-        list.innerHTML = history.map(h => {
-            const minutes = Math.floor(h.time / 60);
-            const seconds = Math.floor(h.time % 60);
-            const timeStr = `${minutes}:${String(seconds).padStart(2, '0')}`;
-            const dateStr = new Date(h.lastPlayed).toLocaleDateString();
-            
+        const items = [];
+        const renderItem = (h) => {
+            items.push(h);
+            const name = this._escape(h.name);
+            const label = `<span>${this._historyLabel(h)}</span>`;
+            let status;
+            if (h.state === 'finished') status = `<i data-lucide="check-circle" class="w-3 h-3 text-emerald-500"></i>${label}`;
+            else if (h.state === 'new') status = `<i data-lucide="circle" class="w-3 h-3 text-slate-500"></i>${label}`;
+            else status = `<i data-lucide="play-circle" class="w-3 h-3 text-blue-500"></i>${label}`;
+
+            const details = [new Date(h.lastPlayed).toLocaleDateString(), h.size ? this._formatSize(h.size) : ''].filter(Boolean).join(' · ');
+            const bar = h.progress === null ? '' : `
+                <div class="mt-2 h-1 bg-slate-700/50 rounded-full overflow-hidden">
+                    <div class="history-progress h-full ${h.finished ? 'bg-emerald-500' : 'bg-blue-500'}" style="width: ${(h.progress * 100).toFixed(1)}%"></div>
+                </div>`;
+
             return `
-            <div class="p-3 bg-slate-800/30 hover:bg-slate-800/60 rounded-xl border border-slate-700/30 hover:border-slate-600 transition-all group select-none">
-                <div class="flex justify-between items-start mb-1">
-                    <h4 class="text-xs font-bold text-slate-300 group-hover:text-white truncate w-full" title="${h.name}">${h.name}</h4>
+            <div data-key="${this._escape(h.key)}" class="history-item p-3 bg-slate-800/30 hover:bg-slate-800/60 rounded-xl border border-slate-700/30 hover:border-slate-600 transition-all group select-none cursor-pointer" title="Resume ${name}">
+                <div class="flex justify-between items-start gap-2 mb-1">
+                    <h4 class="text-xs font-bold text-slate-300 group-hover:text-white truncate flex-grow" title="${name}">${name}</h4>
+                    <button class="history-remove opacity-0 group-hover:opacity-100 focus:opacity-100 p-0.5 -m-0.5 text-slate-500 hover:text-red-400 rounded transition-all" title="Remove from history">
+                        <i data-lucide="x" class="w-3 h-3"></i>
+                    </button>
                 </div>
-                <div class="flex justify-between items-center">
-                    <div class="flex items-center gap-1.5 bg-slate-900/50 px-1.5 py-0.5 rounded text-[10px] text-slate-400 font-mono">
-                        <i data-lucide="play-circle" class="w-3 h-3 text-blue-500"></i>
-                        <span>Stopped at ${timeStr}</span>
+                <div class="flex justify-between items-center gap-2">
+                    <div class="history-status flex items-center gap-1.5 bg-slate-900/50 px-1.5 py-0.5 rounded text-[10px] text-slate-400 font-mono">
+                        ${status}
                     </div>
-                    <span class="text-[10px] text-slate-600">${dateStr}</span>
-                </div>
+                    <span class="text-[10px] text-slate-600 whitespace-nowrap">${details}</span>
+                </div>${bar}
+            </div>
+            `;
+        };
+
+        list.innerHTML = groups.map(group => {
+            if (group.series === null) return renderItem(group.items[0]);
+
+            const watched = group.items.filter(h => h.finished).length;
+            return `
+            <div class="history-group">
+                <button class="history-series w-full flex items-center justify-between gap-2 px-1 py-1 text-[10px] font-bold text-slate-400 hover:text-white uppercase tracking-wider transition-colors" data-series="${this._escape(group.series)}">
+                    <span class="flex items-center gap-1.5 min-w-0">
+                        <i data-lucide="${group.collapsed ? 'chevron-right' : 'chevron-down'}" class="w-3 h-3 flex-shrink-0"></i>
+                        <span class="truncate">${this._escape(group.series)}</span>
+                    </span>
+                    <span class="font-mono font-normal normal-case tracking-normal text-slate-600 whitespace-nowrap">${watched}/${group.items.length} watched</span>
+                </button>
+                ${group.collapsed ? '' : `<div class="space-y-2 mt-1 pl-2 border-l border-slate-800">${group.items.map(renderItem).join('')}</div>`}
             </div>
             `;
         }).join('');
 
+        list.querySelectorAll('.history-item').forEach((el, index) => {
+            el.onclick = () => this.handlers.onHistoryOpen && this.handlers.onHistoryOpen(items[index]);
+            el.querySelector('.history-remove').onclick = (e) => {
+                e.stopPropagation();
+                if (this.handlers.onHistoryRemove) this.handlers.onHistoryRemove(items[index].key);
+            };
+        });
+        list.querySelectorAll('.history-series').forEach(el => {
+            el.onclick = () => this.handlers.onHistorySeriesToggle && this.handlers.onHistorySeriesToggle(el.dataset.series);
+        });
+
         if (window.lucide) window.lucide.createIcons();
     },
 
+    /**
+     * Updates the position shown for one history entry without rebuilding the list
+     * (its state must be unchanged; entries not in the list are ignored).
+     * @param {Object} h - History entry with its state and progress
+     */
+    updateHistoryItem(h) {
+        const list = document.getElementById('history-list');
+        const el = list && [...list.querySelectorAll('.history-item')].find(node => node.dataset.key === h.key);
+        if (!el) return;
+
+        const label = el.querySelector('.history-status span');
+        if (label) label.textContent = this._historyLabel(h);
+        const bar = el.querySelector('.history-progress');
+        if (bar && h.progress !== null) bar.style.width = `${(h.progress * 100).toFixed(1)}%`;
+    },
+
     /**
      * Updates "Now Playing" UI
      */
@@ -253,6 +1561,38 @@ export const UIManager = {
         const opacityLabel = document.getElementById('opacity-val');
         if (opacityLabel) opacityLabel.innerText = `${settings.bgOpacity}%`;
 
+        setVal('input-edge-style', settings.edgeStyle);
+        const boldInput = document.getElementById('input-caption-bold');
+        if (boldInput) boldInput.checked = !!settings.bold;
+        setVal('input-line-height', settings.lineHeight);
+        const lineHeightLabel = document.getElementById('line-height-val');
+        if (lineHeightLabel) lineHeightLabel.innerText = Number(settings.lineHeight).toFixed(1);
+        setVal('input-caption-position', settings.captionPosition);
+        const positionLabel = document.getElementById('caption-position-val');
+        if (positionLabel) positionLabel.innerText = `${settings.captionPosition}%`;
+        setVal('input-caption-width', settings.captionWidth);
+        const widthLabel = document.getElementById('caption-width-val');
+        if (widthLabel) widthLabel.innerText = `${settings.captionWidth}%`;
+
+        setVal('input-secondary-size', settings.secondarySize);
+        setVal('input-secondary-color', settings.secondaryColor);
+        const secondaryLabel = document.getElementById('secondary-size-val');
+        if (secondaryLabel) secondaryLabel.innerText = `${settings.secondarySize}px`;
+
+        setVal('input-finish-tail', settings.finishTail);
+        const tailLabel = document.getElementById('finish-tail-val');
+        if (tailLabel) tailLabel.innerText = `${settings.finishTail}s`;
+
+        setVal('input-history-size', settings.historySize);
+        const historySizeLabel = document.getElementById('history-size-val');
+        if (historySizeLabel) historySizeLabel.innerText = settings.historySize;
+
+        setVal('snapshot-format', settings.snapshotFormat);
+        const captureSubtitles = document.getElementById('capture-subtitles');
+        if (captureSubtitles) captureSubtitles.checked = !!settings.captureSubtitles;
+
+        this.renderShortcutSettings();
+
         // Update Font Buttons
         const fontBtns = document.querySelectorAll('.font-btn');
         fontBtns.forEach(btn => {
@@ -264,6 +1604,76 @@ export const UIManager = {
         });
     },
 
+    /**
+     * Lists the shortcuts in the settings modal, each binding clickable to remap it.
+     * @param {{action: string, message: string}|null} [error] - Conflict to show under a row
+     */
+    renderShortcutSettings(error = null) {
+        const list = document.getElementById('shortcut-list');
+        if (!list) return;
+        list.innerHTML = '';
+
+        Shortcuts.groups().forEach(({ group, items }) => {
+            const section = document.createElement('div');
+            section.innerHTML = `<h4 class="text-[10px] font-bold text-slate-500 uppercase tracking-widest mb-1">${group}</h4>`;
+
+            items.forEach(item => {
+                const recording = this.recordingShortcut === item.action;
+                const row = document.createElement('div');
+                row.className = 'flex items-center justify-between gap-2 py-0.5';
+                row.innerHTML = `
+                    <span class="text-xs text-slate-400 truncate">${item.label}</span>
+                    <button class="shortcut-key min-w-[3.5rem] px-2 py-0.5 rounded border text-[11px] font-mono transition-colors ${recording ? 'border-blue-500 text-blue-400 bg-blue-500/10 animate-pulse' : 'border-slate-700 text-slate-300 bg-slate-800 hover:border-slate-500'}">${recording ? 'Press keys…' : this._escape(Shortcuts.format(item.combo))}</button>
+                `;
+                row.querySelector('.shortcut-key').onclick = () => {
+                    this.recordingShortcut = recording ? null : item.action;
+                    this.renderShortcutSettings();
+                };
+                section.appendChild(row);
+
+                if (error && error.action === item.action) {
+                    const message = document.createElement('p');
+                    message.className = 'text-[10px] text-red-400 text-right';
+                    message.textContent = error.message;
+                    section.appendChild(message);
+                }
+            });
+
+            list.appendChild(section);
+        });
+    },
+
+    /**
+     * Opens or closes the "?" cheat sheet, listing the current bindings.
+     */
+    toggleShortcutSheet() {
+        if (this.isModalOpen('shortcuts-modal')) {
+            this.toggleModal('shortcuts-modal', false);
+            return;
+        }
+
+        const sheet = document.getElementById('shortcuts-sheet');
+        if (sheet) {
+            sheet.innerHTML = Shortcuts.groups().map(({ group, items }) => `
+                <div>
+                    <h4 class="text-[10px] font-bold text-slate-500 uppercase tracking-widest mb-2">${group}</h4>
+                    ${items.filter(item => item.combo).map(item => `
+                        <div class="flex items-center justify-between gap-3 py-1 border-b border-slate-800/60">
+                            <span class="text-xs text-slate-300">${item.label}</span>
+                            <kbd class="px-2 py-0.5 rounded border border-slate-700 bg-slate-800 text-[11px] font-mono text-slate-200">${this._escape(Shortcuts.format(item.combo))}</kbd>
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('');
+        }
+        this.toggleModal('shortcuts-modal', true);
+    },
+
+    isModalOpen(modalId) {
+        const modal = document.getElementById(modalId);
+        return !!modal && !modal.classList.contains('hidden') && !modal.classList.contains('opacity-0');
+    },
+
     /**
      * Modal Control
      */
@@ -293,23 +1703,58 @@ export const UIManager = {
 
     /**
      * Toast Notification
+     * @param {string} message - Text to display
+     * @param {Object} [options]
+     * @param {{label: string, onClick: Function}} [options.action] - Optional action button (keeps the toast open until used or dismissed)
+     * @param {number} [options.duration=3000] - Display time in ms (ignored when an action is given)
      */
-    showToast(message) {
+    showToast(message, options = {}) {
         const wrapper = document.getElementById('player-wrapper');
         if (!wrapper) return;
 
+        const { action, duration = 3000 } = options;
+
         const toast = document.createElement('div');
         toast.className = 'absolute top-6 left-1/2 transform -translate-x-1/2 bg-slate-900/90 backdrop-blur text-white px-4 py-2 rounded-full text-xs font-bold shadow-xl z-50 animate-bounce pointer-events-none border border-white/10 flex items-center gap-2';
-        toast.innerHTML = `<i data-lucide="info" class="w-3 h-3 text-blue-500"></i> ${message}`;
-        
-        wrapper.appendChild(toast);
-        if (window.lucide) window.lucide.createIcons();
+        // Messages carry file names and labels: plain text only
+        toast.innerHTML = '<i data-lucide="info" class="w-3 h-3 text-blue-500"></i>';
+        toast.append(message);
 
-        setTimeout(() => {
+        const dismiss = () => {
             toast.style.transition = 'opacity 0.5s';
             toast.style.opacity = '0';
             setTimeout(() => toast.remove(), 500);
-        }, 3000);
+        };
+
+        if (action) {
+            // Interactive toasts must receive clicks and should not keep bouncing
+            toast.classList.remove('animate-bounce', 'pointer-events-none');
+
+            const btn = document.createElement('button');
+            btn.className = 'ml-2 px-2 py-0.5 rounded-full bg-blue-600 hover:bg-blue-500 text-white transition-colors';
+            btn.innerText = action.label;
+            btn.onclick = (e) => {
+                e.stopPropagation();
+                dismiss();
+                action.onClick();
+            };
+
+            const closeBtn = document.createElement('button');
+            closeBtn.className = 'text-slate-400 hover:text-white';
+            closeBtn.title = 'Dismiss';
+            closeBtn.innerHTML = '<i data-lucide="x" class="w-3 h-3"></i>';
+            closeBtn.onclick = (e) => {
+                e.stopPropagation();
+                dismiss();
+            };
+
+            toast.append(btn, closeBtn);
+        }
+
+        wrapper.appendChild(toast);
+        if (window.lucide) window.lucide.createIcons();
+
+        if (!action) setTimeout(dismiss, duration);
     },
 
     highlightElement(element) {
@@ -320,6 +1765,76 @@ export const UIManager = {
 
     // --- Internal Helpers ---
 
+    _formatSync({ offset, scale }) {
+        let text = `${offset >= 0 ? '+' : '-'}${Math.abs(offset).toFixed(1)}s`;
+        if (Math.abs(scale - 1) > 0.00005) text += ` ×${scale.toFixed(3)}`;
+        return text;
+    },
+
+    /**
+     * Scrolls a list (not the page) so that the row sits in its upper third
+     */
+    _scrollInto(list, row) {
+        list.scrollTop += row.getBoundingClientRect().top - list.getBoundingClientRect().top - list.clientHeight / 3;
+    },
+
+    /**
+     * m:ss.s, for loop points
+     */
+    _formatPrecise(seconds) {
+        const m = Math.floor(seconds / 60);
+        return `${m}:${(seconds - m * 60).toFixed(1).padStart(4, '0')}`;
+    },
+
+    // Status text of a history entry
+    _historyLabel(h) {
+        switch (h.state) {
+            case 'finished': return 'Finished';
+            case 'progress': return `${this._formatTime(h.time)} / ${this._formatTime(h.duration)}`;
+            case 'stopped': return `Stopped at ${this._formatTime(h.time)}`;
+            default: return 'Not started';
+        }
+    },
+
+    _formatTime(seconds) {
+        const s = Math.max(0, Math.floor(seconds));
+        const h = Math.floor(s / 3600);
+        const m = Math.floor((s % 3600) / 60);
+        const sec = String(s % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+    },
+
+    /**
+     * Formats parser issues for a tooltip (first 15 only)
+     */
+    _formatIssues(issues) {
+        const lines = issues.slice(0, 15).map(i => {
+            const where = i.line > 0 ? `Line ${i.line}` : 'File';
+            return `${i.severity === 'error' ? '✖' : '⚠'} ${where}: ${i.message}`;
+        });
+        if (issues.length > 15) lines.push(`…and ${issues.length - 15} more`);
+        return lines.join('\n');
+    },
+
+    _escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
+    _formatSize(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let i = 0;
+        while (bytes >= 1024 && i < units.length - 1) {
+            bytes /= 1024;
+            i++;
+        }
+        return `${bytes.toFixed(i >= 3 ? 1 : 0)} ${units[i]}`;
+    },
+
+    _isTyping(e) {
+        const el = e.target;
+        return el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+    },
+
     _bindClick(id, handler) {
         const el = document.getElementById(id);
         if (el) el.onclick = handler;
@@ -338,8 +1853,9 @@ export const UIManager = {
             zone.onclick = () => input.click();
             
             input.onchange = (e) => {
-                if (e.target.files[0] && handler) {
-                    handler(e.target.files[0]);
+                const files = Array.from(e.target.files || []);
+                if (files.length > 0 && handler) {
+                    handler(files);
                 }
                 input.value = ''; 
             };
@@ -363,10 +1879,11 @@ export const UIManager = {
         el.addEventListener('dragleave', () => el.classList.remove('active'));
         el.addEventListener('drop', (e) => {
             el.classList.remove('active');
-            const files = e.dataTransfer.files;
-            if (files.length > 0 && handler) {
-                handler(files[0]);
-            }
+            FileHandles.filesFromDataTransfer(e.dataTransfer).then(files => {
+                if (files.length > 0 && handler) {
+                    handler(files);
+                }
+            });
         });
     }
 };
\ No newline at end of file
@@ -0,0 +1,417 @@
+/**
+ * FluxPlayer Pro - Watch Together Module
+ * Keeps several players in lockstep. One peer leads: its play, pause, seek and
+ * rate changes (plus a heartbeat of its position) are sent to the others, which
+ * follow and correct their drift by nudging their playback rate or, when far
+ * off, by seeking. Messages travel over a pluggable transport: a BroadcastChannel
+ * for tabs of the same browser, or a WebSocket to the bundled room server
+ * (server/room-server.js) for devices on the same network. Everyone must open
+ * their own copy of the video; files are matched by fingerprint.
+ * It holds no player logic; the controller in app.js applies the leader's state.
+ */
+
+const PROTOCOL = 1;
+const HEARTBEAT_INTERVAL = 2000;    // ms between presence / leader state messages
+const PEER_TIMEOUT = 7000;          // ms of silence after which a peer has left
+const RECONNECT_DELAY = 3000;       // ms before a dropped WebSocket reconnects
+const DEFAULT_PORT = 8787;          // Port of the room server
+
+// Drift correction (seconds)
+const SEEK_THRESHOLD = 1;           // Further off than this while playing: seek
+const PAUSED_TOLERANCE = 0.1;       // Further off than this while paused: seek
+const NUDGE_THRESHOLD = 0.08;       // Closer than this: leave it alone
+const MAX_NUDGE = 0.1;              // Largest playback rate change while catching up (10 %)
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to misread
+const CODE_LENGTH = 6;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Same-browser transport (other tabs and windows of this origin).
+ * @param {string} code - Session code
+ * @returns {{send: Function, close: Function, onmessage: Function|null, onstatus: Function|null}}
+ */
+function channelTransport(code) {
+    const channel = new BroadcastChannel(`fluxplayer-together-${code}`);
+    const transport = {
+        onmessage: null,
+        onstatus: null,
+        send(message) {
+            channel.postMessage(message);
+        },
+        close() {
+            channel.close();
+        }
+    };
+    channel.onmessage = (e) => transport.onmessage && transport.onmessage(e.data);
+    // Open at once, but after the caller has attached its handlers
+    setTimeout(() => transport.onstatus && transport.onstatus('open'));
+    return transport;
+}
+
+/**
+ * Why a room server could not be reached at all (no point retrying).
+ * @param {string} server - ws:// or wss:// URL
+ * @returns {string}
+ */
+function unreachable(server) {
+    if (server.startsWith('wss:') && location.protocol === 'https:') {
+        return `Could not reach ${server}. This page is served over https, so the room server needs a certificate: ` +
+            'start it with TLS_CERT and TLS_KEY set (see server/room-server.js).';
+    }
+    return `Could not reach ${server}. Check that the room server is running and the address is right.`;
+}
+
+/**
+ * Network transport: a WebSocket to the room server, reconnecting when a working
+ * connection drops. If the first connection never opens, it fails for good.
+ * @param {string} server - ws:// or wss:// URL
+ * @param {string} code - Session code (the room)
+ * @returns {{send: Function, close: Function, onmessage: Function|null, onstatus: Function|null}}
+ *          onstatus receives (status, reason): reason explains a 'failed' status
+ */
+function socketTransport(server, code) {
+    let socket = null;
+    let timer = null;
+    let closed = false;
+    let opened = false;
+
+    const transport = {
+        onmessage: null,
+        onstatus: null,
+        send(message) {
+            if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+        },
+        close() {
+            closed = true;
+            clearTimeout(timer);
+            if (socket) socket.close();
+        }
+    };
+    const status = (value, reason) => transport.onstatus && transport.onstatus(value, reason);
+
+    const connect = () => {
+        if (closed) return;
+        status(socket ? 'reconnecting' : 'connecting');
+        let ws;
+        try {
+            ws = new WebSocket(`${server}/?room=${encodeURIComponent(code)}`);
+        } catch (e) {
+            // e.g. ws:// from a page served over https
+            console.warn('FluxPlayer Watch Together Error:', e);
+            status('failed', location.protocol === 'https:' && server.startsWith('ws:')
+                ? 'This page is served over https and cannot use an insecure ws:// room server. Start the server with a certificate and use wss://.'
+                : unreachable(server));
+            return;
+        }
+        socket = ws;
+        ws.onopen = () => {
+            opened = true;
+            status('open');
+        };
+        ws.onmessage = (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (err) {
+                return;
+            }
+            if (transport.onmessage) transport.onmessage(message);
+        };
+        // Browsers send error then close, some runtimes only error: act once per socket
+        let ended = false;
+        ws.onerror = ws.onclose = () => {
+            if (closed || socket !== ws || ended) return;
+            ended = true;
+            if (!opened) {
+                status('failed', unreachable(server));
+                return;
+            }
+            status('reconnecting');
+            timer = setTimeout(connect, RECONNECT_DELAY);
+        };
+    };
+    setTimeout(connect);
+    return transport;
+}
+
+export const WatchTogether = {
+    session: null,  // { code, peerId, name, role, since, transport, kind, status, error, peers, leader, timer }
+    handlers: {},   // { getState, onState, onChange }
+
+    /**
+     * @param {Object} handlers
+     * @param {Function} handlers.getState - () => { playing, time, rate, media: { key, name, size } | null } of this player
+     * @param {Function} handlers.onState - Follower: receives the leader's state ({ playing, time, rate, media, receivedAt })
+     * @param {Function} handlers.onChange - Called when the connection, roles or peers change
+     */
+    configure(handlers) {
+        this.handlers = handlers;
+    },
+
+    /**
+     * @returns {string} A random session code, e.g. "K7QX2M"
+     */
+    generateCode() {
+        const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+        return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    },
+
+    /**
+     * @param {string} input - As typed ("k7qx 2m", "K7QX-2M")
+     * @returns {string|null} The code in canonical form, or null if it is not valid
+     */
+    normalizeCode(input) {
+        const code = String(input || '').toUpperCase().replace(/[\s-]+/g, '');
+        return /^[A-Z0-9]{4,16}$/.test(code) ? code : null;
+    },
+
+    /**
+     * @param {string} input - "192.168.1.10", "192.168.1.10:8787" or a full ws:// / wss:// URL
+     * @returns {string|null} WebSocket URL of the room server, or null if it is not valid
+     */
+    normalizeServer(input) {
+        let text = String(input || '').trim().replace(/\/+$/, '');
+        if (!text) return null;
+        if (!/^wss?:\/\//i.test(text)) {
+            const scheme = location.protocol === 'https:' ? 'wss' : 'ws';
+            text = `${scheme}://${text}`;
+        }
+        try {
+            const url = new URL(text);
+            // URL drops ports that are the scheme's default, so look at what was typed
+            const hasPort = /:\d+$/.test(text.replace(/^wss?:\/\//i, '').split('/')[0]);
+            if (!hasPort) url.port = String(DEFAULT_PORT);
+            return `${url.protocol}//${url.host}${url.pathname.replace(/\/+$/, '')}`;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Joins (or creates) a session; any current session is left first.
+     * @param {Object} options
+     * @param {string} options.code - Normalized session code
+     * @param {string} options.role - 'leader' | 'follower'
+     * @param {string} options.kind - 'tab' (BroadcastChannel) | 'lan' (room server)
+     * @param {string} [options.server] - Normalized server URL, for 'lan'
+     * @param {string} [options.name] - Shown to the other peers
+     * @throws {Error} If the transport is not available in this browser
+     */
+    start({ code, role, kind, server, name }) {
+        if (kind === 'tab' && typeof BroadcastChannel !== 'function') throw new Error('This browser cannot sync tabs');
+        if (kind === 'lan' && typeof WebSocket !== 'function') throw new Error('This browser does not support WebSockets');
+        this.stop();
+
+        const peerId = Array.from(crypto.getRandomValues(new Uint8Array(4)), b => b.toString(16).padStart(2, '0')).join('');
+        const session = {
+            code,
+            peerId,
+            name: (name || '').trim() || `Guest ${peerId.slice(0, 4).toUpperCase()}`,
+            role,
+            since: role === 'leader' ? Date.now() : 0, // When this peer took the lead (newest leader wins)
+            kind,
+            status: 'connecting',
+            error: null,      // Why the connection failed, for the UI
+            peers: new Map(), // peerId -> { name, role, media, seen }
+            leader: null,     // Latest state from the leader, while following
+            transport: kind === 'lan' ? socketTransport(server, code) : channelTransport(code),
+            timer: null
+        };
+        session.transport.onmessage = (message) => this._receive(message);
+        session.transport.onstatus = (status, reason) => {
+            session.status = status;
+            session.error = status === 'failed' ? reason || null : null;
+            if (status === 'open') this._send({ type: 'hello', media: this._media() });
+            if (status === 'open' && session.role === 'leader') this.publish();
+            this._changed();
+        };
+        session.timer = setInterval(() => this._heartbeat(), HEARTBEAT_INTERVAL);
+
+        this.session = session;
+        this._changed();
+    },
+
+    /**
+     * Leaves the session.
+     */
+    stop() {
+        const session = this.session;
+        if (!session) return;
+        this._send({ type: 'bye' });
+        clearInterval(session.timer);
+        session.transport.close();
+        this.session = null;
+        this._changed();
+    },
+
+    isActive() {
+        return !!this.session;
+    },
+
+    isLeader() {
+        return !!this.session && this.session.role === 'leader';
+    },
+
+    /**
+     * Leader: sends the current playback state to the followers.
+     */
+    publish() {
+        if (!this.isLeader()) return;
+        this._send({ type: 'state', ...this.handlers.getState() });
+    },
+
+    /**
+     * Makes this peer the leader; the previous leader becomes a follower.
+     */
+    takeLead() {
+        const session = this.session;
+        if (!session || session.role === 'leader') return;
+        session.role = 'leader';
+        session.since = Date.now();
+        session.leader = null;
+        this.publish();
+        this._changed();
+    },
+
+    /**
+     * The leader's position now, extrapolated from its last state.
+     * @param {number} [now] - performance.now()
+     * @returns {number|null} Seconds, or null while no leader state is known
+     */
+    expectedTime(now = performance.now()) {
+        const leader = this.session && this.session.leader;
+        if (!leader) return null;
+        return leader.playing ? leader.time + (now - leader.receivedAt) / 1000 * leader.rate : leader.time;
+    },
+
+    /**
+     * How a follower catches up with the leader: small drift is absorbed by playing
+     * slightly faster or slower, large drift (or any drift while paused) by seeking.
+     * @param {number} local - The follower's position (s)
+     * @param {number} expected - The leader's position (s)
+     * @param {number} rate - The leader's playback rate
+     * @param {boolean} playing - Whether the leader is playing
+     * @returns {{seek: number|null, rate: number}} Where to seek (null: stay) and the rate to play at
+     */
+    correction(local, expected, rate, playing) {
+        const drift = local - expected;
+        if (!playing) return { seek: Math.abs(drift) > PAUSED_TOLERANCE ? expected : null, rate };
+        if (Math.abs(drift) >= SEEK_THRESHOLD) return { seek: expected, rate };
+        if (Math.abs(drift) < NUDGE_THRESHOLD) return { seek: null, rate };
+
+        // Behind: play faster, ahead: slower (roughly caught up by the next heartbeat)
+        const nudge = Math.max(-MAX_NUDGE, Math.min(MAX_NUDGE, -drift / (HEARTBEAT_INTERVAL / 1000)));
+        return { seek: null, rate: Math.round(rate * (1 + nudge) * 1000) / 1000 };
+    },
+
+    /**
+     * @returns {Array<{id: string, name: string, role: string, media: Object|null, self: boolean}>} This peer first
+     */
+    peers() {
+        const session = this.session;
+        if (!session) return [];
+        return [
+            { id: session.peerId, name: session.name, role: session.role, media: this._media(), self: true },
+            ...[...session.peers].map(([id, peer]) => ({ id, name: peer.name, role: peer.role, media: peer.media, self: false }))
+        ];
+    },
+
+    // --- Internal Helpers ---
+
+    _media() {
+        return this.handlers.getState ? this.handlers.getState().media : null;
+    },
+
+    _send(message) {
+        const session = this.session;
+        if (!session) return;
+        try {
+            session.transport.send({
+                v: PROTOCOL,
+                from: session.peerId,
+                name: session.name,
+                role: session.role,
+                since: session.since,
+                ...message
+            });
+        } catch (e) {
+            console.warn('FluxPlayer Watch Together Error:', e);
+        }
+    },
+
+    _receive(message) {
+        const session = this.session;
+        if (!session || !isObject(message) || message.v !== PROTOCOL || typeof message.from !== 'string' || message.from === session.peerId) return;
+
+        if (message.type === 'bye') {
+            session.peers.delete(message.from);
+            if (session.leader && session.leader.from === message.from) session.leader = null;
+            this._changed();
+            return;
+        }
+
+        const known = session.peers.get(message.from);
+        const role = message.role === 'leader' ? 'leader' : 'follower';
+        const name = typeof message.name === 'string' ? message.name.slice(0, 40) : 'Guest';
+        const media = isObject(message.media)
+            ? { key: String(message.media.key || ''), name: String(message.media.name || ''), size: Number(message.media.size) || 0 }
+            : (known ? known.media : null);
+        session.peers.set(message.from, { name, role, media, seen: Date.now() });
+        let changed = !known || known.role !== role || known.name !== name || JSON.stringify(known.media) !== JSON.stringify(media);
+
+        // Two leaders (someone took the lead): the most recent one keeps it
+        if (role === 'leader' && session.role === 'leader') {
+            const since = Number(message.since) || 0;
+            if (since > session.since || (since === session.since && message.from > session.peerId)) {
+                session.role = 'follower';
+                session.since = 0;
+                changed = true;
+            } else {
+                this.publish(); // Let the other one step down
+            }
+        }
+        // Followers no longer follow a peer that stepped down
+        if (role !== 'leader' && session.leader && session.leader.from === message.from) session.leader = null;
+
+        if (message.type === 'hello' && session.role === 'leader') this.publish();
+        if (changed) this._changed();
+
+        if (message.type === 'state' && role === 'leader' && session.role === 'follower') {
+            session.leader = {
+                from: message.from,
+                playing: !!message.playing,
+                time: Number(message.time) || 0,
+                rate: Number(message.rate) > 0 ? Number(message.rate) : 1,
+                media,
+                receivedAt: performance.now()
+            };
+            if (this.handlers.onState) this.handlers.onState(session.leader);
+        }
+    },
+
+    _heartbeat() {
+        const session = this.session;
+        if (!session) return;
+
+        // Peers that closed without saying goodbye
+        const now = Date.now();
+        let changed = false;
+        session.peers.forEach((peer, id) => {
+            if (now - peer.seen <= PEER_TIMEOUT) return;
+            session.peers.delete(id);
+            if (session.leader && session.leader.from === id) session.leader = null;
+            changed = true;
+        });
+
+        if (session.role === 'leader') this.publish();
+        else this._send({ type: 'presence', media: this._media() });
+
+        if (changed) this._changed();
+    },
+
+    _changed() {
+        if (this.handlers.onChange) this.handlers.onChange();
+    }
+};
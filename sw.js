@@ -0,0 +1,113 @@
+/**
+ * FluxPlayer Pro - Service Worker
+ * Precaches the application shell (markup, scripts, styles and vendored
+ * libraries) so the player keeps working without a network connection.
+ *
+ * Bump CACHE_VERSION whenever a file in APP_SHELL changes; the new worker
+ * will wait until the page asks it to take over (see src/js/pwa.js).
+ */
+
+const CACHE_VERSION = 'v42';
+const CACHE_NAME = `flux_pro_shell_${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.json',
+
+    // Application code
+    'src/css/style.css',
+    'src/js/ab-loop.js',
+    'src/js/app.js',
+    'src/js/backup.js',
+    'src/js/bookmarks.js',
+    'src/js/caption-style.js',
+    'src/js/capture.js',
+    'src/js/container-subtitles.js',
+    'src/js/file-handles.js',
+    'src/js/fingerprint.js',
+    'src/js/history-library.js',
+    'src/js/language.js',
+    'src/js/media-events.js',
+    'src/js/playback-persistence.js',
+    'src/js/playlist.js',
+    'src/js/pwa.js',
+    'src/js/shortcuts.js',
+    'src/js/sidecar.js',
+    'src/js/storage.js',
+    'src/js/subtitle-editor.js',
+    'src/js/subtitle-parser.js',
+    'src/js/text-encoding.js',
+    'src/js/thumbnails.js',
+    'src/js/ui.js',
+    'src/js/watch-together.js',
+
+    // Vendored libraries
+    'assets/vendor/css/plyr.css',
+    'assets/vendor/js/plyr.polyfilled.js',
+    'assets/vendor/js/lucide.js',
+    'assets/vendor/js/tailwindcdn.js',
+    'assets/vendor/plyr.svg',
+    'assets/vendor/blank.mp4',
+
+    // Images
+    'assets/img/icon.svg'
+];
+
+// --- Install: fill the versioned cache ---
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL))
+    );
+});
+
+// --- Activate: drop caches from older versions ---
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('flux_pro_shell_') && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// --- Messages from the page ---
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// --- Fetch: cache-first for same-origin GET requests ---
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    // Local media is played from blob: URLs; only the app shell goes through the cache
+    if (url.origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+
+            return fetch(request)
+                .then(response => {
+                    // Only keep complete, successful responses
+                    if (response.ok && response.status === 200 && response.type === 'basic') {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                    }
+                    return response;
+                })
+                .catch(() => {
+                    // Offline navigation to an uncached URL: fall back to the shell
+                    if (request.mode === 'navigate') return caches.match('index.html');
+                    return Response.error();
+                });
+        })
+    );
+});